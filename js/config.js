@@ -21,12 +21,14 @@ export const config = {
     
     // Features - OPTIMIZADO PARA MEJOR RENDIMIENTO
     features: {
-        useWorkers: true,         // Genera terreno 3D con DensityGenerator
+        useWorkers: true,         // Genera el terreno en workers de módulo
         workerCount: 4,          // Workers para generación paralela
         fallbackToSync: true,    // Fallback si workers fallan
         debugWorkers: false,     // Sin logs para mejor rendimiento
         useAdvancedLoader: false, // Sistema experimental desactivado
-        workerTimeout: 5000      // NUEVO: Timeout para workers colgados (5 segundos)
+        workerTimeout: 5000,     // NUEVO: Timeout para workers colgados (5 segundos)
+        worldSave: true,         // Guardar ediciones del jugador en IndexedDB
+        autosaveInterval: 10000  // ms entre guardados automáticos de chunks modificados
     },
     
     // Performance settings - CRÍTICO PARA CARGA RÁPIDA
@@ -101,52 +103,8 @@ export function updateRenderDistance(newDistance) {
     return distance;
 }
 
-// Block types
-export const BlockType = {
-    AIR: 0,
-    GRASS: 1,
-    DIRT: 2,
-    STONE: 3,
-    SAND: 4,     // NUEVO
-    WATER: 5,    // NUEVO
-    WOOD: 6,     // NUEVO
-    LEAVES: 7,   // NUEVO
-    COAL: 8,     // NUEVO
-    IRON: 9,     // NUEVO
-    GOLD: 10,    // NUEVO
-    DIAMOND: 11  // NUEVO
-};
-
-// Block colors - Colores vibrantes para mejor visualización
-export const blockColors = {
-    [BlockType.GRASS]: 0x4CAF50,   // Verde césped
-    [BlockType.DIRT]: 0x8D6E63,    // Marrón tierra
-    [BlockType.STONE]: 0x9E9E9E,   // Gris piedra
-    [BlockType.SAND]: 0xFFD54F,    // Arena amarilla
-    [BlockType.WATER]: 0x2196F3,   // Azul agua
-    [BlockType.WOOD]: 0x6D4C41,    // Marrón madera
-    [BlockType.LEAVES]: 0x388E3C,  // Verde hojas
-    [BlockType.COAL]: 0x424242,    // Negro carbón
-    [BlockType.IRON]: 0xBDBDBD,    // Gris hierro
-    [BlockType.GOLD]: 0xFFD700,    // Dorado
-    [BlockType.DIAMOND]: 0x00BCD4  // Cyan diamante
-};
-
-// Block properties - NUEVO: Propiedades de bloques
-export const blockProperties = {
-    [BlockType.AIR]: { solid: false, transparent: true, breakTime: 0 },
-    [BlockType.GRASS]: { solid: true, transparent: false, breakTime: 0.5 },
-    [BlockType.DIRT]: { solid: true, transparent: false, breakTime: 0.5 },
-    [BlockType.STONE]: { solid: true, transparent: false, breakTime: 1.5 },
-    [BlockType.SAND]: { solid: true, transparent: false, breakTime: 0.5, gravity: true },
-    [BlockType.WATER]: { solid: false, transparent: true, breakTime: 0, liquid: true },
-    [BlockType.WOOD]: { solid: true, transparent: false, breakTime: 2 },
-    [BlockType.LEAVES]: { solid: true, transparent: true, breakTime: 0.2 },
-    [BlockType.COAL]: { solid: true, transparent: false, breakTime: 3 },
-    [BlockType.IRON]: { solid: true, transparent: false, breakTime: 5 },
-    [BlockType.GOLD]: { solid: true, transparent: false, breakTime: 3 },
-    [BlockType.DIAMOND]: { solid: true, transparent: false, breakTime: 10 }
-};
+// Block types and properties live in the block registry
+export { BlockType, isSolidBlock, isTransparentBlock, isLiquidBlock } from './world/BlockRegistry.js';
 
 // Performance stats
 export const stats = {
@@ -1,4 +1,5 @@
-import { config, BlockType } from '../config.js';
+import { config, BlockType, isLiquidBlock } from '../config.js';
+import { Logger } from '../utils/Logger.js';
 
 // Input handling
 export class InputHandler {
@@ -17,6 +18,12 @@ export class InputHandler {
         // Flying controls state
         this.flyTogglePressed = false;
         
+        // Break button (mouse or mobile BREAK) held down in survival
+        this.isBreaking = false;
+        
+        // Opciones del pegado con Ctrl+V (también desde el panel de herramientas)
+        this.pasteOptions = { rotation: 0, mirrorX: false, mirrorZ: false, skipAir: false };
+        
         this.setupEventListeners();
     }
 
@@ -24,6 +31,26 @@ export class InputHandler {
         // Keyboard
         document.addEventListener('keydown', (e) => {
             this.keys[e.code] = true;
+            
+            // Undo / redo (Ctrl+Z, Ctrl+Y or Ctrl+Shift+Z), not while typing in a form field
+            // nor while Ctrl is held to fly down
+            if (this.isUndoShortcut(e)) {
+                if (e.code === 'KeyZ') {
+                    e.preventDefault();
+                    if (e.shiftKey) {
+                        this.world.editHistory.redo();
+                    } else {
+                        this.world.editHistory.undo();
+                    }
+                } else if (e.code === 'KeyY') {
+                    e.preventDefault();
+                    this.world.editHistory.redo();
+                }
+            }
+            
+            if (this.mouse.locked) {
+                this.handleBuildToolKey(e);
+            }
         });
         
         document.addEventListener('keyup', (e) => {
@@ -39,6 +66,9 @@ export class InputHandler {
 
         document.addEventListener('pointerlockchange', () => {
             this.mouse.locked = document.pointerLockElement === this.canvas;
+            if (!this.mouse.locked && !this.isMobile()) {
+                this.stopBreaking();
+            }
         });
 
         document.addEventListener('mousemove', (e) => {
@@ -51,11 +81,15 @@ export class InputHandler {
         // Mouse buttons
         this.canvas.addEventListener('mousedown', (e) => {
             if (this.mouse.locked) {
-                if (e.button === 0) this.breakBlock();
+                if (e.button === 0) this.startBreaking();
                 if (e.button === 2) this.placeBlock();
             }
         });
 
+        document.addEventListener('mouseup', (e) => {
+            if (e.button === 0) this.stopBreaking();
+        });
+
         this.canvas.addEventListener('contextmenu', (e) => {
             e.preventDefault();
         });
@@ -176,8 +210,18 @@ export class InputHandler {
 
         const breakBtn = document.getElementById('breakBtn');
         if (breakBtn) {
-            breakBtn.addEventListener('click', () => {
-                this.breakBlock();
+            breakBtn.addEventListener('touchstart', (e) => {
+                e.preventDefault();
+                this.startBreaking();
+            });
+            
+            breakBtn.addEventListener('touchend', (e) => {
+                e.preventDefault();
+                this.stopBreaking();
+            });
+            
+            breakBtn.addEventListener('touchcancel', () => {
+                this.stopBreaking();
             });
         }
 
@@ -256,62 +300,138 @@ export class InputHandler {
         return input;
     }
 
-    breakBlock() {
+    /**
+     * Bloque bajo la mira: { hit, adjacent } con coordenadas enteras, o null.
+     * adjacent es el último hueco de aire antes del bloque (donde se colocaría uno nuevo).
+     */
+    getTargetBlock() {
         const raycaster = new THREE.Raycaster();
         raycaster.setFromCamera(new THREE.Vector2(0, 0), this.camera);
         
         const pos = this.player.position.clone();
         pos.y += this.player.eyeHeight;
         
+        let lastEmpty = null;
+        
         for (let i = 0; i < 50; i++) {
             const checkPos = pos.clone().add(
                 raycaster.ray.direction.clone().multiplyScalar(i * 0.1)
             );
             
             const block = this.world.getBlockAt(checkPos.x, checkPos.y, checkPos.z);
-            if (block !== BlockType.AIR) {
-                this.world.setBlockAt(checkPos.x, checkPos.y, checkPos.z, BlockType.AIR, this.scene);
-                break;
+            
+            // Liquids don't stop the ray: blocks can be placed into water
+            if (block === BlockType.AIR || isLiquidBlock(block)) {
+                lastEmpty = checkPos.clone();
+            } else {
+                return {
+                    hit: this.toBlockPosition(checkPos),
+                    adjacent: lastEmpty ? this.toBlockPosition(lastEmpty) : null
+                };
             }
         }
+        
+        return null;
+    }
+
+    toBlockPosition(position) {
+        return {
+            x: Math.floor(position.x),
+            y: Math.floor(position.y),
+            z: Math.floor(position.z)
+        };
+    }
+
+    breakBlock() {
+        const target = this.getTargetBlock();
+        if (target) {
+            this.world.setBlockAt(target.hit.x, target.hit.y, target.hit.z, BlockType.AIR, this.scene);
+        }
+    }
+
+    // Creative mode breaks instantly on press; survival mines while the button is held
+    startBreaking() {
+        if (this.world.gameMode === 'creative') {
+            this.breakBlock();
+        } else {
+            this.isBreaking = true;
+        }
+    }
+
+    stopBreaking() {
+        this.isBreaking = false;
+        this.world.blockBreaking.reset();
+    }
+
+    // Advance mining progress on the targeted block (called every frame)
+    update(deltaTime) {
+        const target = this.isBreaking ? this.getTargetBlock() : null;
+        this.world.blockBreaking.update(deltaTime, target ? target.hit : null);
     }
 
     placeBlock() {
-        const raycaster = new THREE.Raycaster();
-        raycaster.setFromCamera(new THREE.Vector2(0, 0), this.camera);
+        const target = this.getTargetBlock();
+        if (!target || !target.adjacent) return;
         
-        const pos = this.player.position.clone();
-        pos.y += this.player.eyeHeight;
+        const { x, y, z } = target.adjacent;
         
-        let lastEmpty = null;
+        // Don't place block if it would intersect with player
+        const playerFeet = this.player.position.y;
+        const playerHead = this.player.position.y + this.player.height;
         
-        for (let i = 0; i < 50; i++) {
-            const checkPos = pos.clone().add(
-                raycaster.ray.direction.clone().multiplyScalar(i * 0.1)
-            );
-            
-            const block = this.world.getBlockAt(checkPos.x, checkPos.y, checkPos.z);
-            
-            if (block === BlockType.AIR) {
-                lastEmpty = checkPos.clone();
-            } else if (lastEmpty) {
-                // Don't place block if it would intersect with player
-                const playerFeet = this.player.position.y;
-                const playerHead = this.player.position.y + this.player.height;
-                const blockY = Math.floor(lastEmpty.y);
-                
-                if (Math.floor(lastEmpty.x) === Math.floor(this.player.position.x) &&
-                    Math.floor(lastEmpty.z) === Math.floor(this.player.position.z) &&
-                    blockY >= playerFeet - 0.1 && blockY <= playerHead + 0.1) {
-                    return;
+        if (x === Math.floor(this.player.position.x) &&
+            z === Math.floor(this.player.position.z) &&
+            y >= playerFeet - 0.1 && y <= playerHead + 0.1) {
+            return;
+        }
+        
+        this.world.setBlockAt(x, y, z, BlockType.STONE, this.scene);
+    }
+
+    /**
+     * Atajos de las herramientas de construcción (solo con el puntero capturado)
+     *   [ / ]      esquina 1 / 2 de la selección en el bloque bajo la mira
+     *   Ctrl+C     copiar la selección
+     *   Ctrl+V     pegar encima del bloque bajo la mira
+     *   R          girar el pegado 90°
+     *   Delete     borrar los bloques de la selección
+     */
+    handleBuildToolKey(e) {
+        const editor = this.world.regionEditor;
+        const ctrl = e.ctrlKey || e.metaKey;
+        
+        try {
+            if (!ctrl && (e.code === 'BracketLeft' || e.code === 'BracketRight')) {
+                const target = this.getTargetBlock();
+                if (target) {
+                    this.world.selection.setCorner(e.code === 'BracketLeft' ? 0 : 1, target.hit);
                 }
-                
-                this.world.setBlockAt(lastEmpty.x, lastEmpty.y, lastEmpty.z, BlockType.STONE, this.scene);
-                break;
+            } else if (ctrl && e.code === 'KeyC') {
+                e.preventDefault();
+                editor.copy();
+            } else if (ctrl && e.code === 'KeyV') {
+                e.preventDefault();
+                const target = this.getTargetBlock();
+                if (target && target.adjacent) {
+                    editor.paste(target.adjacent, this.pasteOptions);
+                }
+            } else if (!ctrl && e.code === 'KeyR') {
+                this.pasteOptions.rotation = (this.pasteOptions.rotation + 1) % 4;
+                Logger.info(`[InputHandler] Paste rotation: ${this.pasteOptions.rotation * 90}°`);
+            } else if (e.code === 'Delete') {
+                editor.clear();
             }
+        } catch (error) {
+            Logger.warn(`[InputHandler] ${error.message}`);
         }
     }
 
+    isUndoShortcut(e) {
+        if (!e.ctrlKey && !e.metaKey) return false;
+        if (e.target && e.target.closest && e.target.closest('input, textarea, select')) return false;
+        return !(e.ctrlKey && !e.metaKey && this.player.isFlying);
+    }
+
     isMobile() {
         return window.matchMedia('(max-width: 768px)').matches || 
                window.matchMedia('(pointer: coarse)').matches;
@@ -7,6 +7,11 @@ import { Player } from './player/Player.js';
 import { InputHandler } from './input/InputHandler.js';
 import { DebugOverlay } from './ui/DebugOverlay.js';
 import { WorkerManager } from './world/WorkerManager.js';
+import { WorldSave } from './world/WorldSave.js';
+import { WorldMenu } from './ui/WorldMenu.js';
+import { BuildToolsPanel } from './ui/BuildToolsPanel.js';
+import { MapTiles } from './map/MapTiles.js';
+import { MapView } from './map/MapView.js';
 import { Logger } from './utils/Logger.js';
 
 Logger.info('[Main] Initializing game with config:', config);
@@ -84,27 +89,75 @@ const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
 directionalLight.position.set(50, 100, 50);
 scene.add(directionalLight);
 
-// Initialize game objects
-Logger.info('[Main] Creating world instance...');
-const world = new World(scene);
+// Game objects are created once a world is chosen in the main menu
+let world = null;
+let player = null;
+let inputHandler = null;
+let debugOverlay = null;
+let mapView = null;
 
-Logger.info('[Main] Creating player instance...');
-const player = new Player(world);
+// Make stats globally accessible for UI
+window.gameStats = stats;
+window.config = config;
 
-Logger.info('[Main] Setting up input handler...');
-const inputHandler = new InputHandler(canvas, player, world, camera, scene);
+function startWorld(metadata) {
+    Logger.info(`[Main] Creating world "${metadata.name}" (seed ${metadata.seed})...`);
+    world = new World(scene, metadata);
 
-// Initialize debug overlay
-const debugOverlay = new DebugOverlay(world, player);
+    Logger.info('[Main] Creating player instance...');
+    player = new Player(world);
+    player.canFly = metadata.gameMode === 'creative';
+    player.position.set(metadata.spawn.x, metadata.spawn.y, metadata.spawn.z);
+    player.applySaveState(metadata.player);
+    sky.time = metadata.timeOfDay || 0;
 
-// Make stats and player globally accessible for UI
-window.gameStats = stats;
-window.player = player;
-window.config = config;
+    Logger.info('[Main] Setting up input handler...');
+    inputHandler = new InputHandler(canvas, player, world, camera, scene);
+
+    // Initialize debug overlay
+    debugOverlay = new DebugOverlay(world, player);
+
+    // Selection and region operations in the settings panel
+    new BuildToolsPanel(world, inputHandler);
+
+    // Map of explored columns (M key)
+    mapView = new MapView(new MapTiles(world), player);
+
+    // Make world and player globally accessible for UI
+    window.world = world;
+    window.player = player;
+}
+
+// Store player state and time of day in the world metadata
+function saveWorldMetadata() {
+    if (!world || !world.worldSave || !world.metadata) return;
+
+    Object.assign(world.metadata, {
+        player: player.getSaveState(),
+        timeOfDay: sky.time,
+        lastPlayed: Date.now()
+    });
+    world.worldSave.saveMetadata(world.metadata).catch(error => {
+        Logger.error('[Main] Failed to save world metadata:', error);
+    });
+}
+
+setInterval(saveWorldMetadata, config.features.autosaveInterval);
+
+// Save everything and go back to the world selection menu
+window.addEventListener('quitToMenu', () => {
+    saveWorldMetadata();
+    if (world) {
+        world.saveModifiedColumns();
+    }
+    // Reload once the pending IndexedDB writes have been queued
+    setTimeout(() => window.location.reload(), 200);
+});
 
 // Listen for worker toggle events
 window.addEventListener('toggleWorkers', (e) => {
     Logger.info('[Main] Toggle workers:', e.detail);
+    if (!world) return;
     if (e.detail) {
         // Enable workers
         config.features.useWorkers = true;
@@ -145,6 +198,8 @@ window.addEventListener('updateRenderDistance', (e) => {
     // Update fog distance based on new render distance
     scene.fog.far = config.chunkSize * actualDistance * 1.5;
     
+    if (!world) return;
+    
     // Update world render distance
     if (world.updateRenderDistance) {
         world.updateRenderDistance(actualDistance);
@@ -197,6 +252,8 @@ function animate() {
     // Update game state
     const input = inputHandler.getInput();
     player.update(deltaTime, input, camera);
+    inputHandler.update(deltaTime);
+    world.fallingBlocks.update(deltaTime);
     
     // Update sky and clouds
     sky.update(deltaTime, camera);
@@ -219,6 +276,9 @@ function animate() {
     // Update debug overlay
     debugOverlay.update(stats.fps);
 
+    // Update map tiles (and the map view when open)
+    mapView.update();
+
     // Update HUD
     document.getElementById('fps').textContent = `FPS: ${stats.fps}`;
     document.getElementById('coords').textContent = 
@@ -248,8 +308,14 @@ window.addEventListener('load', () => {
             const loading = document.getElementById('loading');
             if (loading) {
                 loading.style.display = 'none';
-                Logger.info('[Main] Loading screen hidden, starting game loop');
-                animate();
+                Logger.info('[Main] Loading screen hidden, showing world menu');
+                
+                const worldMenu = new WorldMenu(new WorldSave());
+                worldMenu.show().then(metadata => {
+                    startWorld(metadata);
+                    Logger.info('[Main] World selected, starting game loop');
+                    animate();
+                });
             }
         }, 300);
     }, 100);
@@ -261,10 +327,19 @@ window.addEventListener('resize', () => {
     updateRendererSize();
 });
 
+// Save edits when the tab is hidden (more reliable than beforeunload on mobile)
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden && world) {
+        saveWorldMetadata();
+        world.saveModifiedColumns();
+    }
+});
+
 // Cleanup on page unload
 window.addEventListener('beforeunload', () => {
     Logger.info('[Main] Cleaning up...');
-    if (world.dispose) {
+    saveWorldMetadata();
+    if (world && world.dispose) {
         world.dispose();
     }
     if (sky) {
@@ -0,0 +1,252 @@
+/**
+ * MapTiles - Teselas del mapa a partir de las columnas exploradas
+ *
+ * Un píxel por bloque: color del bloque superior, sombreado de relieve comparando
+ * la altura con los vecinos del norte y el oeste, y tinte azul según la profundidad
+ * del agua. Las columnas se agrupan en regiones de 8x8 chunks (un canvas de 128 px)
+ * que se conservan aunque la columna se descargue.
+ *
+ * Las columnas cargadas o editadas se encolan y se redibujan poco a poco en update().
+ */
+
+import { config, BlockType } from '../config.js';
+
+export const REGION_CHUNKS = 8;
+export const REGION_SIZE = REGION_CHUNKS * config.chunkSize;
+
+const WATER_COLOR = [33, 150, 243];
+
+export class MapTiles {
+    constructor(world, columnsPerUpdate = 4) {
+        this.world = world;
+        this.columnsPerUpdate = columnsPerUpdate;
+
+        // "rx,rz" -> { x, z, canvas, ctx }
+        this.regions = new Map();
+        // Columnas dibujadas al menos una vez
+        this.explored = new Set();
+        // Columnas pendientes de redibujar (en orden de llegada)
+        this.pending = new Set();
+
+        // Se incrementa con cada redibujado para que la vista sepa cuándo repintar
+        this.version = 0;
+
+        this.onColumnChanged = (column) => this.queueColumn(column.x, column.z);
+        world.addColumnListener(this.onColumnChanged);
+    }
+
+    queueColumn(chunkX, chunkZ) {
+        const key = this.world.getChunkKey(chunkX, chunkZ);
+        const isNew = !this.explored.has(key);
+        this.pending.add(key);
+
+        // El sombreado del borde este/sur de los vecinos depende de esta columna
+        if (isNew) {
+            for (const [dx, dz] of [[1, 0], [0, 1]]) {
+                const neighborKey = this.world.getChunkKey(chunkX + dx, chunkZ + dz);
+                if (this.explored.has(neighborKey)) {
+                    this.pending.add(neighborKey);
+                }
+            }
+        }
+    }
+
+    /**
+     * Redibujar unas pocas columnas pendientes (llamar cada frame)
+     */
+    update() {
+        let budget = this.columnsPerUpdate;
+
+        for (const key of this.pending) {
+            if (budget-- <= 0) break;
+            this.pending.delete(key);
+
+            const column = this.world.chunkColumns.get(key);
+            if (column) {
+                this.renderColumn(column);
+            }
+        }
+    }
+
+    getRegion(regionX, regionZ, create = true) {
+        const key = `${regionX},${regionZ}`;
+        let region = this.regions.get(key);
+
+        if (!region && create) {
+            const canvas = document.createElement('canvas');
+            canvas.width = REGION_SIZE;
+            canvas.height = REGION_SIZE;
+            region = { x: regionX, z: regionZ, canvas, ctx: canvas.getContext('2d') };
+            this.regions.set(key, region);
+        }
+
+        return region;
+    }
+
+    /**
+     * Superficie de una posición: { height, block, waterDepth }
+     */
+    getSurface(column, localX, localZ) {
+        let y = column.heightMap[localX + localZ * config.chunkSize];
+
+        // heightMap solo sube al colocar bloques: bajar hasta el primer bloque real
+        while (y > 0 && column.getBlock(localX, y, localZ) === BlockType.AIR) y--;
+
+        let block = column.getBlock(localX, y, localZ);
+        let waterDepth = 0;
+
+        if (block === BlockType.WATER) {
+            const surface = y;
+            while (y > 0 && (block === BlockType.WATER || block === BlockType.AIR)) {
+                y--;
+                block = column.getBlock(localX, y, localZ);
+            }
+            waterDepth = surface - y;
+            y = surface;
+        }
+
+        return { height: y, block, waterDepth };
+    }
+
+    /**
+     * Altura de una posición de mundo, o fallback si su columna no está cargada
+     */
+    getHeightAt(worldX, worldZ, fallback) {
+        const chunkX = Math.floor(worldX / config.chunkSize);
+        const chunkZ = Math.floor(worldZ / config.chunkSize);
+        // Solo columnas ya cargadas: getChunkColumn crearía una columna vacía
+        const key = this.world.getChunkKey(chunkX, chunkZ);
+        const column = this.world.chunkColumns.get(key);
+        if (!column || !this.world.loadedChunks.has(key)) return fallback;
+
+        const localX = worldX - chunkX * config.chunkSize;
+        const localZ = worldZ - chunkZ * config.chunkSize;
+        return this.getSurface(column, localX, localZ).height;
+    }
+
+    renderColumn(column) {
+        const size = config.chunkSize;
+        const regionX = Math.floor(column.x / REGION_CHUNKS);
+        const regionZ = Math.floor(column.z / REGION_CHUNKS);
+        const region = this.getRegion(regionX, regionZ);
+
+        // Alturas con un borde de un bloque al norte y al oeste
+        const heights = new Int16Array((size + 1) * (size + 1));
+        const surfaces = [];
+
+        for (let z = 0; z < size; z++) {
+            for (let x = 0; x < size; x++) {
+                const surface = this.getSurface(column, x, z);
+                surfaces.push(surface);
+                heights[(x + 1) + (z + 1) * (size + 1)] = surface.height;
+            }
+        }
+
+        const baseX = column.x * size;
+        const baseZ = column.z * size;
+        for (let i = 0; i < size; i++) {
+            heights[(i + 1)] = this.getHeightAt(baseX + i, baseZ - 1, heights[(i + 1) + (size + 1)]);
+            heights[(i + 1) * (size + 1)] = this.getHeightAt(baseX - 1, baseZ + i, heights[1 + (i + 1) * (size + 1)]);
+        }
+        heights[0] = heights[1];
+
+        const image = region.ctx.createImageData(size, size);
+        const data = image.data;
+
+        for (let z = 0; z < size; z++) {
+            for (let x = 0; x < size; x++) {
+                const { height, block, waterDepth } = surfaces[x + z * size];
+                const p = (x + z * size) * 4;
+
+                if (block === BlockType.AIR) {
+                    data[p + 3] = 0;
+                    continue;
+                }
+
+                const hex = column.getBlockColor(block, x, z) || 0x808080;
+                let r = hex >> 16 & 255;
+                let g = hex >> 8 & 255;
+                let b = hex & 255;
+
+                if (waterDepth > 0) {
+                    // Más profundo, más azul y más oscuro
+                    const t = Math.min(1, 0.55 + waterDepth * 0.05);
+                    const shade = 1 - Math.min(0.4, waterDepth * 0.02);
+                    r = (r * (1 - t) + WATER_COLOR[0] * t) * shade;
+                    g = (g * (1 - t) + WATER_COLOR[1] * t) * shade;
+                    b = (b * (1 - t) + WATER_COLOR[2] * t) * shade;
+                } else {
+                    const index = (x + 1) + (z + 1) * (size + 1);
+                    const slope = (height - heights[index - (size + 1)]) + (height - heights[index - 1]);
+                    const shade = 1 + Math.max(-0.35, Math.min(0.25, slope * 0.12));
+                    r *= shade;
+                    g *= shade;
+                    b *= shade;
+                }
+
+                data[p] = r;
+                data[p + 1] = g;
+                data[p + 2] = b;
+                data[p + 3] = 255;
+            }
+        }
+
+        const offsetX = (column.x - regionX * REGION_CHUNKS) * size;
+        const offsetZ = (column.z - regionZ * REGION_CHUNKS) * size;
+        region.ctx.putImageData(image, offsetX, offsetZ);
+
+        this.explored.add(this.world.getChunkKey(column.x, column.z));
+        this.version++;
+    }
+
+    /**
+     * Límites en bloques de todo lo explorado, o null si aún no hay nada
+     */
+    getExploredBounds() {
+        if (this.explored.size === 0) return null;
+
+        let minX = Infinity, minZ = Infinity, maxX = -Infinity, maxZ = -Infinity;
+        for (const key of this.explored) {
+            const [cx, cz] = key.split(',').map(Number);
+            minX = Math.min(minX, cx);
+            minZ = Math.min(minZ, cz);
+            maxX = Math.max(maxX, cx);
+            maxZ = Math.max(maxZ, cz);
+        }
+
+        const size = config.chunkSize;
+        return { minX: minX * size, minZ: minZ * size, maxX: (maxX + 1) * size, maxZ: (maxZ + 1) * size };
+    }
+
+    /**
+     * Dibujar todo lo explorado en un canvas a un píxel por bloque y devolverlo como PNG
+     */
+    exportPNG() {
+        const bounds = this.getExploredBounds();
+        if (!bounds) {
+            return Promise.reject(new Error('Nothing explored yet'));
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = bounds.maxX - bounds.minX;
+        canvas.height = bounds.maxZ - bounds.minZ;
+        const ctx = canvas.getContext('2d');
+
+        for (const region of this.regions.values()) {
+            ctx.drawImage(region.canvas,
+                region.x * REGION_SIZE - bounds.minX,
+                region.z * REGION_SIZE - bounds.minZ);
+        }
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG encoding failed')), 'image/png');
+        });
+    }
+
+    dispose() {
+        this.world.removeColumnListener(this.onColumnChanged);
+        this.regions.clear();
+        this.explored.clear();
+        this.pending.clear();
+    }
+}
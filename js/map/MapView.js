@@ -0,0 +1,196 @@
+// MapView.js - Full-screen map with pan/zoom, player marker and PNG export
+import { REGION_SIZE } from './MapTiles.js';
+import { Logger } from '../utils/Logger.js';
+
+const MIN_ZOOM = 0.25;
+const MAX_ZOOM = 16;
+
+export class MapView {
+    constructor(mapTiles, player) {
+        this.tiles = mapTiles;
+        this.player = player;
+        this.visible = false;
+
+        // Block coordinates shown at the centre of the screen and pixels per block
+        this.center = { x: 0, z: 0 };
+        this.zoom = 2;
+        this.followPlayer = true;
+
+        this.drag = null;
+
+        this.container = document.getElementById('mapView');
+        this.canvas = document.getElementById('mapCanvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.info = document.getElementById('mapInfo');
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.addEventListener('keydown', (e) => {
+            // Not while typing in a form field (settings, build tools)
+            if (e.target && e.target.closest && e.target.closest('input, textarea, select')) return;
+
+            if (e.code === 'KeyM' && !e.ctrlKey && !e.metaKey) {
+                this.toggle();
+            } else if (e.code === 'Escape' && this.visible) {
+                this.hide();
+            }
+        });
+
+        this.canvas.addEventListener('mousedown', (e) => {
+            this.drag = { x: e.clientX, y: e.clientY };
+            this.followPlayer = false;
+        });
+
+        window.addEventListener('mousemove', (e) => {
+            if (!this.drag) return;
+            this.center.x -= (e.clientX - this.drag.x) / this.zoom;
+            this.center.z -= (e.clientY - this.drag.y) / this.zoom;
+            this.drag = { x: e.clientX, y: e.clientY };
+        });
+
+        window.addEventListener('mouseup', () => {
+            this.drag = null;
+        });
+
+        this.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const factor = e.deltaY < 0 ? 1.25 : 0.8;
+            this.setZoom(this.zoom * factor, e.offsetX, e.offsetY);
+        }, { passive: false });
+
+        document.getElementById('mapCenterBtn').addEventListener('click', () => {
+            this.followPlayer = true;
+        });
+
+        document.getElementById('mapExportBtn').addEventListener('click', () => this.exportPNG());
+
+        document.getElementById('mapCloseBtn').addEventListener('click', () => this.hide());
+    }
+
+    // Zoom keeping the block under (screenX, screenY) in place
+    setZoom(zoom, screenX = this.canvas.width / 2, screenY = this.canvas.height / 2) {
+        const before = this.screenToWorld(screenX, screenY);
+        this.zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoom));
+        const after = this.screenToWorld(screenX, screenY);
+
+        this.center.x += before.x - after.x;
+        this.center.z += before.z - after.z;
+    }
+
+    screenToWorld(screenX, screenY) {
+        return {
+            x: this.center.x + (screenX - this.canvas.width / 2) / this.zoom,
+            z: this.center.z + (screenY - this.canvas.height / 2) / this.zoom
+        };
+    }
+
+    toggle() {
+        if (this.visible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    show() {
+        this.visible = true;
+        this.followPlayer = true;
+        this.container.style.display = 'block';
+
+        // Free the mouse for dragging the map
+        if (document.pointerLockElement) {
+            document.exitPointerLock();
+        }
+    }
+
+    hide() {
+        this.visible = false;
+        this.drag = null;
+        this.container.style.display = 'none';
+    }
+
+    // Called every frame
+    update() {
+        this.tiles.update();
+        if (this.visible) {
+            this.render();
+        }
+    }
+
+    render() {
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+
+        if (this.followPlayer) {
+            this.center.x = this.player.position.x;
+            this.center.z = this.player.position.z;
+        }
+
+        const ctx = this.ctx;
+        ctx.fillStyle = '#111';
+        ctx.fillRect(0, 0, width, height);
+        ctx.imageSmoothingEnabled = false;
+
+        const size = REGION_SIZE * this.zoom;
+        for (const region of this.tiles.regions.values()) {
+            // Blocks are drawn centred on their integer coordinates
+            const x = (region.x * REGION_SIZE - 0.5 - this.center.x) * this.zoom + width / 2;
+            const y = (region.z * REGION_SIZE - 0.5 - this.center.z) * this.zoom + height / 2;
+            if (x + size < 0 || y + size < 0 || x > width || y > height) continue;
+
+            ctx.drawImage(region.canvas, x, y, size, size);
+        }
+
+        this.drawPlayerMarker(width, height);
+
+        this.info.textContent =
+            `X: ${Math.floor(this.center.x)} Z: ${Math.floor(this.center.z)} · ` +
+            `zoom ${this.zoom.toFixed(2)}x · ${this.tiles.explored.size} chunks explored`;
+    }
+
+    drawPlayerMarker(width, height) {
+        const ctx = this.ctx;
+        const x = (this.player.position.x - 0.5 - this.center.x) * this.zoom + width / 2;
+        const y = (this.player.position.z - 0.5 - this.center.z) * this.zoom + height / 2;
+
+        // The camera looks down -Z when rotation.y is 0
+        const angle = Math.atan2(-Math.cos(this.player.rotation.y), -Math.sin(this.player.rotation.y));
+
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(angle);
+        ctx.beginPath();
+        ctx.moveTo(10, 0);
+        ctx.lineTo(-6, 6);
+        ctx.lineTo(-3, 0);
+        ctx.lineTo(-6, -6);
+        ctx.closePath();
+        ctx.fillStyle = '#ffffff';
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        ctx.fill();
+        ctx.restore();
+    }
+
+    async exportPNG() {
+        try {
+            const blob = await this.tiles.exportPNG();
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = 'map.png';
+            a.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            Logger.error('[MapView] Failed to export map:', error);
+            alert(`Map export failed: ${error.message}`);
+        }
+    }
+}
@@ -1,5 +1,10 @@
 import { config } from '../config.js';
-import { BlockType } from '../config.js';
+import { isSolidBlock, isLiquidBlock } from '../config.js';
+
+// Water slows the fall and lets the player swim up while jump is held
+const WATER_GRAVITY_FACTOR = 0.3;
+const WATER_TERMINAL_VELOCITY = -3;
+const SWIM_SPEED = 3;
 
 // Player controller with FIXED physics and FLYING mode
 export class Player {
@@ -11,8 +16,9 @@ export class Player {
         this.isGrounded = false;
         this.canJump = true;
         
-        // Flying mode
+        // Flying mode (only allowed in creative worlds)
         this.isFlying = false;
+        this.canFly = true;
         this.flySpeed = config.moveSpeed * 5; // 5x walking speed
         
         // Player dimensions
@@ -74,11 +80,18 @@ export class Player {
     }
     
     updateWalking(deltaTime, input, camera) {
+        const inWater = this.isInWater();
+        
         // Apply gravity
         if (!this.isGrounded) {
-            this.velocity.y += config.gravity * deltaTime;
-            // Terminal velocity
-            this.velocity.y = Math.max(this.velocity.y, -50);
+            if (inWater) {
+                this.velocity.y += config.gravity * WATER_GRAVITY_FACTOR * deltaTime;
+                this.velocity.y = Math.max(this.velocity.y, WATER_TERMINAL_VELOCITY);
+            } else {
+                this.velocity.y += config.gravity * deltaTime;
+                // Terminal velocity
+                this.velocity.y = Math.max(this.velocity.y, -50);
+            }
         }
 
         // Movement
@@ -104,8 +117,11 @@ export class Player {
             this.velocity.z *= 0.8;
         }
 
-        // Jump
-        if (input.jump && this.isGrounded && this.canJump) {
+        // Jump (or swim up)
+        if (input.jump && inWater) {
+            this.velocity.y = SWIM_SPEED;
+            this.isGrounded = false;
+        } else if (input.jump && this.isGrounded && this.canJump) {
             this.velocity.y = config.jumpVelocity;
             this.isGrounded = false;
             this.canJump = false;
@@ -116,7 +132,7 @@ export class Player {
         }
         
         // Toggle flying mode
-        if (input.toggleFly) {
+        if (input.toggleFly && this.canFly) {
             this.isFlying = true;
             this.velocity.y = 0;
         }
@@ -125,6 +141,34 @@ export class Player {
         this.updatePosition(deltaTime);
     }
 
+    isInWater() {
+        const block = this.world.getBlockAt(this.position.x, this.position.y + 0.5, this.position.z);
+        return isLiquidBlock(block);
+    }
+
+    // State stored in the world metadata
+    getSaveState() {
+        return {
+            position: { x: this.position.x, y: this.position.y, z: this.position.z },
+            rotation: { x: this.rotation.x, y: this.rotation.y },
+            isFlying: this.isFlying
+        };
+    }
+    
+    applySaveState(state) {
+        if (!state) return;
+        
+        if (state.position) {
+            this.position.set(state.position.x, state.position.y, state.position.z);
+        }
+        if (state.rotation) {
+            this.rotation.x = state.rotation.x;
+            this.rotation.y = state.rotation.y;
+        }
+        this.isFlying = this.canFly && !!state.isFlying;
+        this.velocity.set(0, 0, 0);
+    }
+
     updatePosition(deltaTime) {
         // Calculate next position
         const nextPos = this.position.clone();
@@ -155,7 +199,7 @@ export class Player {
                 // Check a small distance below feet
                 for (let checkY = feetY; checkY >= feetY - 0.1; checkY -= 0.05) {
                     const block = this.world.getBlockAt(foot.x, checkY, foot.z);
-                    if (block !== BlockType.AIR) {
+                    if (isSolidBlock(block)) {
                         hitGround = true;
                         highestGround = Math.max(highestGround, Math.floor(checkY) + 1);
                         break;
@@ -183,7 +227,7 @@ export class Player {
             
             for (const head of headPositions) {
                 const block = this.world.getBlockAt(head.x, headY, head.z);
-                if (block !== BlockType.AIR) {
+                if (isSolidBlock(block)) {
                     this.velocity.y = 0;
                     break;
                 }
@@ -228,7 +272,7 @@ export class Player {
         for (const height of checkHeights) {
             for (const point of checkPoints) {
                 const block = this.world.getBlockAt(point.x, height, point.z);
-                if (block !== BlockType.AIR) {
+                if (isSolidBlock(block)) {
                     return true;
                 }
             }
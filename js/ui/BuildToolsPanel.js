@@ -0,0 +1,165 @@
+// BuildToolsPanel.js - Selection and region operations in the settings panel
+import { BlockType } from '../config.js';
+import { listBlocks } from '../world/BlockRegistry.js';
+import { BlockMapping } from '../world/BlockMapping.js';
+import { exportSchematic, importSchematic, SCHEMATIC_EXTENSION } from '../world/Schematic.js';
+import { exportRegionModel, chunkRangeFromBounds } from '../world/ModelExport.js';
+import { Logger } from '../utils/Logger.js';
+
+export class BuildToolsPanel {
+    constructor(world, inputHandler) {
+        this.world = world;
+        this.inputHandler = inputHandler;
+
+        this.info = document.getElementById('selectionInfo');
+        this.blockSelect = document.getElementById('buildBlockType');
+        this.replaceSelect = document.getElementById('buildReplaceFrom');
+        this.schematicInput = document.getElementById('importSchematicInput');
+
+        // Minecraft block names <-> BlockType for .schem files
+        this.blockMapping = new BlockMapping();
+
+        this.populateOptions();
+        this.setupEventListeners();
+        this.updateInfo();
+    }
+
+    populateOptions() {
+        for (const select of [this.blockSelect, this.replaceSelect]) {
+            select.innerHTML = '';
+            for (const { id, name } of listBlocks()) {
+                select.appendChild(new Option(name, id));
+            }
+        }
+        this.blockSelect.value = BlockType.STONE;
+        this.replaceSelect.value = BlockType.GRASS;
+    }
+
+    setupEventListeners() {
+        const editor = this.world.regionEditor;
+        const blockType = () => parseInt(this.blockSelect.value);
+
+        this.bindButton('buildFillBtn', () => editor.fill(blockType()));
+        this.bindButton('buildReplaceBtn', () => editor.replace(parseInt(this.replaceSelect.value), blockType()));
+        this.bindButton('buildHollowBtn', () => editor.hollow());
+        this.bindButton('buildClearBtn', () => editor.clear());
+        this.bindButton('buildCopyBtn', () => editor.copy());
+        this.bindButton('buildPasteBtn', () => {
+            const target = this.inputHandler.getTargetBlock();
+            if (!target || !target.adjacent) {
+                throw new Error('Aim at a block to paste');
+            }
+            editor.paste(target.adjacent, this.inputHandler.pasteOptions);
+        });
+        this.bindButton('buildDeselectBtn', () => this.world.selection.clear());
+
+        this.bindButton('exportSchematicBtn', () => this.exportSelection());
+        this.bindButton('importSchematicBtn', () => {
+            this.schematicInput.value = '';
+            this.schematicInput.click();
+        });
+        this.schematicInput.addEventListener('change', () => {
+            const file = this.schematicInput.files[0];
+            if (file) this.importFile(file);
+        });
+
+        this.bindButton('exportGlbBtn', () => this.exportModel('glb'));
+        this.bindButton('exportObjBtn', () => this.exportModel('obj'));
+
+        const options = this.inputHandler.pasteOptions;
+        const rotation = document.getElementById('pasteRotation');
+        rotation.addEventListener('change', () => {
+            options.rotation = parseInt(rotation.value);
+        });
+
+        for (const [id, key] of [['pasteMirrorX', 'mirrorX'], ['pasteMirrorZ', 'mirrorZ'], ['pasteSkipAir', 'skipAir']]) {
+            const checkbox = document.getElementById(id);
+            checkbox.addEventListener('change', () => {
+                options[key] = checkbox.checked;
+            });
+        }
+
+        // Refresh the summary whenever the settings panel is opened
+        document.getElementById('settingsBtn').addEventListener('click', () => this.updateInfo());
+    }
+
+    bindButton(id, action) {
+        document.getElementById(id).addEventListener('click', () => {
+            try {
+                action();
+            } catch (error) {
+                this.reportError(error);
+            }
+            this.updateInfo();
+        });
+    }
+
+    async exportSelection() {
+        const blob = await exportSchematic(this.world.regionEditor, undefined, this.blockMapping)
+            .catch(error => this.reportError(error));
+        if (blob) {
+            this.download(blob, `${this.getBaseName()}${SCHEMATIC_EXTENSION}`);
+        }
+    }
+
+    exportModel(format) {
+        const range = chunkRangeFromBounds(this.world.regionEditor.getSelectionBounds());
+        const files = exportRegionModel(this.world, range, {
+            format,
+            baseName: this.getBaseName(),
+            mergeByType: document.getElementById('modelMergeByType').checked,
+            recenter: document.getElementById('modelRecenter').checked
+        });
+
+        for (const { blob, fileName } of files) {
+            this.download(blob, fileName);
+        }
+    }
+
+    getBaseName() {
+        return this.world.metadata ? this.world.metadata.name.replace(/[^\w\- ]+/g, '_') : 'region';
+    }
+
+    download(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    async importFile(file) {
+        try {
+            await importSchematic(this.world.regionEditor, await file.arrayBuffer(), this.blockMapping);
+        } catch (error) {
+            this.reportError(error);
+        }
+        this.updateInfo();
+    }
+
+    reportError(error) {
+        Logger.warn(`[BuildToolsPanel] ${error.message}`);
+        alert(error.message);
+    }
+
+    updateInfo() {
+        const bounds = this.world.selection.getBounds();
+        const size = this.world.selection.getSize();
+        const clipboard = this.world.regionEditor.clipboard;
+        const rotation = this.inputHandler.pasteOptions.rotation;
+
+        document.getElementById('pasteRotation').value = rotation;
+
+        const lines = [
+            bounds
+                ? `Selection: ${bounds.min.x},${bounds.min.y},${bounds.min.z} → ` +
+                  `${bounds.max.x},${bounds.max.y},${bounds.max.z} (${size.x}x${size.y}x${size.z})`
+                : 'No selection. Press [ and ] to mark corners.',
+            clipboard
+                ? `Clipboard: ${clipboard.size.x}x${clipboard.size.y}x${clipboard.size.z}`
+                : 'Clipboard: empty'
+        ];
+        this.info.textContent = lines.join('\n');
+    }
+}
@@ -65,6 +65,7 @@ export class DebugOverlay {
             `Workers: ${this.world.workerManager ? (this.world.workerManager.isEnabled() ? 'enabled' : 'disabled') : 'n/a'}`,
             `Flying: ${this.player.isFlying ? 'yes' : 'no'}`,
             '',
+            `World: ${this.world.metadata ? this.world.metadata.name : 'unsaved'} (${this.world.gameMode})`,
             `Seed: ${this.world.seed}`,
             `Render Distance: ${config.renderDistance} chunks`,
             memory ? `Memory: ${memory.used}MB / ${memory.total}MB` : ''
@@ -0,0 +1,377 @@
+// WorldMenu.js - Main menu: saved world list and create-world dialog
+import { createWorldMetadata, GENERATOR_TYPES, GAME_MODES, CARVER_AMOUNTS, CARVER_SIZES } from '../world/WorldMetadata.js';
+import { DEFAULT_FLAT_LAYERS } from '../world/generation/FlatGenerator.js';
+import { DEFAULT_GENERATOR } from '../world/generation/GeneratorRegistry.js';
+import { BUILTIN_PRESETS, loadBuiltinPreset, parsePreset } from '../world/generation/Presets.js';
+import { exportWorld, importWorld } from '../world/WorldFile.js';
+import { importRegionFiles } from '../world/RegionFile.js';
+import { Logger } from '../utils/Logger.js';
+
+export class WorldMenu {
+    constructor(worldSave) {
+        this.worldSave = worldSave;
+        this.worlds = [];
+        this.selectedId = null;
+        this.resolveSelection = null;
+
+        this.menu = document.getElementById('worldMenu');
+        this.worldPanel = document.getElementById('worldSelectPanel');
+        this.list = document.getElementById('worldList');
+        this.dialog = document.getElementById('createWorldDialog');
+        this.playBtn = document.getElementById('playWorldBtn');
+        this.deleteBtn = document.getElementById('deleteWorldBtn');
+        this.exportBtn = document.getElementById('exportWorldBtn');
+        this.importInput = document.getElementById('importWorldInput');
+        this.regionInput = document.getElementById('importRegionInput');
+        this.presetSelect = document.getElementById('newWorldPreset');
+        this.presetInput = document.getElementById('presetFileInput');
+        
+        // Preset loaded from a user file (offered as the "custom" option)
+        this.filePreset = null;
+
+        this.populateOptions();
+        this.setupEventListeners();
+    }
+
+    populateOptions() {
+        const generatorSelect = document.getElementById('newWorldGenerator');
+        generatorSelect.innerHTML = '';
+        for (const { id, label } of GENERATOR_TYPES) {
+            generatorSelect.appendChild(new Option(label, id));
+        }
+
+        const modeSelect = document.getElementById('newWorldGameMode');
+        modeSelect.innerHTML = '';
+        for (const { id, label } of GAME_MODES) {
+            modeSelect.appendChild(new Option(label, id));
+        }
+
+        for (const selectId of ['newWorldCaves', 'newWorldRavines']) {
+            const select = document.getElementById(selectId);
+            select.innerHTML = '';
+            for (const { id, label } of CARVER_AMOUNTS) {
+                select.appendChild(new Option(label, id, false, id === 'normal'));
+            }
+        }
+
+        const sizeSelect = document.getElementById('newWorldCaveSize');
+        sizeSelect.innerHTML = '';
+        for (const { id, label } of CARVER_SIZES) {
+            sizeSelect.appendChild(new Option(label, id, false, id === 'normal'));
+        }
+
+        this.presetSelect.innerHTML = '';
+        for (const { id, label } of BUILTIN_PRESETS) {
+            this.presetSelect.appendChild(new Option(label, id));
+        }
+        this.presetSelect.appendChild(new Option('Load from file...', 'file'));
+    }
+
+    setupEventListeners() {
+        this.playBtn.addEventListener('click', () => {
+            const metadata = this.getSelectedWorld();
+            if (metadata) this.play(metadata);
+        });
+
+        this.deleteBtn.addEventListener('click', () => this.deleteSelected());
+
+        this.exportBtn.addEventListener('click', () => this.exportSelected());
+
+        document.getElementById('importWorldBtn').addEventListener('click', () => {
+            this.importInput.value = '';
+            this.importInput.click();
+        });
+
+        this.importInput.addEventListener('change', () => {
+            const file = this.importInput.files[0];
+            if (file) this.importFile(file);
+        });
+
+        document.getElementById('importRegionBtn').addEventListener('click', () => {
+            this.regionInput.value = '';
+            this.regionInput.click();
+        });
+
+        this.regionInput.addEventListener('change', () => {
+            const files = Array.from(this.regionInput.files);
+            if (files.length > 0) this.importRegions(files);
+        });
+
+        document.getElementById('createWorldBtn').addEventListener('click', () => {
+            this.showDialog(true);
+        });
+
+        document.getElementById('cancelCreateWorldBtn').addEventListener('click', () => {
+            this.showDialog(false);
+        });
+
+        // "Load from file..." opens the file picker and keeps the previous choice until a preset loads
+        this.presetChoice = 'default';
+        this.presetSelect.addEventListener('change', () => {
+            if (this.presetSelect.value === 'file') {
+                this.presetSelect.value = this.presetChoice;
+                this.presetInput.value = '';
+                this.presetInput.click();
+            } else {
+                this.presetChoice = this.presetSelect.value;
+            }
+        });
+
+        this.presetInput.addEventListener('change', () => {
+            const file = this.presetInput.files[0];
+            if (file) this.loadPresetFile(file);
+        });
+
+        // Layer options only apply to superflat worlds
+        document.getElementById('newWorldGenerator').addEventListener('change', () => this.updateGeneratorOptions());
+
+        document.getElementById('confirmCreateWorldBtn').addEventListener('click', () => {
+            this.createWorld();
+        });
+    }
+
+    // Show the menu and resolve with the metadata of the world to play
+    show() {
+        this.menu.style.display = 'flex';
+        this.showDialog(false);
+        this.refresh();
+
+        return new Promise(resolve => {
+            this.resolveSelection = resolve;
+        });
+    }
+
+    hide() {
+        this.menu.style.display = 'none';
+    }
+
+    showDialog(visible) {
+        this.dialog.style.display = visible ? 'block' : 'none';
+        this.worldPanel.style.display = visible ? 'none' : 'block';
+
+        if (visible) {
+            const nameInput = document.getElementById('newWorldName');
+            nameInput.value = `New World ${this.worlds.length + 1}`;
+            document.getElementById('newWorldSeed').value = '';
+            document.getElementById('newWorldLayers').value = DEFAULT_FLAT_LAYERS;
+            document.getElementById('newWorldDecorations').checked = false;
+            this.presetSelect.value = this.presetChoice = 'default';
+            this.updateGeneratorOptions();
+            nameInput.focus();
+        }
+    }
+
+    updateGeneratorOptions() {
+        const generator = document.getElementById('newWorldGenerator').value;
+        document.getElementById('flatWorldOptions').style.display = generator === 'flat' ? 'block' : 'none';
+        // Presets configure the default generator only
+        document.getElementById('presetWorldOptions').style.display = generator === DEFAULT_GENERATOR ? 'block' : 'none';
+    }
+
+    async loadPresetFile(file) {
+        try {
+            this.filePreset = parsePreset(await file.text());
+        } catch (error) {
+            Logger.error('[WorldMenu] Failed to load preset:', error);
+            alert(error.message);
+            return;
+        }
+
+        let option = this.presetSelect.querySelector('option[value="custom"]');
+        if (!option) {
+            option = new Option('', 'custom');
+            this.presetSelect.insertBefore(option, this.presetSelect.lastChild);
+        }
+        option.textContent = `File: ${this.filePreset.name}`;
+        this.presetSelect.value = 'custom';
+        this.presetChoice = 'custom';
+
+        Logger.info(`[WorldMenu] Loaded preset "${this.filePreset.name}" from ${file.name}`);
+    }
+
+    // Preset chosen in the dialog, or null for the default generator settings
+    async getSelectedPreset() {
+        if (document.getElementById('newWorldGenerator').value !== DEFAULT_GENERATOR) return null;
+
+        switch (this.presetChoice) {
+            case 'default': return null;
+            case 'custom': return this.filePreset;
+            default: return loadBuiltinPreset(this.presetChoice);
+        }
+    }
+
+    async refresh() {
+        try {
+            this.worlds = await this.worldSave.listWorlds();
+        } catch (error) {
+            Logger.error('[WorldMenu] Failed to list worlds:', error);
+            this.worlds = [];
+        }
+
+        if (!this.worlds.some(w => w.id === this.selectedId)) {
+            this.selectedId = this.worlds.length > 0 ? this.worlds[0].id : null;
+        }
+
+        this.renderList();
+    }
+
+    renderList() {
+        this.list.innerHTML = '';
+
+        if (this.worlds.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'world-list-empty';
+            empty.textContent = 'No saved worlds yet. Create one to start playing.';
+            this.list.appendChild(empty);
+        }
+
+        for (const metadata of this.worlds) {
+            const item = document.createElement('div');
+            item.className = 'world-item' + (metadata.id === this.selectedId ? ' selected' : '');
+
+            const name = document.createElement('div');
+            name.className = 'world-name';
+            name.textContent = metadata.name;
+
+            const details = document.createElement('div');
+            details.className = 'world-details';
+            details.textContent = `${metadata.gameMode} · ${metadata.generator} · seed ${metadata.seed} · ` +
+                `last played ${new Date(metadata.lastPlayed).toLocaleString()}`;
+
+            item.appendChild(name);
+            item.appendChild(details);
+
+            item.addEventListener('click', () => {
+                this.selectedId = metadata.id;
+                this.renderList();
+            });
+            item.addEventListener('dblclick', () => this.play(metadata));
+
+            this.list.appendChild(item);
+        }
+
+        const hasSelection = this.getSelectedWorld() !== null;
+        this.playBtn.disabled = !hasSelection;
+        this.deleteBtn.disabled = !hasSelection;
+        this.exportBtn.disabled = !hasSelection;
+    }
+
+    getSelectedWorld() {
+        return this.worlds.find(w => w.id === this.selectedId) || null;
+    }
+
+    async createWorld() {
+        let metadata;
+        try {
+            metadata = await this.readCreateDialog();
+        } catch (error) {
+            alert(`Invalid world settings: ${error.message}`);
+            return;
+        }
+
+        Logger.info(`[WorldMenu] Creating world "${metadata.name}" with seed ${metadata.seed}`);
+        await this.play(metadata);
+    }
+
+    // Metadata for the world described by the create dialog (throws if the layers or preset are invalid)
+    async readCreateDialog() {
+        const preset = await this.getSelectedPreset();
+
+        return createWorldMetadata({
+            name: document.getElementById('newWorldName').value,
+            seedText: document.getElementById('newWorldSeed').value,
+            generator: document.getElementById('newWorldGenerator').value,
+            gameMode: document.getElementById('newWorldGameMode').value,
+            carvers: {
+                caves: document.getElementById('newWorldCaves').value,
+                ravines: document.getElementById('newWorldRavines').value,
+                size: document.getElementById('newWorldCaveSize').value
+            },
+            flat: {
+                layers: document.getElementById('newWorldLayers').value,
+                decorations: document.getElementById('newWorldDecorations').checked
+            },
+            preset
+        });
+    }
+
+    async deleteSelected() {
+        const metadata = this.getSelectedWorld();
+        if (!metadata) return;
+
+        if (!confirm(`Delete world "${metadata.name}"? This cannot be undone.`)) return;
+
+        try {
+            await this.worldSave.deleteWorld(metadata.id);
+        } catch (error) {
+            Logger.error('[WorldMenu] Failed to delete world:', error);
+        }
+
+        this.selectedId = null;
+        this.refresh();
+    }
+
+    async exportSelected() {
+        const metadata = this.getSelectedWorld();
+        if (!metadata) return;
+
+        try {
+            const { blob, fileName } = await exportWorld(this.worldSave, metadata.id);
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = fileName;
+            a.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            Logger.error('[WorldMenu] Failed to export world:', error);
+            alert(`Export failed: ${error.message}`);
+        }
+    }
+
+    async importFile(file) {
+        try {
+            const metadata = await importWorld(this.worldSave, await file.arrayBuffer());
+            this.selectedId = metadata.id;
+            this.refresh();
+        } catch (error) {
+            Logger.error('[WorldMenu] Failed to import world:', error);
+            alert(`Import failed: ${error.message}`);
+        }
+    }
+
+    // Minecraft Java region files (.mca) become a new world
+    async importRegions(files) {
+        try {
+            const regions = [];
+            for (const file of files) {
+                regions.push({ name: file.name, buffer: await file.arrayBuffer() });
+            }
+
+            const name = files.length === 1 ? files[0].name.replace(/\.mca$/, '') : `Imported Map (${files.length} regions)`;
+            const metadata = await importRegionFiles(this.worldSave, regions, { name });
+            this.selectedId = metadata.id;
+            this.refresh();
+        } catch (error) {
+            Logger.error('[WorldMenu] Failed to import region files:', error);
+            alert(`Import failed: ${error.message}`);
+        }
+    }
+
+    async play(metadata) {
+        metadata.lastPlayed = Date.now();
+
+        try {
+            await this.worldSave.saveMetadata(metadata);
+        } catch (error) {
+            Logger.error('[WorldMenu] Failed to save world metadata:', error);
+        }
+
+        this.hide();
+
+        if (this.resolveSelection) {
+            this.resolveSelection(metadata);
+            this.resolveSelection = null;
+        }
+    }
+}
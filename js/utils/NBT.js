@@ -0,0 +1,293 @@
+/**
+ * NBT - Lector/escritor del formato Named Binary Tag de Minecraft (Java Edition)
+ *
+ * Big-endian, sin dependencias de red. Cada tag es { type, value }:
+ *   BYTE/SHORT/INT/FLOAT/DOUBLE   number
+ *   LONG                          BigInt
+ *   BYTE_ARRAY                    Int8Array
+ *   INT_ARRAY                     Int32Array
+ *   LONG_ARRAY                    BigInt64Array
+ *   STRING                        string
+ *   LIST                          { elementType, items: [valor sin envolver] }
+ *   COMPOUND                      { nombre: tag }
+ *
+ * Los ficheros suelen ir comprimidos con gzip: gzip/gunzip usan
+ * CompressionStream del navegador.
+ */
+
+export const TagType = {
+    END: 0,
+    BYTE: 1,
+    SHORT: 2,
+    INT: 3,
+    LONG: 4,
+    FLOAT: 5,
+    DOUBLE: 6,
+    BYTE_ARRAY: 7,
+    STRING: 8,
+    LIST: 9,
+    COMPOUND: 10,
+    INT_ARRAY: 11,
+    LONG_ARRAY: 12
+};
+
+// Constructores de tags para escribir
+export const Tag = {
+    byte: value => ({ type: TagType.BYTE, value }),
+    short: value => ({ type: TagType.SHORT, value }),
+    int: value => ({ type: TagType.INT, value }),
+    long: value => ({ type: TagType.LONG, value: BigInt(value) }),
+    float: value => ({ type: TagType.FLOAT, value }),
+    double: value => ({ type: TagType.DOUBLE, value }),
+    byteArray: value => ({ type: TagType.BYTE_ARRAY, value: Int8Array.from(value) }),
+    string: value => ({ type: TagType.STRING, value }),
+    list: (elementType, items) => ({ type: TagType.LIST, value: { elementType, items } }),
+    compound: value => ({ type: TagType.COMPOUND, value }),
+    intArray: value => ({ type: TagType.INT_ARRAY, value: Int32Array.from(value) }),
+    longArray: value => ({ type: TagType.LONG_ARRAY, value: BigInt64Array.from(value, BigInt) })
+};
+
+class NBTReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.offset = 0;
+        this.decoder = new TextDecoder();
+    }
+
+    ensure(length) {
+        if (this.offset + length > this.bytes.length) {
+            throw new RangeError(`NBT truncated at byte ${this.offset}`);
+        }
+    }
+
+    byte() { this.ensure(1); return this.view.getInt8(this.offset++); }
+    short() { this.ensure(2); const v = this.view.getInt16(this.offset); this.offset += 2; return v; }
+    int() { this.ensure(4); const v = this.view.getInt32(this.offset); this.offset += 4; return v; }
+    long() { this.ensure(8); const v = this.view.getBigInt64(this.offset); this.offset += 8; return v; }
+    float() { this.ensure(4); const v = this.view.getFloat32(this.offset); this.offset += 4; return v; }
+    double() { this.ensure(8); const v = this.view.getFloat64(this.offset); this.offset += 8; return v; }
+
+    string() {
+        this.ensure(2);
+        const length = this.view.getUint16(this.offset);
+        this.offset += 2;
+        this.ensure(length);
+        // Modified UTF-8 de Java: igual que UTF-8 salvo casos raros (\0 y caracteres fuera del BMP)
+        const value = this.decoder.decode(this.bytes.subarray(this.offset, this.offset + length));
+        this.offset += length;
+        return value;
+    }
+
+    arrayLength(elementSize) {
+        const length = this.int();
+        if (length < 0) throw new RangeError(`Negative NBT array length ${length}`);
+        this.ensure(length * elementSize);
+        return length;
+    }
+
+    payload(type) {
+        switch (type) {
+            case TagType.BYTE: return this.byte();
+            case TagType.SHORT: return this.short();
+            case TagType.INT: return this.int();
+            case TagType.LONG: return this.long();
+            case TagType.FLOAT: return this.float();
+            case TagType.DOUBLE: return this.double();
+            case TagType.STRING: return this.string();
+
+            case TagType.BYTE_ARRAY: {
+                const length = this.arrayLength(1);
+                const value = new Int8Array(this.bytes.buffer.slice(
+                    this.bytes.byteOffset + this.offset,
+                    this.bytes.byteOffset + this.offset + length));
+                this.offset += length;
+                return value;
+            }
+
+            case TagType.INT_ARRAY: {
+                const length = this.arrayLength(4);
+                const value = new Int32Array(length);
+                for (let i = 0; i < length; i++) value[i] = this.int();
+                return value;
+            }
+
+            case TagType.LONG_ARRAY: {
+                const length = this.arrayLength(8);
+                const value = new BigInt64Array(length);
+                for (let i = 0; i < length; i++) value[i] = this.long();
+                return value;
+            }
+
+            case TagType.LIST: {
+                const elementType = this.byte();
+                const length = this.int();
+                const items = [];
+                for (let i = 0; i < length; i++) items.push(this.payload(elementType));
+                return { elementType, items };
+            }
+
+            case TagType.COMPOUND: {
+                const value = {};
+                for (;;) {
+                    const childType = this.byte();
+                    if (childType === TagType.END) break;
+                    const name = this.string();
+                    value[name] = { type: childType, value: this.payload(childType) };
+                }
+                return value;
+            }
+
+            default:
+                throw new Error(`Unknown NBT tag type ${type} at byte ${this.offset}`);
+        }
+    }
+}
+
+class NBTWriter {
+    constructor() {
+        this.bytes = new Uint8Array(1024);
+        this.view = new DataView(this.bytes.buffer);
+        this.offset = 0;
+        this.encoder = new TextEncoder();
+    }
+
+    reserve(length) {
+        if (this.offset + length <= this.bytes.length) return;
+
+        let size = this.bytes.length * 2;
+        while (size < this.offset + length) size *= 2;
+
+        const bytes = new Uint8Array(size);
+        bytes.set(this.bytes);
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer);
+    }
+
+    byte(v) { this.reserve(1); this.view.setInt8(this.offset, v); this.offset += 1; }
+    short(v) { this.reserve(2); this.view.setInt16(this.offset, v); this.offset += 2; }
+    int(v) { this.reserve(4); this.view.setInt32(this.offset, v); this.offset += 4; }
+    long(v) { this.reserve(8); this.view.setBigInt64(this.offset, BigInt(v)); this.offset += 8; }
+    float(v) { this.reserve(4); this.view.setFloat32(this.offset, v); this.offset += 4; }
+    double(v) { this.reserve(8); this.view.setFloat64(this.offset, v); this.offset += 8; }
+
+    string(v) {
+        const encoded = this.encoder.encode(v);
+        if (encoded.length > 0xFFFF) throw new RangeError('NBT string too long');
+        this.reserve(2 + encoded.length);
+        this.view.setUint16(this.offset, encoded.length);
+        this.offset += 2;
+        this.bytes.set(encoded, this.offset);
+        this.offset += encoded.length;
+    }
+
+    payload(type, value) {
+        switch (type) {
+            case TagType.BYTE: return this.byte(value);
+            case TagType.SHORT: return this.short(value);
+            case TagType.INT: return this.int(value);
+            case TagType.LONG: return this.long(value);
+            case TagType.FLOAT: return this.float(value);
+            case TagType.DOUBLE: return this.double(value);
+            case TagType.STRING: return this.string(value);
+
+            case TagType.BYTE_ARRAY:
+                this.int(value.length);
+                this.reserve(value.length);
+                this.bytes.set(new Uint8Array(value.buffer, value.byteOffset, value.length), this.offset);
+                this.offset += value.length;
+                return;
+
+            case TagType.INT_ARRAY:
+                this.int(value.length);
+                for (const v of value) this.int(v);
+                return;
+
+            case TagType.LONG_ARRAY:
+                this.int(value.length);
+                for (const v of value) this.long(v);
+                return;
+
+            case TagType.LIST:
+                this.byte(value.items.length === 0 ? TagType.END : value.elementType);
+                this.int(value.items.length);
+                for (const item of value.items) this.payload(value.elementType, item);
+                return;
+
+            case TagType.COMPOUND:
+                for (const [name, tag] of Object.entries(value)) {
+                    this.byte(tag.type);
+                    this.string(name);
+                    this.payload(tag.type, tag.value);
+                }
+                this.byte(TagType.END);
+                return;
+
+            default:
+                throw new Error(`Unknown NBT tag type ${type}`);
+        }
+    }
+
+    result() {
+        return this.bytes.slice(0, this.offset);
+    }
+}
+
+/**
+ * Leer un NBT sin comprimir. Devuelve { name, tag } del tag raíz.
+ */
+export function readNBT(bytes) {
+    const reader = new NBTReader(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes));
+
+    const type = reader.byte();
+    if (type !== TagType.COMPOUND) {
+        throw new Error(`NBT root must be a compound, got tag type ${type}`);
+    }
+
+    const name = reader.string();
+    return { name, tag: { type, value: reader.payload(type) } };
+}
+
+/**
+ * Escribir un tag raíz con nombre. Devuelve los bytes sin comprimir.
+ */
+export function writeNBT(name, tag) {
+    const writer = new NBTWriter();
+    writer.byte(tag.type);
+    writer.string(name);
+    writer.payload(tag.type, tag.value);
+    return writer.result();
+}
+
+/**
+ * Valor de un hijo de un compound, o undefined si falta o es de otro tipo
+ */
+export function getTagValue(compound, name, type) {
+    const tag = compound[name];
+    if (!tag || (type !== undefined && tag.type !== type)) return undefined;
+    return tag.value;
+}
+
+export function isGzip(bytes) {
+    return bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+}
+
+async function transform(bytes, stream) {
+    const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+export function gzip(bytes) {
+    return transform(bytes, new CompressionStream('gzip'));
+}
+
+export function gunzip(bytes) {
+    return transform(bytes, new DecompressionStream('gzip'));
+}
+
+/**
+ * Descomprimir zlib (chunks de los ficheros de región .mca)
+ */
+export function inflate(bytes) {
+    return transform(bytes, new DecompressionStream('deflate'));
+}
@@ -0,0 +1,291 @@
+/**
+ * Noise - Ruido de gradiente con semilla para la generación del mundo
+ *
+ *   Random          PRNG determinista (mulberry32)
+ *   mixSeed         combinar una semilla con coordenadas u otros enteros
+ *   SimplexNoise    simplex 2D/3D con tabla de permutación barajada por la semilla,
+ *                   más fBm, ridged y domain warp
+ *
+ * Todo es determinista para una misma semilla y no depende del DOM, así que el
+ * mismo módulo se usa en el hilo principal y en los workers.
+ */
+
+/**
+ * Generador pseudoaleatorio con semilla de 32 bits
+ */
+export class Random {
+    constructor(seed = 0) {
+        this.state = seed >>> 0;
+    }
+
+    // Número en [0, 1)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Entero en [0, max)
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    chance(probability) {
+        return this.next() < probability;
+    }
+}
+
+/**
+ * Mezclar una semilla con varios enteros (p. ej. coordenadas de chunk) en una
+ * semilla nueva de 32 bits. Sirve para un Random independiente por posición.
+ */
+export function mixSeed(seed, ...values) {
+    let h = (seed | 0) ^ 0x9E3779B9;
+    for (const value of values) {
+        h = Math.imul(h ^ (value | 0), 0x85EBCA6B);
+        h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+        h ^= h >>> 16;
+    }
+    return h >>> 0;
+}
+
+// Gradientes: las 12 aristas del cubo (en 2D se usan sus componentes x, y)
+const GRAD3 = new Float64Array([
+    1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1, 0,
+    1, 0, 1, -1, 0, 1, 1, 0, -1, -1, 0, -1,
+    0, 1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1
+]);
+
+const F2 = 0.5 * (Math.sqrt(3) - 1);
+const G2 = (3 - Math.sqrt(3)) / 6;
+const F3 = 1 / 3;
+const G3 = 1 / 6;
+
+// Desplazamiento entre octavas para que no coincidan todas en el origen
+const OCTAVE_OFFSET = 71.37;
+
+export class SimplexNoise {
+    constructor(seed = 0) {
+        this.seed = seed;
+
+        const random = new Random(seed);
+        const p = new Uint8Array(256);
+        for (let i = 0; i < 256; i++) p[i] = i;
+
+        for (let i = 255; i > 0; i--) {
+            const j = random.nextInt(i + 1);
+            const tmp = p[i];
+            p[i] = p[j];
+            p[j] = tmp;
+        }
+
+        this.perm = new Uint8Array(512);
+        this.permMod12 = new Uint8Array(512);
+        for (let i = 0; i < 512; i++) {
+            this.perm[i] = p[i & 255];
+            this.permMod12[i] = this.perm[i] % 12;
+        }
+    }
+
+    /**
+     * Simplex 2D en [-1, 1]
+     */
+    noise2D(x, y) {
+        const perm = this.perm;
+        const permMod12 = this.permMod12;
+
+        const s = (x + y) * F2;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const t = (i + j) * G2;
+        const x0 = x - i + t;
+        const y0 = y - j + t;
+
+        const i1 = x0 > y0 ? 1 : 0;
+        const j1 = 1 - i1;
+
+        const x1 = x0 - i1 + G2;
+        const y1 = y0 - j1 + G2;
+        const x2 = x0 - 1 + 2 * G2;
+        const y2 = y0 - 1 + 2 * G2;
+
+        const ii = i & 255;
+        const jj = j & 255;
+        let n = 0;
+
+        let t0 = 0.5 - x0 * x0 - y0 * y0;
+        if (t0 > 0) {
+            const g = permMod12[ii + perm[jj]] * 3;
+            t0 *= t0;
+            n += t0 * t0 * (GRAD3[g] * x0 + GRAD3[g + 1] * y0);
+        }
+
+        let t1 = 0.5 - x1 * x1 - y1 * y1;
+        if (t1 > 0) {
+            const g = permMod12[ii + i1 + perm[jj + j1]] * 3;
+            t1 *= t1;
+            n += t1 * t1 * (GRAD3[g] * x1 + GRAD3[g + 1] * y1);
+        }
+
+        let t2 = 0.5 - x2 * x2 - y2 * y2;
+        if (t2 > 0) {
+            const g = permMod12[ii + 1 + perm[jj + 1]] * 3;
+            t2 *= t2;
+            n += t2 * t2 * (GRAD3[g] * x2 + GRAD3[g + 1] * y2);
+        }
+
+        return 70 * n;
+    }
+
+    /**
+     * Simplex 3D en [-1, 1]
+     */
+    noise3D(x, y, z) {
+        const perm = this.perm;
+        const permMod12 = this.permMod12;
+
+        const s = (x + y + z) * F3;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const k = Math.floor(z + s);
+        const t = (i + j + k) * G3;
+        const x0 = x - i + t;
+        const y0 = y - j + t;
+        const z0 = z - k + t;
+
+        // Qué tetraedro del cubo contiene el punto
+        let i1, j1, k1, i2, j2, k2;
+        if (x0 >= y0) {
+            if (y0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+            else if (x0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 0; k2 = 1; }
+            else { i1 = 0; j1 = 0; k1 = 1; i2 = 1; j2 = 0; k2 = 1; }
+        } else {
+            if (y0 < z0) { i1 = 0; j1 = 0; k1 = 1; i2 = 0; j2 = 1; k2 = 1; }
+            else if (x0 < z0) { i1 = 0; j1 = 1; k1 = 0; i2 = 0; j2 = 1; k2 = 1; }
+            else { i1 = 0; j1 = 1; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+        }
+
+        const x1 = x0 - i1 + G3;
+        const y1 = y0 - j1 + G3;
+        const z1 = z0 - k1 + G3;
+        const x2 = x0 - i2 + 2 * G3;
+        const y2 = y0 - j2 + 2 * G3;
+        const z2 = z0 - k2 + 2 * G3;
+        const x3 = x0 - 1 + 3 * G3;
+        const y3 = y0 - 1 + 3 * G3;
+        const z3 = z0 - 1 + 3 * G3;
+
+        const ii = i & 255;
+        const jj = j & 255;
+        const kk = k & 255;
+        let n = 0;
+
+        let t0 = 0.6 - x0 * x0 - y0 * y0 - z0 * z0;
+        if (t0 > 0) {
+            const g = permMod12[ii + perm[jj + perm[kk]]] * 3;
+            t0 *= t0;
+            n += t0 * t0 * (GRAD3[g] * x0 + GRAD3[g + 1] * y0 + GRAD3[g + 2] * z0);
+        }
+
+        let t1 = 0.6 - x1 * x1 - y1 * y1 - z1 * z1;
+        if (t1 > 0) {
+            const g = permMod12[ii + i1 + perm[jj + j1 + perm[kk + k1]]] * 3;
+            t1 *= t1;
+            n += t1 * t1 * (GRAD3[g] * x1 + GRAD3[g + 1] * y1 + GRAD3[g + 2] * z1);
+        }
+
+        let t2 = 0.6 - x2 * x2 - y2 * y2 - z2 * z2;
+        if (t2 > 0) {
+            const g = permMod12[ii + i2 + perm[jj + j2 + perm[kk + k2]]] * 3;
+            t2 *= t2;
+            n += t2 * t2 * (GRAD3[g] * x2 + GRAD3[g + 1] * y2 + GRAD3[g + 2] * z2);
+        }
+
+        let t3 = 0.6 - x3 * x3 - y3 * y3 - z3 * z3;
+        if (t3 > 0) {
+            const g = permMod12[ii + 1 + perm[jj + 1 + perm[kk + 1]]] * 3;
+            t3 *= t3;
+            n += t3 * t3 * (GRAD3[g] * x3 + GRAD3[g + 1] * y3 + GRAD3[g + 2] * z3);
+        }
+
+        return 32 * n;
+    }
+
+    /**
+     * fBm 2D: suma de octavas normalizada a [-1, 1]
+     */
+    fbm2D(x, y, octaves = 4, lacunarity = 2, gain = 0.5) {
+        let value = 0;
+        let amplitude = 1;
+        let frequency = 1;
+        let maxValue = 0;
+
+        for (let i = 0; i < octaves; i++) {
+            const offset = i * OCTAVE_OFFSET;
+            value += this.noise2D(x * frequency + offset, y * frequency + offset) * amplitude;
+            maxValue += amplitude;
+            amplitude *= gain;
+            frequency *= lacunarity;
+        }
+
+        return value / maxValue;
+    }
+
+    /**
+     * fBm 3D normalizado a [-1, 1]
+     */
+    fbm3D(x, y, z, octaves = 4, lacunarity = 2, gain = 0.5) {
+        let value = 0;
+        let amplitude = 1;
+        let frequency = 1;
+        let maxValue = 0;
+
+        for (let i = 0; i < octaves; i++) {
+            const offset = i * OCTAVE_OFFSET;
+            value += this.noise3D(x * frequency + offset, y * frequency + offset, z * frequency + offset) * amplitude;
+            maxValue += amplitude;
+            amplitude *= gain;
+            frequency *= lacunarity;
+        }
+
+        return value / maxValue;
+    }
+
+    /**
+     * Ridged 2D en [0, 1]: crestas afiladas donde el ruido cruza el cero
+     */
+    ridged2D(x, y, octaves = 4, lacunarity = 2, gain = 0.5) {
+        let value = 0;
+        let amplitude = 1;
+        let frequency = 1;
+        let maxValue = 0;
+
+        for (let i = 0; i < octaves; i++) {
+            const offset = i * OCTAVE_OFFSET;
+            const ridge = 1 - Math.abs(this.noise2D(x * frequency + offset, y * frequency + offset));
+            value += ridge * ridge * amplitude;
+            maxValue += amplitude;
+            amplitude *= gain;
+            frequency *= lacunarity;
+        }
+
+        return value / maxValue;
+    }
+
+    /**
+     * Domain warp 2D: devuelve { x, y } desplazados hasta `strength` unidades
+     * para muestrear otro ruido con formas menos regulares
+     */
+    warp2D(x, y, strength = 1, octaves = 2) {
+        return {
+            x: x + this.fbm2D(x + 31.7, y + 12.3, octaves) * strength,
+            y: y + this.fbm2D(x - 47.1, y + 83.9, octaves) * strength
+        };
+    }
+}
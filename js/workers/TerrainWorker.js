@@ -1,27 +1,61 @@
-// DEBUG: Agrega logs exhaustivos en el worker
+/**
+ * TerrainWorker - Worker de módulo que genera columnas de chunks
+ * Carga el mismo registro de generadores que el hilo principal, así que el terreno
+ * es idéntico se genere donde se genere. Antes de la primera petición recibe con
+ * REGISTER_BLOCKS los bloques registrados en el hilo principal.
+ */
+
+import { createGenerator } from '../world/generation/GeneratorRegistry.js';
+import { syncBlocks } from '../world/BlockRegistry.js';
+
+// Una instancia por generador; generateColumn() cambia la semilla si hace falta
+const generators = new Map();
+
+function getGenerator(id, seed) {
+    let generator = generators.get(id);
+    if (!generator) {
+        generator = createGenerator(id, seed);
+        generators.set(id, generator);
+    }
+    return generator;
+}
+
 self.onmessage = function(e) {
-    console.log('[TerrainWorker] Received:', e.data);
-    const { id, data } = e.data;
-    const { x, z, chunkSize, seed, lod } = data;
-    try {
-        // ... (resto del código de generación)
-        // Simulación de generación
-        const blocks = new Uint8Array(chunkSize * chunkSize * chunkSize);
-        // ...
-        console.log('[TerrainWorker] Sending result for', id);
-        self.postMessage({
-            id: id,
-            result: {
-                buffer: blocks.buffer,
-                x: x,
-                z: z
-            }
-        }, [blocks.buffer]);
-    } catch (error) {
-        console.error('[TerrainWorker] Error:', error);
-        self.postMessage({
-            id: id,
-            error: error.message
-        });
+    const { type, data } = e.data;
+
+    if (type === 'REGISTER_BLOCKS') {
+        try {
+            syncBlocks(data.blocks);
+        } catch (error) {
+            self.postMessage({
+                type: 'ERROR',
+                error: error.message
+            });
+        }
+
+    } else if (type === 'GENERATE_CHUNK_COLUMN') {
+        try {
+            const { chunkX, chunkZ, seed, generator, options } = data;
+            const column = getGenerator(generator, seed).generateColumn(chunkX, chunkZ, seed, options);
+
+            const { subChunks } = column;
+            const biomes = column.biomes.buffer;
+
+            // Los sub-chunks de un solo estado no tienen array de índices
+            const transfer = subChunks
+                .filter(subChunk => subChunk.storage.data)
+                .map(subChunk => subChunk.storage.data.buffer);
+
+            self.postMessage({
+                type: 'CHUNK_COLUMN_GENERATED',
+                data: { chunkX, chunkZ, subChunks, biomes }
+            }, [...transfer, biomes]);
+
+        } catch (error) {
+            self.postMessage({
+                type: 'ERROR',
+                error: error.message
+            });
+        }
     }
-};
\ No newline at end of file
+};
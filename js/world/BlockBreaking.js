@@ -0,0 +1,134 @@
+/**
+ * BlockBreaking - Romper bloques manteniendo pulsado, con grietas sobre el bloque
+ *
+ * Mientras se mantiene el botón, update() suma el tiempo al progreso del bloque
+ * apuntado; el bloque se rompe al llegar a su breakTime del registro. El progreso
+ * vuelve a 0 al cambiar de bloque, al soltar el botón o si el bloque cambia.
+ *
+ * Las grietas son CRACK_STAGES fases dibujadas por código en una tira de teselas;
+ * la caja que las muestra elige la fase desplazando el UV de la textura.
+ */
+
+import { BlockType } from '../config.js';
+import { getBlock } from './BlockRegistry.js';
+import { Random } from '../utils/Noise.js';
+
+export const CRACK_STAGES = 10;
+
+const CRACK_SIZE = 16;
+
+// Grietas de todas las fases: cada fase añade sus segmentos a los de la anterior
+function paintCracks(context) {
+    const random = new Random(0x0C4AC);
+    const segments = [];
+
+    // Caminos aleatorios desde el centro hacia los bordes
+    for (let i = 0; i < CRACK_STAGES; i++) {
+        let x = 6 + random.nextInt(4);
+        let y = 6 + random.nextInt(4);
+        const dx = random.chance(0.5) ? 1 : -1;
+        const dy = random.chance(0.5) ? 1 : -1;
+        const pixels = [];
+        for (let step = 0; step < 3 + i; step++) {
+            if (random.chance(0.5)) x += dx; else y += dy;
+            if (x < 0 || y < 0 || x >= CRACK_SIZE || y >= CRACK_SIZE) break;
+            pixels.push([x, y]);
+        }
+        segments.push(pixels);
+    }
+
+    for (let stage = 0; stage < CRACK_STAGES; stage++) {
+        // Más oscuras cuanto más avanzada la fase
+        context.fillStyle = `rgba(0, 0, 0, ${0.45 + 0.5 * stage / CRACK_STAGES})`;
+        for (let i = 0; i <= stage; i++) {
+            for (const [x, y] of segments[i]) {
+                context.fillRect(stage * CRACK_SIZE + x, y, 1, 1);
+            }
+        }
+    }
+}
+
+export class BlockBreaking {
+    constructor(world, scene) {
+        this.world = world;
+        this.scene = scene;
+
+        // Bloque que se está rompiendo: { x, y, z, block } y progreso en [0, 1)
+        this.target = null;
+        this.progress = 0;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = CRACK_SIZE * CRACK_STAGES;
+        canvas.height = CRACK_SIZE;
+        paintCracks(canvas.getContext('2d'));
+
+        this.texture = new THREE.CanvasTexture(canvas);
+        this.texture.magFilter = THREE.NearestFilter;
+        this.texture.minFilter = THREE.NearestFilter;
+        this.texture.generateMipmaps = false;
+        this.texture.repeat.set(1 / CRACK_STAGES, 1);
+
+        // Un poco más grande que el bloque, como la caja de la selección
+        this.overlay = new THREE.Mesh(new THREE.BoxGeometry(1.002, 1.002, 1.002), new THREE.MeshBasicMaterial({
+            map: this.texture,
+            transparent: true,
+            depthWrite: false,
+            polygonOffset: true,
+            polygonOffsetFactor: -1,
+            polygonOffsetUnits: -1
+        }));
+        this.overlay.visible = false;
+        scene.add(this.overlay);
+    }
+
+    /**
+     * Avanzar el progreso sobre `target` ({ x, y, z } del bloque apuntado, o null
+     * si no se está rompiendo nada). Devuelve true si el bloque se ha roto.
+     */
+    update(deltaTime, target) {
+        if (!target) {
+            this.reset();
+            return false;
+        }
+
+        const block = this.world.getBlockAt(target.x, target.y, target.z);
+        if (!this.target || this.target.x !== target.x || this.target.y !== target.y ||
+            this.target.z !== target.z || this.target.block !== block) {
+            this.reset();
+            this.target = { x: target.x, y: target.y, z: target.z, block };
+        }
+
+        if (block === BlockType.AIR) return false;
+
+        const { breakTime } = getBlock(block);
+        this.progress = breakTime > 0 ? this.progress + deltaTime / breakTime : 1;
+
+        if (this.progress >= 1) {
+            this.world.setBlockAt(target.x, target.y, target.z, BlockType.AIR, this.scene);
+            this.reset();
+            return true;
+        }
+
+        this.showStage(Math.floor(this.progress * CRACK_STAGES));
+        return false;
+    }
+
+    showStage(stage) {
+        this.texture.offset.x = stage / CRACK_STAGES;
+        this.overlay.position.set(this.target.x, this.target.y, this.target.z);
+        this.overlay.visible = true;
+    }
+
+    reset() {
+        this.target = null;
+        this.progress = 0;
+        this.overlay.visible = false;
+    }
+
+    dispose() {
+        this.scene.remove(this.overlay);
+        this.overlay.geometry.dispose();
+        this.overlay.material.dispose();
+        this.texture.dispose();
+    }
+}
@@ -0,0 +1,104 @@
+/**
+ * BlockMapping - Traducción entre nombres de bloque de Minecraft y nuestros BlockType
+ *
+ * Al exportar cada id usa el nombre `minecraft` de su definición (BlockRegistry.js); sin él se usa el
+ * del bloque de reserva y, si tampoco lo tiene, "minecraft:air". Al importar se busca primero
+ * el nombre exacto en la tabla de importación y después las reglas por patrón;
+ * lo que no se reconoce se convierte en el bloque de reserva.
+ * Los estados de bloque ("minecraft:oak_log[axis=y]") se ignoran.
+ *
+ *   const mapping = new BlockMapping({
+ *       overrides: { 'minecraft:glass': BlockType.AIR },
+ *       fallback: BlockType.DIRT
+ *   });
+ */
+
+import { BlockType } from '../config.js';
+import { listBlocks } from './BlockRegistry.js';
+
+// Nombres exactos adicionales al importar
+export const IMPORT_NAMES = {
+    'minecraft:cave_air': BlockType.AIR,
+    'minecraft:void_air': BlockType.AIR,
+    'minecraft:grass_path': BlockType.GRASS,
+    'minecraft:dirt_path': BlockType.GRASS,
+    'minecraft:mycelium': BlockType.GRASS,
+    'minecraft:coarse_dirt': BlockType.DIRT,
+    'minecraft:rooted_dirt': BlockType.DIRT,
+    'minecraft:podzol': BlockType.DIRT,
+    'minecraft:farmland': BlockType.DIRT,
+    'minecraft:mud': BlockType.DIRT,
+    'minecraft:clay': BlockType.DIRT,
+    'minecraft:gravel': BlockType.STONE,
+    'minecraft:red_sand': BlockType.SAND,
+    'minecraft:bubble_column': BlockType.WATER,
+    'minecraft:kelp': BlockType.WATER,
+    'minecraft:kelp_plant': BlockType.WATER,
+    'minecraft:seagrass': BlockType.WATER,
+    'minecraft:tall_seagrass': BlockType.WATER
+};
+
+// Reglas por patrón, en orden: [expresión, tipo]
+export const IMPORT_RULES = [
+    [/^minecraft:(deepslate_)?coal_ore$/, BlockType.COAL],
+    [/^minecraft:(deepslate_)?iron_ore$/, BlockType.IRON],
+    [/^minecraft:(deepslate_|nether_)?gold_ore$/, BlockType.GOLD],
+    [/^minecraft:(deepslate_)?diamond_ore$/, BlockType.DIAMOND],
+    [/_(log|wood|stem|hyphae|planks)$/, BlockType.WOOD],
+    [/_leaves$/, BlockType.LEAVES],
+    [/sandstone/, BlockType.SAND],
+    [/^minecraft:(short_grass|grass|tall_grass|fern|large_fern|dead_bush|snow|vine|.*_flower|.*_tulip|dandelion|poppy|torch|wall_torch)$/, BlockType.AIR],
+    [/(stone|deepslate|andesite|diorite|granite|tuff|calcite|bedrock|ore|bricks?)$/, BlockType.STONE]
+];
+
+export class BlockMapping {
+    constructor({ overrides = {}, fallback = BlockType.STONE } = {}) {
+        this.fallback = fallback;
+        this.importNames = { ...IMPORT_NAMES, ...overrides };
+        this.exportNames = {};
+
+        // Los nombres de exportación también se reconocen al importar
+        for (const { id, minecraft } of listBlocks()) {
+            if (!minecraft) continue;
+            this.exportNames[id] = minecraft;
+            if (!(minecraft in this.importNames)) {
+                this.importNames[minecraft] = id;
+            }
+        }
+
+        this.cache = new Map();
+        this.unknownNames = new Set();
+    }
+
+    /**
+     * Nombre de Minecraft de un BlockType
+     */
+    toName(type) {
+        return this.exportNames[type] || this.exportNames[this.fallback] || 'minecraft:air';
+    }
+
+    /**
+     * BlockType de un nombre de Minecraft (con o sin estado de bloque)
+     */
+    toId(blockState) {
+        const cached = this.cache.get(blockState);
+        if (cached !== undefined) return cached;
+
+        let name = blockState.split('[')[0].trim().toLowerCase();
+        if (!name.includes(':')) name = `minecraft:${name}`;
+
+        let type = this.importNames[name];
+        if (type === undefined) {
+            const rule = IMPORT_RULES.find(([pattern]) => pattern.test(name));
+            if (rule) {
+                type = rule[1];
+            } else {
+                type = this.fallback;
+                this.unknownNames.add(name);
+            }
+        }
+
+        this.cache.set(blockState, type);
+        return type;
+    }
+}
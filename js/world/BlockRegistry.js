@@ -0,0 +1,165 @@
+/**
+ * BlockRegistry - Registro de tipos de bloque
+ *
+ * Cada bloque se define con registerBlock() y recibe un id numérico en orden de
+ * registro (aire siempre es el 0). El registro es la única fuente de colores y
+ * propiedades: mallas, física, raycast y generadores lo consultan por nombre
+ * (getBlockId('stone') o BlockType.STONE) o por id (getBlock(id)).
+ *
+ *   registerBlock({ name: 'ruby', color: 0xE0115F, breakTime: 4 });
+ *
+ * Campos de una definición (los que faltan toman DEFAULT_BLOCK):
+ *   name         nombre en minúsculas, único
+ *   color        color de vértice (0xRRGGBB)
+ *   solid        colisiona con el jugador
+ *   transparent  deja ver las caras de los bloques vecinos
+ *   liquid       se dibuja en la malla de agua y se puede nadar en él
+ *   breakTime    segundos para romperlo
+ *   gravity      cae si no tiene nada debajo (FallingBlocks.js)
+ *   textures     textura de cada cara en el atlas (TextureAtlas.js): un nombre o
+ *                { top, side, bottom }
+ *   minecraft    nombre de Minecraft al exportar/importar (BlockMapping)
+ *
+ * Los workers de módulo cargan este mismo fichero y por tanto los bloques de
+ * BUILTIN_BLOCKS; los registrados después en el hilo principal se les envían con
+ * getRegisteredBlocks() y syncBlocks() antes de pedirles terreno.
+ */
+
+// Los sub-chunks guardan paletas (BlockStorage) y los arrays densos de ids
+// (generación, portapapeles, esquemas) son Uint16Array
+export const MAX_BLOCKS = 65536;
+
+const DEFAULT_BLOCK = {
+    color: null,
+    solid: true,
+    transparent: false,
+    liquid: false,
+    breakTime: 1,
+    gravity: false,
+    textures: null,
+    minecraft: null
+};
+
+// Los ids que no están registrados se comportan como un bloque sólido y opaco
+const UNKNOWN_BLOCK = Object.freeze({ ...DEFAULT_BLOCK, id: -1, name: 'unknown' });
+
+const blocks = [];
+const blocksByName = new Map();
+
+// Id de cada bloque por su nombre en mayúsculas; registerBlock() lo amplía
+export const BlockType = {};
+
+/**
+ * Registrar un tipo de bloque; devuelve su id
+ */
+export function registerBlock(definition) {
+    const { name } = definition;
+
+    if (typeof name !== 'string' || !/^[a-z][a-z0-9_]*$/.test(name)) {
+        throw new Error(`Invalid block name "${name}"`);
+    }
+    if (blocksByName.has(name)) {
+        throw new Error(`Block "${name}" is already registered`);
+    }
+    if (blocks.length >= MAX_BLOCKS) {
+        throw new Error(`Cannot register "${name}": at most ${MAX_BLOCKS} block types`);
+    }
+
+    const block = Object.freeze({ ...DEFAULT_BLOCK, ...definition, id: blocks.length });
+    blocks.push(block);
+    blocksByName.set(name, block);
+    BlockType[name.toUpperCase()] = block.id;
+
+    return block.id;
+}
+
+/**
+ * Definición de un id (UNKNOWN_BLOCK si no está registrado)
+ */
+export function getBlock(id) {
+    return blocks[id] || UNKNOWN_BLOCK;
+}
+
+/**
+ * Id de un nombre de bloque (sin distinguir mayúsculas) o undefined si no existe
+ */
+export function findBlockId(name) {
+    const block = blocksByName.get(String(name).toLowerCase());
+    return block ? block.id : undefined;
+}
+
+/**
+ * Id de un nombre de bloque; lanza un Error si no existe
+ */
+export function getBlockId(name) {
+    const id = findBlockId(name);
+    if (id === undefined) {
+        throw new Error(`Unknown block "${name}"`);
+    }
+    return id;
+}
+
+export function getBlockName(id) {
+    return getBlock(id).name;
+}
+
+export function listBlocks() {
+    return blocks.slice();
+}
+
+export function isSolidBlock(id) {
+    return getBlock(id).solid;
+}
+
+export function isTransparentBlock(id) {
+    return getBlock(id).transparent;
+}
+
+export function isLiquidBlock(id) {
+    return getBlock(id).liquid;
+}
+
+/**
+ * Definiciones registradas, para enviarlas a los workers
+ */
+export function getRegisteredBlocks() {
+    return blocks.map(block => ({ ...block }));
+}
+
+/**
+ * Registrar los bloques que falten de otro registro (el del hilo principal);
+ * lanza un Error si un id ya está ocupado por otro bloque
+ */
+export function syncBlocks(definitions) {
+    for (const definition of definitions) {
+        const existing = blocks[definition.id];
+        if (existing) {
+            if (existing.name !== definition.name) {
+                throw new Error(`Block id ${definition.id} is "${existing.name}", expected "${definition.name}"`);
+            }
+            continue;
+        }
+        if (definition.id !== blocks.length) {
+            throw new Error(`Missing block definitions before id ${definition.id}`);
+        }
+        registerBlock(definition);
+    }
+}
+
+// Bloques del juego, en el orden de sus ids (los mundos guardados dependen de él)
+export const BUILTIN_BLOCKS = [
+    { name: 'air', solid: false, transparent: true, breakTime: 0, minecraft: 'minecraft:air' },
+    { name: 'grass', color: 0x4CAF50, breakTime: 0.5, textures: { top: 'grass_top', side: 'grass_side', bottom: 'dirt' }, minecraft: 'minecraft:grass_block' },
+    { name: 'dirt', color: 0x8D6E63, breakTime: 0.5, textures: 'dirt', minecraft: 'minecraft:dirt' },
+    { name: 'stone', color: 0x9E9E9E, breakTime: 1.5, textures: 'stone', minecraft: 'minecraft:stone' },
+    { name: 'sand', color: 0xFFD54F, breakTime: 0.5, gravity: true, textures: 'sand', minecraft: 'minecraft:sand' },
+    { name: 'water', color: 0x2196F3, solid: false, transparent: true, liquid: true, breakTime: 0, textures: 'water', minecraft: 'minecraft:water' },
+    { name: 'wood', color: 0x6D4C41, breakTime: 2, textures: { top: 'log_top', side: 'log_side', bottom: 'log_top' }, minecraft: 'minecraft:oak_log' },
+    { name: 'leaves', color: 0x388E3C, transparent: true, breakTime: 0.2, textures: 'leaves', minecraft: 'minecraft:oak_leaves' },
+    { name: 'coal', color: 0x424242, breakTime: 3, textures: 'coal_ore', minecraft: 'minecraft:coal_ore' },
+    { name: 'iron', color: 0xBDBDBD, breakTime: 5, textures: 'iron_ore', minecraft: 'minecraft:iron_ore' },
+    { name: 'gold', color: 0xFFD700, breakTime: 3, textures: 'gold_ore', minecraft: 'minecraft:gold_ore' },
+    { name: 'diamond', color: 0x00BCD4, breakTime: 10, textures: 'diamond_ore', minecraft: 'minecraft:diamond_ore' }
+];
+
+BUILTIN_BLOCKS.forEach(registerBlock);
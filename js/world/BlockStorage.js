@@ -0,0 +1,286 @@
+/**
+ * BlockStorage - Bloques de un sub-chunk con paleta local e índices empaquetados
+ *
+ * La paleta guarda los estados de bloque distintos del sub-chunk: id de bloque más
+ * propiedades opcionales ({ axis: 'x' }, { open: true }, { level: 3 }); dos estados
+ * del mismo bloque con propiedades distintas son entradas distintas. Cada posición
+ * guarda su índice de paleta con `bits` bits dentro de un Uint32Array; cuando la
+ * paleta no cabe, bits pasa a la siguiente potencia de dos (1, 2, 4, 8, 16) y el
+ * array se reescribe. Con potencias de dos ningún índice cruza dos palabras.
+ *
+ * Un sub-chunk con un solo estado (todo aire, todo piedra, todo agua) no tiene
+ * array: bits = 0 y la paleta tiene una entrada.
+ *
+ * Posiciones en orden x + y*16 + z*256, como el resto del juego.
+ *
+ * Formatos:
+ *   toData()/fromData()        { palette: [{ block, properties }], bits, data }   ids numéricos,
+ *                              para pasar sub-chunks entre workers (data se transfiere)
+ *   serialize()/deserialize()  { palette: [{ name, properties }], bits, data }    nombres del
+ *                              registro, para guardar (no depende del orden de los ids)
+ */
+
+import { config, BlockType } from '../config.js';
+import { getBlockName, findBlockId } from './BlockRegistry.js';
+
+export const BLOCKS_PER_SUB_CHUNK = config.chunkSize * config.subChunkHeight * config.chunkSize;
+
+// Índices de hasta 16 bits: de sobra para BLOCKS_PER_SUB_CHUNK estados distintos
+const MAX_BITS = 16;
+
+// Clave de un estado en la paleta
+function stateKey(block, properties) {
+    return properties ? `${block}${JSON.stringify(properties, Object.keys(properties).sort())}` : String(block);
+}
+
+/**
+ * Dos estados { block, properties } son el mismo (mismo bloque y mismas propiedades)
+ */
+export function isSameState(a, b) {
+    return stateKey(a.block, a.properties) === stateKey(b.block, b.properties);
+}
+
+// Bits necesarios para `size` entradas de paleta (0 con una sola)
+function bitsFor(size) {
+    let bits = 0;
+    while ((1 << bits) < size) {
+        bits = bits === 0 ? 1 : bits * 2;
+    }
+    return bits;
+}
+
+function wordsFor(bits) {
+    return bits === 0 ? 0 : BLOCKS_PER_SUB_CHUNK / (32 / bits);
+}
+
+export class BlockStorage {
+    constructor(block = BlockType.AIR, properties = null) {
+        this.paletteBlocks = [block];
+        this.paletteProperties = [properties];
+        this.paletteIndex = new Map([[stateKey(block, properties), 0]]);
+        this.setBits(0);
+    }
+
+    /**
+     * Almacén a partir de un array denso de ids (un id por posición)
+     */
+    static fromArray(blocks) {
+        const storage = new BlockStorage(blocks[0]);
+        const indices = new Uint16Array(BLOCKS_PER_SUB_CHUNK);
+        const paletteById = new Map([[blocks[0], 0]]);
+
+        for (let i = 1; i < BLOCKS_PER_SUB_CHUNK; i++) {
+            let paletteIndex = paletteById.get(blocks[i]);
+            if (paletteIndex === undefined) {
+                paletteIndex = storage.paletteBlocks.length;
+                storage.paletteBlocks.push(blocks[i]);
+                storage.paletteProperties.push(null);
+                storage.paletteIndex.set(stateKey(blocks[i], null), paletteIndex);
+                paletteById.set(blocks[i], paletteIndex);
+            }
+            indices[i] = paletteIndex;
+        }
+
+        storage.pack(indices);
+        return storage;
+    }
+
+    /**
+     * Almacén a partir de toData() (el array se usa sin copiar)
+     */
+    static fromData({ palette, bits, data }) {
+        const storage = new BlockStorage(palette[0].block, palette[0].properties || null);
+        for (let i = 1; i < palette.length; i++) {
+            const { block, properties = null } = palette[i];
+            storage.paletteBlocks.push(block);
+            storage.paletteProperties.push(properties);
+            storage.paletteIndex.set(stateKey(block, properties), i);
+        }
+
+        if (bits < bitsFor(palette.length)) {
+            throw new Error(`Palette of ${palette.length} entries does not fit in ${bits} bits`);
+        }
+        if (bits > MAX_BITS || (bits !== 0 && 32 % bits !== 0)) {
+            throw new Error(`Invalid palette index size: ${bits} bits`);
+        }
+        if ((data ? data.length : 0) !== wordsFor(bits)) {
+            throw new Error(`Expected ${wordsFor(bits)} words of block data for ${bits} bits`);
+        }
+
+        storage.setBits(bits, data instanceof ArrayBuffer ? new Uint32Array(data) : data);
+        return storage;
+    }
+
+    /**
+     * Almacén a partir de serialize(); los nombres que ya no existen se leen como `fallback`.
+     * El array se copia: el registro guardado puede seguir en la caché de WorldSave
+     */
+    static deserialize({ palette, bits, data }, fallback = BlockType.AIR) {
+        return BlockStorage.fromData({
+            palette: palette.map(({ name, properties }) => {
+                const block = findBlockId(name);
+                return { block: block === undefined ? fallback : block, properties: properties || null };
+            }),
+            bits,
+            data: data ? new Uint32Array(data) : null
+        });
+    }
+
+    setBits(bits, data = null) {
+        this.bits = bits;
+        this.mask = bits === 0 ? 0 : (1 << bits) - 1;
+        this.perWord = bits === 0 ? 0 : 32 / bits;
+        this.data = bits === 0 ? null : data || new Uint32Array(wordsFor(bits));
+    }
+
+    // Índice de paleta de una posición
+    getIndex(index) {
+        if (this.bits === 0) return 0;
+        const word = this.data[(index / this.perWord) | 0];
+        return (word >>> ((index % this.perWord) * this.bits)) & this.mask;
+    }
+
+    setIndex(index, paletteIndex) {
+        const wordIndex = (index / this.perWord) | 0;
+        const shift = (index % this.perWord) * this.bits;
+        this.data[wordIndex] = (this.data[wordIndex] & ~(this.mask << shift)) | (paletteIndex << shift);
+    }
+
+    /**
+     * Id de bloque de una posición
+     */
+    get(index) {
+        return this.paletteBlocks[this.getIndex(index)];
+    }
+
+    /**
+     * Estado de una posición: { block, properties } (properties null si no tiene)
+     */
+    getState(index) {
+        const paletteIndex = this.getIndex(index);
+        return { block: this.paletteBlocks[paletteIndex], properties: this.paletteProperties[paletteIndex] };
+    }
+
+    /**
+     * Cambiar el bloque de una posición; devuelve el id anterior
+     */
+    set(index, block, properties = null) {
+        const previous = this.getIndex(index);
+        let paletteIndex = this.paletteIndex.get(stateKey(block, properties));
+
+        if (paletteIndex === previous) return this.paletteBlocks[previous];
+
+        if (paletteIndex === undefined) {
+            paletteIndex = this.addPaletteEntry(block, properties);
+        }
+        this.setIndex(index, paletteIndex);
+
+        return this.paletteBlocks[previous];
+    }
+
+    addPaletteEntry(block, properties) {
+        const paletteIndex = this.paletteBlocks.length;
+        this.paletteBlocks.push(block);
+        this.paletteProperties.push(properties ? { ...properties } : null);
+        this.paletteIndex.set(stateKey(block, properties), paletteIndex);
+
+        if (paletteIndex > this.mask) {
+            this.resize(bitsFor(this.paletteBlocks.length));
+        }
+        return paletteIndex;
+    }
+
+    // Reescribir los índices con otro tamaño
+    resize(bits) {
+        const old = this.bits === 0 ? null : { data: this.data, bits: this.bits, mask: this.mask, perWord: this.perWord };
+        this.setBits(bits);
+        if (!old) return;    // Desde un solo estado: todos los índices son 0
+
+        for (let i = 0; i < BLOCKS_PER_SUB_CHUNK; i++) {
+            const word = old.data[(i / old.perWord) | 0];
+            const paletteIndex = (word >>> ((i % old.perWord) * old.bits)) & old.mask;
+            if (paletteIndex !== 0) this.setIndex(i, paletteIndex);
+        }
+    }
+
+    /**
+     * Quitar de la paleta los estados que ya no se usan (vuelve a un solo estado si puede)
+     */
+    compact() {
+        if (this.bits === 0) return;
+
+        const indices = new Uint16Array(BLOCKS_PER_SUB_CHUNK);
+        const used = new Uint8Array(this.paletteBlocks.length);
+        for (let i = 0; i < BLOCKS_PER_SUB_CHUNK; i++) {
+            indices[i] = this.getIndex(i);
+            used[indices[i]] = 1;
+        }
+        if (used.every(Boolean)) return;
+
+        // Nueva numeración de las entradas usadas, en el mismo orden
+        const blocks = [];
+        const properties = [];
+        const remap = new Uint16Array(used.length);
+        used.forEach((isUsed, paletteIndex) => {
+            if (!isUsed) return;
+            remap[paletteIndex] = blocks.length;
+            blocks.push(this.paletteBlocks[paletteIndex]);
+            properties.push(this.paletteProperties[paletteIndex]);
+        });
+
+        this.paletteBlocks = blocks;
+        this.paletteProperties = properties;
+        this.paletteIndex = new Map(blocks.map((block, i) => [stateKey(block, properties[i]), i]));
+        this.pack(indices.map(paletteIndex => remap[paletteIndex]));
+    }
+
+    // Empaquetar un índice de paleta por posición con los bits justos para la paleta actual
+    pack(indices) {
+        this.setBits(bitsFor(this.paletteBlocks.length));
+        if (this.bits === 0) return;
+
+        for (let i = 0; i < BLOCKS_PER_SUB_CHUNK; i++) {
+            if (indices[i] !== 0) this.setIndex(i, indices[i]);
+        }
+    }
+
+    /**
+     * ¿Solo hay aire? (con un único estado, sin recorrer posiciones)
+     */
+    isEmpty() {
+        if (this.bits === 0) return this.paletteBlocks[0] === BlockType.AIR;
+        return this.paletteBlocks.every(block => block === BlockType.AIR);
+    }
+
+    /**
+     * Ids de todas las posiciones en un array denso
+     */
+    toArray() {
+        const blocks = new Uint16Array(BLOCKS_PER_SUB_CHUNK);
+        if (this.bits === 0) return blocks.fill(this.paletteBlocks[0]);
+
+        for (let i = 0; i < BLOCKS_PER_SUB_CHUNK; i++) {
+            blocks[i] = this.get(i);
+        }
+        return blocks;
+    }
+
+    toData() {
+        return {
+            palette: this.paletteBlocks.map((block, i) => ({ block, properties: this.paletteProperties[i] })),
+            bits: this.bits,
+            data: this.data
+        };
+    }
+
+    serialize() {
+        this.compact();
+        return {
+            palette: this.paletteBlocks.map((block, i) => this.paletteProperties[i]
+                ? { name: getBlockName(block), properties: this.paletteProperties[i] }
+                : { name: getBlockName(block) }),
+            bits: this.bits,
+            data: this.data ? this.data.slice() : null
+        };
+    }
+}
@@ -1,59 +1,6 @@
-import { config, BlockType, blockColors, stats } from '../config.js';
-
-// Simple noise function for terrain generation
-class SimpleNoise {
-    constructor(seed = 12345) {
-        this.seed = seed;
-    }
-    
-    random(x, z) {
-        const n = Math.sin(x * 12.9898 + z * 78.233 + this.seed) * 43758.5453;
-        return (n - Math.floor(n));
-    }
-    
-    noise2D(x, z, scale = 1) {
-        x *= scale;
-        z *= scale;
-        
-        const xi = Math.floor(x);
-        const zi = Math.floor(z);
-        
-        const xf = x - xi;
-        const zf = z - zi;
-        
-        // Smooth interpolation
-        const u = xf * xf * (3 - 2 * xf);
-        const v = zf * zf * (3 - 2 * zf);
-        
-        // Get corner values
-        const aa = this.random(xi, zi);
-        const ba = this.random(xi + 1, zi);
-        const ab = this.random(xi, zi + 1);
-        const bb = this.random(xi + 1, zi + 1);
-        
-        // Interpolate
-        const x1 = aa * (1 - u) + ba * u;
-        const x2 = ab * (1 - u) + bb * u;
-        
-        return (x1 * (1 - v) + x2 * v) * 2 - 1;
-    }
-    
-    octaveNoise(x, z, octaves = 4, persistence = 0.5, scale = 0.02) {
-        let total = 0;
-        let amplitude = 1;
-        let frequency = scale;
-        let maxValue = 0;
-        
-        for (let i = 0; i < octaves; i++) {
-            total += this.noise2D(x, z, frequency) * amplitude;
-            maxValue += amplitude;
-            amplitude *= persistence;
-            frequency *= 2;
-        }
-        
-        return total / maxValue;
-    }
-}
+import { config, BlockType, stats } from '../config.js';
+import { getBlock } from './BlockRegistry.js';
+import { SimplexNoise } from '../utils/Noise.js';
 
 // Chunk management with IMPROVED terrain generation
 export class Chunk {
@@ -64,7 +11,7 @@ export class Chunk {
         this.blocks = new Uint8Array(config.chunkSize * config.chunkSize * config.chunkSize);
         this.mesh = null;
         this.needsUpdate = true;
-        this.noise = new SimpleNoise(world.seed || 12345);
+        this.noise = new SimplexNoise(world.seed || 12345);
         this.generateTerrain();
     }
 
@@ -80,8 +27,8 @@ export class Chunk {
                 const hillHeight = 8; // Maximum hill height
                 
                 // Main terrain shape
-                const terrainNoise = this.noise.octaveNoise(worldX, worldZ, 4, 0.5, 0.02);
-                const detailNoise = this.noise.octaveNoise(worldX, worldZ, 2, 0.3, 0.1);
+                const terrainNoise = this.noise.fbm2D(worldX * 0.02, worldZ * 0.02, 4, 2, 0.5);
+                const detailNoise = this.noise.fbm2D(worldX * 0.1, worldZ * 0.1, 2, 2, 0.3);
                 
                 // Calculate final height
                 const height = Math.floor(
@@ -138,7 +85,7 @@ export class Chunk {
                     const worldZ = this.z * config.chunkSize + z;
                     
                     // Cave noise (3D)
-                    const caveNoise = this.noise.octaveNoise(worldX * 2, worldZ * 2 + worldY * 0.5, 2, 0.5, 0.05);
+                    const caveNoise = this.noise.fbm3D(worldX * 0.1, worldY * 0.05, worldZ * 0.1, 2);
                     
                     // Create cave if noise is above threshold and not too close to surface
                     if (caveNoise > 0.6 && y < 8) {
@@ -231,7 +178,7 @@ export class Chunk {
                         { dir: [0, 0, -1], name: 'back' }
                     ];
 
-                    const color = new THREE.Color(blockColors[block]);
+                    const color = new THREE.Color(getBlock(block).color);
                     
                     // Add slight color variation for more natural look
                     const variation = 0.05;
@@ -3,10 +3,10 @@
  * Memory -> IndexedDB -> Compression
  */
 export class ChunkCache {
-    constructor() {
+    constructor(options = {}) {
         this.memoryCache = new Map();
-        this.maxMemoryItems = 100;
-        this.dbName = 'MinecraftVoxelCache';
+        this.maxMemoryItems = options.maxMemoryItems || 100;
+        this.dbName = options.dbName || 'MinecraftVoxelCache';
         this.dbVersion = 1;
         this.db = null;
         
@@ -22,42 +22,51 @@ export class ChunkCache {
             compressionRatio: 0
         };
         
-        this.initializeDB();
+        // Resolves once the database is open (or failed to open)
+        this.ready = this.initializeDB();
     }
 
     /**
      * Initialize IndexedDB
      */
-    async initializeDB() {
-        try {
-            const request = indexedDB.open(this.dbName, this.dbVersion);
-            
-            request.onerror = () => {
-                console.error('Failed to open IndexedDB:', request.error);
-            };
-            
-            request.onsuccess = () => {
-                this.db = request.result;
-                console.log('ChunkCache IndexedDB initialized');
-            };
-            
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
+    initializeDB() {
+        return new Promise((resolve) => {
+            try {
+                const request = indexedDB.open(this.dbName, this.dbVersion);
                 
-                // Create object store for chunks
-                if (!db.objectStoreNames.contains('chunks')) {
-                    const store = db.createObjectStore('chunks', { keyPath: 'key' });
-                    store.createIndex('timestamp', 'timestamp', { unique: false });
-                    store.createIndex('size', 'size', { unique: false });
-                }
+                request.onerror = () => {
+                    console.error('Failed to open IndexedDB:', request.error);
+                    resolve(null);
+                };
                 
-                // Create object store for metadata
-                if (!db.objectStoreNames.contains('metadata')) {
-                    db.createObjectStore('metadata', { keyPath: 'key' });
-                }
-            };
-        } catch (error) {
-            console.error('IndexedDB initialization failed:', error);
+                request.onsuccess = () => {
+                    this.db = request.result;
+                    console.log('ChunkCache IndexedDB initialized');
+                    resolve(this.db);
+                };
+                
+                request.onupgradeneeded = (event) => this.upgradeDB(event.target.result);
+            } catch (error) {
+                console.error('IndexedDB initialization failed:', error);
+                resolve(null);
+            }
+        });
+    }
+
+    /**
+     * Create object stores
+     */
+    upgradeDB(db) {
+        // Create object store for chunks
+        if (!db.objectStoreNames.contains('chunks')) {
+            const store = db.createObjectStore('chunks', { keyPath: 'key' });
+            store.createIndex('timestamp', 'timestamp', { unique: false });
+            store.createIndex('size', 'size', { unique: false });
+        }
+        
+        // Create object store for metadata
+        if (!db.objectStoreNames.contains('metadata')) {
+            db.createObjectStore('metadata', { keyPath: 'key' });
         }
     }
 
@@ -75,6 +84,7 @@ export class ChunkCache {
         this.stats.memoryMisses++;
         
         // Check IndexedDB
+        await this.ready;
         if (this.db) {
             try {
                 const data = await this.getFromDB(key);
@@ -96,7 +106,8 @@ export class ChunkCache {
     }
 
     /**
-     * Set chunk in cache
+     * Set chunk in cache. Resolves to true once it is stored in IndexedDB,
+     * false if it only reached the memory cache (no database or write error)
      */
     async set(key, data) {
         const compressed = this.compress(data);
@@ -105,12 +116,15 @@ export class ChunkCache {
         this.addToMemoryCache(key, compressed);
         
         // Save to IndexedDB
-        if (this.db) {
-            try {
-                await this.saveToDB(key, compressed);
-            } catch (error) {
-                console.error('DB write error:', error);
-            }
+        await this.ready;
+        if (!this.db) return false;
+        
+        try {
+            await this.saveToDB(key, compressed);
+            return true;
+        } catch (error) {
+            console.error('DB write error:', error);
+            return false;
         }
     }
 
@@ -183,14 +197,15 @@ export class ChunkCache {
                 size: data.byteLength || data.length
             };
             
-            const request = store.put(record);
+            store.put(record);
             
-            request.onsuccess = () => {
+            // The write is only durable once the transaction commits (quota errors abort it)
+            transaction.oncomplete = () => {
                 resolve();
             };
             
-            request.onerror = () => {
-                reject(request.error);
+            transaction.onabort = transaction.onerror = () => {
+                reject(transaction.error || new Error('Transaction aborted'));
             };
         });
     }
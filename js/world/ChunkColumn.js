@@ -1,4 +1,64 @@
-import { config, BlockType, blockColors } from '../config.js';
+import { config, BlockType, isTransparentBlock, isLiquidBlock } from '../config.js';
+import { getBlock } from './BlockRegistry.js';
+import { BlockStorage } from './BlockStorage.js';
+import { getBiomeByIndex } from './generation/Biomes.js';
+
+// A face is hidden by opaque neighbours and by neighbours of the same
+// transparent type (water next to water), but shows through other transparent blocks
+function isFaceVisible(block, neighbor) {
+    return neighbor === BlockType.AIR || (neighbor !== block && isTransparentBlock(neighbor));
+}
+
+// Atlas corners of each face's 4 vertices (0: u0/v0, 1: u1/v1), so textures stand upright on the sides
+const FACE_UVS = {
+    top: [[0, 1], [0, 0], [1, 0], [1, 1]],
+    bottom: [[0, 1], [1, 1], [1, 0], [0, 0]],
+    side: [[1, 0], [1, 1], [0, 1], [0, 0]]
+};
+
+const WHITE = { r: 1, g: 1, b: 1 };
+
+// Index of a position inside its sub-chunk's storage
+function getBlockIndex(localX, worldY, localZ) {
+    const localY = worldY % config.subChunkHeight;
+    return localX + localY * config.chunkSize + localZ * config.chunkSize * config.subChunkHeight;
+}
+
+// Copy of mesh data keeping only the faces whose block passes keep(type), or null if none do
+function selectFaces(meshData, keep) {
+    if (meshData.faceBlocks.every(keep)) return meshData;
+    
+    const vertices = [];
+    const normals = [];
+    const colors = [];
+    const uvs = meshData.uvs ? [] : null;
+    const indices = [];
+    let vertexCount = 0;
+    
+    meshData.faceBlocks.forEach((block, face) => {
+        if (!keep(block)) return;
+        
+        // 4 vertices per face, 3 components each
+        const start = face * 12;
+        for (let i = start; i < start + 12; i++) {
+            vertices.push(meshData.vertices[i]);
+            normals.push(meshData.normals[i]);
+            colors.push(meshData.colors[i]);
+        }
+        if (uvs) {
+            for (let i = face * 8; i < face * 8 + 8; i++) {
+                uvs.push(meshData.uvs[i]);
+            }
+        }
+        indices.push(
+            vertexCount, vertexCount + 1, vertexCount + 2,
+            vertexCount, vertexCount + 2, vertexCount + 3
+        );
+        vertexCount += 4;
+    });
+    
+    return vertexCount > 0 ? { vertices, normals, colors, uvs, indices } : null;
+}
 
 // ChunkColumn manages vertical sub-chunks for increased world height
 export class ChunkColumn {
@@ -13,11 +73,18 @@ export class ChunkColumn {
         // Height map for optimization (stores highest solid block per x,z)
         this.heightMap = new Uint8Array(config.chunkSize * config.chunkSize);
         
+        // Biome index per x,z from the terrain generator (null until generated)
+        this.biomes = null;
+        
         // Track which sub-chunks need mesh updates
         this.dirtySubChunks = new Set();
         
         // Track if initial generation is complete
         this.isGenerated = false;
+        
+        // Sub-chunks edited by the player (persisted by WorldSave)
+        this.modifiedSubChunks = new Set();
+        this.needsSave = false;
     }
     
     // Get a sub-chunk, creating it if necessary
@@ -26,8 +93,11 @@ export class ChunkColumn {
         if (!this.subChunks.has(key)) {
             this.subChunks.set(key, {
                 y: subY,
-                blocks: new Uint8Array(config.chunkSize * config.subChunkHeight * config.chunkSize),
+                // Palette storage; starts as a single all-air state with no index array
+                storage: new BlockStorage(),
                 mesh: null,
+                // Liquids go in a separate transparent mesh
+                waterMesh: null,
                 isEmpty: true
             });
         }
@@ -49,13 +119,27 @@ export class ChunkColumn {
             return BlockType.AIR;
         }
         
-        const localY = worldY % config.subChunkHeight;
-        const index = localX + localY * config.chunkSize + localZ * config.chunkSize * config.subChunkHeight;
-        return subChunk.blocks[index];
+        return subChunk.storage.get(getBlockIndex(localX, worldY, localZ));
     }
     
-    // Set block at world coordinates
-    setBlock(localX, worldY, localZ, type) {
+    // Get block and state properties at world coordinates: { block, properties }
+    getBlockState(localX, worldY, localZ) {
+        if (localX < 0 || localX >= config.chunkSize || 
+            worldY < 0 || worldY >= config.worldHeight || 
+            localZ < 0 || localZ >= config.chunkSize) {
+            return { block: BlockType.AIR, properties: null };
+        }
+        
+        const subChunk = this.subChunks.get(Math.floor(worldY / config.subChunkHeight));
+        if (!subChunk || subChunk.isEmpty) {
+            return { block: BlockType.AIR, properties: null };
+        }
+        
+        return subChunk.storage.getState(getBlockIndex(localX, worldY, localZ));
+    }
+    
+    // Set block (and optional state properties such as { axis: 'x' }) at world coordinates
+    setBlock(localX, worldY, localZ, type, properties = null) {
         if (localX < 0 || localX >= config.chunkSize || 
             worldY < 0 || worldY >= config.worldHeight || 
             localZ < 0 || localZ >= config.chunkSize) {
@@ -66,10 +150,7 @@ export class ChunkColumn {
         const subChunk = this.getOrCreateSubChunk(subY);
         
         const localY = worldY % config.subChunkHeight;
-        const index = localX + localY * config.chunkSize + localZ * config.chunkSize * config.subChunkHeight;
-        
-        const oldType = subChunk.blocks[index];
-        subChunk.blocks[index] = type;
+        subChunk.storage.set(getBlockIndex(localX, worldY, localZ), type, properties);
         
         // Update empty status
         if (type !== BlockType.AIR && subChunk.isEmpty) {
@@ -84,6 +165,10 @@ export class ChunkColumn {
         // Mark sub-chunk as dirty
         this.dirtySubChunks.add(subY);
         
+        // Remember the edit so the world save can persist it
+        this.modifiedSubChunks.add(subY);
+        this.needsSave = true;
+        
         // Also mark adjacent sub-chunks if on boundary
         if (localY === 0 && subY > 0) {
             this.dirtySubChunks.add(subY - 1);
@@ -93,32 +178,45 @@ export class ChunkColumn {
         }
     }
     
-    // Set blocks from buffer (used by workers)
+    // Set the biome map from the generator (used by workers)
+    setBiomes(biomes) {
+        this.biomes = biomes;
+    }
+    
+    // Block colour at a position: grass and leaves are tinted by the biome
+    getBlockColor(block, localX, localZ) {
+        if (this.biomes && (block === BlockType.GRASS || block === BlockType.LEAVES)) {
+            const colors = getBiomeByIndex(this.biomes[localX + localZ * config.chunkSize]).colors;
+            const tint = block === BlockType.GRASS ? colors.grass : colors.foliage;
+            if (tint !== undefined) return tint;
+        }
+        return getBlock(block).color;
+    }
+    
+    // Set blocks from a dense array of block ids (one per position)
     setSubChunkBlocks(subY, blocks) {
+        this.setSubChunkStorage(subY, BlockStorage.fromArray(blocks));
+    }
+    
+    // Set a sub-chunk's palette storage (used by workers and saves)
+    setSubChunkStorage(subY, storage) {
         const subChunk = this.getOrCreateSubChunk(subY);
-        subChunk.blocks = new Uint8Array(blocks);
-        
-        // Check if empty
-        subChunk.isEmpty = true;
-        for (let i = 0; i < blocks.length; i++) {
-            if (blocks[i] !== BlockType.AIR) {
-                subChunk.isEmpty = false;
-                break;
-            }
-        }
+        subChunk.storage = storage;
+        subChunk.isEmpty = storage.isEmpty();
         
         // Update height map
-        for (let x = 0; x < config.chunkSize; x++) {
-            for (let z = 0; z < config.chunkSize; z++) {
-                for (let y = config.subChunkHeight - 1; y >= 0; y--) {
-                    const worldY = subY * config.subChunkHeight + y;
-                    const index = x + y * config.chunkSize + z * config.chunkSize * config.subChunkHeight;
-                    if (subChunk.blocks[index] !== BlockType.AIR) {
-                        const heightIndex = x + z * config.chunkSize;
-                        if (worldY > this.heightMap[heightIndex]) {
-                            this.heightMap[heightIndex] = worldY;
+        if (!subChunk.isEmpty) {
+            for (let x = 0; x < config.chunkSize; x++) {
+                for (let z = 0; z < config.chunkSize; z++) {
+                    for (let y = config.subChunkHeight - 1; y >= 0; y--) {
+                        const worldY = subY * config.subChunkHeight + y;
+                        if (storage.get(getBlockIndex(x, worldY, z)) !== BlockType.AIR) {
+                            const heightIndex = x + z * config.chunkSize;
+                            if (worldY > this.heightMap[heightIndex]) {
+                                this.heightMap[heightIndex] = worldY;
+                            }
+                            break;
                         }
-                        break;
                     }
                 }
             }
@@ -128,7 +226,9 @@ export class ChunkColumn {
     }
     
     // Check if a face should be rendered
-    shouldRenderFace(localX, worldY, localZ, dir) {
+    // getBlock(worldX, worldY, worldZ) resolves blocks outside this column (default: the world)
+    shouldRenderFace(localX, worldY, localZ, dir, getBlock = null) {
+        const block = this.getBlock(localX, worldY, localZ);
         const checkX = localX + dir[0];
         const checkY = worldY + dir[1];
         const checkZ = localZ + dir[2];
@@ -137,43 +237,36 @@ export class ChunkColumn {
         if (checkX >= 0 && checkX < config.chunkSize &&
             checkY >= 0 && checkY < config.worldHeight &&
             checkZ >= 0 && checkZ < config.chunkSize) {
-            return this.getBlock(checkX, checkY, checkZ) === BlockType.AIR;
+            return isFaceVisible(block, this.getBlock(checkX, checkY, checkZ));
         }
         
         // Check neighboring columns
         const worldX = this.x * config.chunkSize + checkX;
         const worldZ = this.z * config.chunkSize + checkZ;
         
-        return this.world.getBlockAtWorldCoords(worldX, checkY, worldZ) === BlockType.AIR;
+        const neighbor = getBlock
+            ? getBlock(worldX, checkY, worldZ)
+            : this.world.getBlockAtWorldCoords(worldX, checkY, worldZ);
+        return isFaceVisible(block, neighbor);
     }
     
-    // Update mesh for a specific sub-chunk
-    updateSubChunkMesh(subY, scene) {
+    /**
+     * Face-culled geometry of a sub-chunk in world coordinates.
+     * Returns { vertices, normals, colors, uvs, indices, faceBlocks } (faceBlocks: block type of each quad),
+     * or null if the sub-chunk has no visible faces. With a texture atlas each face gets the UVs of its
+     * tile and a white vertex colour (the biome colour for tinted tiles); without one (the model
+     * exporter) uvs is null and faces carry the flat block colour.
+     */
+    buildSubChunkMeshData(subY, getBlock = null, atlas = null) {
         const subChunk = this.subChunks.get(subY);
-        if (!subChunk || subChunk.isEmpty) {
-            // Remove mesh if exists
-            if (subChunk && subChunk.mesh) {
-                scene.remove(subChunk.mesh);
-                subChunk.mesh.geometry.dispose();
-                subChunk.mesh.material.dispose();
-                subChunk.mesh = null;
-            }
-            return;
-        }
+        if (!subChunk || subChunk.isEmpty) return null;
         
-        // Remove old mesh
-        if (subChunk.mesh) {
-            scene.remove(subChunk.mesh);
-            subChunk.mesh.geometry.dispose();
-            subChunk.mesh.material.dispose();
-        }
-        
-        // Generate new mesh
-        const geometry = new THREE.BufferGeometry();
         const vertices = [];
         const normals = [];
         const colors = [];
+        const uvs = atlas ? [] : null;
         const indices = [];
+        const faceBlocks = [];
         let vertexCount = 0;
         
         const baseY = subY * config.subChunkHeight;
@@ -184,7 +277,7 @@ export class ChunkColumn {
                 for (let z = 0; z < config.chunkSize; z++) {
                     const worldY = baseY + y;
                     const index = x + y * config.chunkSize + z * config.chunkSize * config.subChunkHeight;
-                    const block = subChunk.blocks[index];
+                    const block = subChunk.storage.get(index);
                     
                     if (block === BlockType.AIR) continue;
                     
@@ -201,11 +294,14 @@ export class ChunkColumn {
                         { dir: [0, 0, -1], name: 'back' }
                     ];
                     
-                    const color = new THREE.Color(blockColors[block]);
+                    const color = new THREE.Color(this.getBlockColor(block, x, z));
                     
                     faces.forEach(face => {
-                        if (this.shouldRenderFace(x, worldY, z, face.dir)) {
-                            this.addFace(vertices, normals, colors, indices, worldX, worldY, worldZ, face, color, vertexCount);
+                        if (this.shouldRenderFace(x, worldY, z, face.dir, getBlock)) {
+                            const tile = atlas ? atlas.getFaceTile(block, face.name) : null;
+                            const faceColor = tile && !tile.tint ? WHITE : color;
+                            this.addFace(vertices, normals, colors, uvs, indices, worldX, worldY, worldZ, face, faceColor, tile);
+                            faceBlocks.push(block);
                             vertexCount += 4;
                         }
                     });
@@ -213,27 +309,79 @@ export class ChunkColumn {
             }
         }
         
-        if (vertices.length === 0) {
-            subChunk.mesh = null;
-            return;
+        if (vertices.length === 0) return null;
+        
+        return { vertices, normals, colors, uvs, indices, faceBlocks };
+    }
+    
+    // Update mesh for a specific sub-chunk
+    updateSubChunkMesh(subY, scene) {
+        const subChunk = this.subChunks.get(subY);
+        if (!subChunk) return;
+        
+        // Remove old meshes
+        this.removeSubChunkMeshes(subChunk, scene);
+        if (subChunk.isEmpty) return;
+        
+        // Generate new mesh
+        const atlas = this.world ? this.world.textureAtlas : null;
+        const meshData = this.buildSubChunkMeshData(subY, null, atlas);
+        if (!meshData) return;
+        const map = atlas ? atlas.texture : null;
+        
+        // Sub-chunks below sea level may hold only water: each mesh is created only if it has faces
+        const solidData = selectFaces(meshData, block => !isLiquidBlock(block));
+        if (solidData) {
+            subChunk.mesh = this.createMesh(solidData, new THREE.MeshLambertMaterial({
+                map,
+                vertexColors: true,
+                // Cut-out pixels (gaps between leaves)
+                alphaTest: 0.5,
+                side: THREE.FrontSide
+            }));
+            scene.add(subChunk.mesh);
         }
         
-        // Set geometry attributes
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-        geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
-        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
-        geometry.setIndex(indices);
+        const waterData = selectFaces(meshData, isLiquidBlock);
+        if (waterData) {
+            subChunk.waterMesh = this.createMesh(waterData, new THREE.MeshLambertMaterial({
+                map,
+                vertexColors: true,
+                transparent: true,
+                opacity: 0.7,
+                depthWrite: false,
+                // Visible from below the surface too
+                side: THREE.DoubleSide
+            }));
+            scene.add(subChunk.waterMesh);
+        }
+    }
+    
+    createMesh(meshData, material) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(meshData.vertices, 3));
+        geometry.setAttribute('normal', new THREE.Float32BufferAttribute(meshData.normals, 3));
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute(meshData.colors, 3));
+        if (meshData.uvs) {
+            geometry.setAttribute('uv', new THREE.Float32BufferAttribute(meshData.uvs, 2));
+        }
+        geometry.setIndex(meshData.indices);
         geometry.computeBoundingBox();
         geometry.computeBoundingSphere();
         
-        // Create mesh
-        const material = new THREE.MeshLambertMaterial({ 
-            vertexColors: true,
-            side: THREE.FrontSide
-        });
-        
-        subChunk.mesh = new THREE.Mesh(geometry, material);
-        scene.add(subChunk.mesh);
+        return new THREE.Mesh(geometry, material);
+    }
+    
+    removeSubChunkMeshes(subChunk, scene) {
+        for (const name of ['mesh', 'waterMesh']) {
+            const mesh = subChunk[name];
+            if (mesh) {
+                scene.remove(mesh);
+                mesh.geometry.dispose();
+                mesh.material.dispose();
+                subChunk[name] = null;
+            }
+        }
     }
     
     // Update all dirty sub-chunks
@@ -255,8 +403,8 @@ export class ChunkColumn {
         this.isGenerated = true;
     }
     
-    // Add face geometry (same as original Chunk.js)
-    addFace(vertices, normals, colors, indices, x, y, z, face, color, vertexCount) {
+    // Add face geometry (same as original Chunk.js); tile is the atlas rectangle when texturing
+    addFace(vertices, normals, colors, uvs, indices, x, y, z, face, color, tile) {
         const size = config.blockSize;
         const half = size / 2;
         
@@ -328,6 +476,13 @@ export class ChunkColumn {
             colors.push(color.r, color.g, color.b);
         });
         
+        if (tile) {
+            const corners = FACE_UVS[face.name] || FACE_UVS.side;
+            for (const [u, v] of corners) {
+                uvs.push(u ? tile.u1 : tile.u0, v ? tile.v1 : tile.v0);
+            }
+        }
+        
         // Add indices
         indices.push(
             baseIndex, baseIndex + 1, baseIndex + 2,
@@ -338,11 +493,7 @@ export class ChunkColumn {
     // Dispose of all meshes
     dispose(scene) {
         for (const subChunk of this.subChunks.values()) {
-            if (subChunk.mesh) {
-                scene.remove(subChunk.mesh);
-                subChunk.mesh.geometry.dispose();
-                subChunk.mesh.material.dispose();
-            }
+            this.removeSubChunkMeshes(subChunk, scene);
         }
         this.subChunks.clear();
         this.dirtySubChunks.clear();
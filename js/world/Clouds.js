@@ -1,7 +1,10 @@
 // Clouds.js - Minecraft-style cloud system
+import { SimplexNoise } from '../utils/Noise.js';
+
 export class Clouds {
-    constructor(scene) {
+    constructor(scene, seed = Math.floor(Math.random() * 1000000)) {
         this.scene = scene;
+        this.seed = seed;
         this.cloudHeight = 128; // Y position of clouds
         this.cloudSpeed = 0.5; // Movement speed
         this.cloudSize = 512; // Size of cloud layer
@@ -23,24 +26,25 @@ export class Clouds {
         const size = 64; // Pattern size
         const pattern = [];
         
-        // Create cloud pattern using simple noise
+        const noise = new SimplexNoise(this.seed);
+        const scale = 0.08;
+        
+        // fBm blended across the edges so the pattern tiles seamlessly when repeated
+        const sample = (x, z) => noise.fbm2D(x * scale, z * scale, 3);
+        
         for (let x = 0; x < size; x++) {
             pattern[x] = [];
             for (let z = 0; z < size; z++) {
-                // Simple cloud generation algorithm
-                const noise1 = Math.sin(x * 0.1) * Math.cos(z * 0.1);
-                const noise2 = Math.sin(x * 0.05 + 100) * Math.cos(z * 0.05 + 100);
-                const noise3 = Math.sin(x * 0.2 - 50) * Math.cos(z * 0.2 - 50);
-                
-                const value = (noise1 + noise2 * 0.5 + noise3 * 0.25) / 1.75;
+                const u = x / size;
+                const v = z / size;
+                const value =
+                    sample(x, z) * (1 - u) * (1 - v) +
+                    sample(x - size, z) * u * (1 - v) +
+                    sample(x, z - size) * (1 - u) * v +
+                    sample(x - size, z - size) * u * v;
                 
                 // Threshold for cloud presence
-                pattern[x][z] = value > 0.1 ? 1 : 0;
-                
-                // Add some random holes for variety
-                if (pattern[x][z] === 1 && Math.random() < 0.1) {
-                    pattern[x][z] = 0;
-                }
+                pattern[x][z] = value > 0.05 ? 1 : 0;
             }
         }
         
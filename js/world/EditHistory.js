@@ -0,0 +1,175 @@
+/**
+ * EditHistory - Historial de ediciones de bloques con deshacer/rehacer
+ * Cada cambio guarda (posición, estado anterior, estado nuevo) en coordenadas de mundo,
+ * así funciona entre chunks y tras descargar y recargar columnas (WorldSave conserva las ediciones).
+ * Los estados son { block, properties }: deshacer devuelve también las propiedades del bloque.
+ */
+
+import { config } from '../config.js';
+import { isSameState } from './BlockStorage.js';
+import { Logger } from '../utils/Logger.js';
+
+export class EditHistory {
+    constructor(world, maxTransactions = 100) {
+        this.world = world;
+        this.maxTransactions = maxTransactions;
+
+        this.undoStack = [];
+        this.redoStack = [];
+
+        // Transacción abierta (las operaciones masivas cuentan como un solo paso)
+        this.current = null;
+        this.depth = 0;
+
+        // Evita registrar los cambios que hace el propio undo/redo
+        this.applying = false;
+    }
+
+    /**
+     * Abrir una transacción. Se pueden anidar; solo la externa crea el paso.
+     */
+    beginTransaction(label = 'edit') {
+        if (this.depth === 0) {
+            this.current = { label, changes: [] };
+        }
+        this.depth++;
+    }
+
+    /**
+     * Cerrar la transacción y apilarla si contiene cambios
+     */
+    endTransaction() {
+        if (this.depth === 0) return;
+
+        this.depth--;
+        if (this.depth === 0) {
+            const transaction = this.current;
+            this.current = null;
+            this.push(transaction);
+        }
+    }
+
+    /**
+     * Registrar un cambio de bloque; previous y next son estados { block, properties }
+     */
+    record(x, y, z, previous, next) {
+        if (this.applying || isSameState(previous, next)) return;
+
+        const change = { x, y, z, previous, next };
+
+        if (this.current) {
+            this.current.changes.push(change);
+        } else {
+            this.push({ label: 'edit', changes: [change] });
+        }
+    }
+
+    /**
+     * Ejecutar fn sin registrar sus cambios (física de bloques)
+     */
+    ignore(fn) {
+        const applying = this.applying;
+        this.applying = true;
+        try {
+            return fn();
+        } finally {
+            this.applying = applying;
+        }
+    }
+
+    push(transaction) {
+        if (transaction.changes.length === 0) return;
+
+        this.undoStack.push(transaction);
+        if (this.undoStack.length > this.maxTransactions) {
+            this.undoStack.shift();
+        }
+
+        // Una edición nueva invalida lo que se podía rehacer
+        this.redoStack = [];
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    undo() {
+        const transaction = this.undoStack[this.undoStack.length - 1];
+        if (!transaction || !this.isTransactionLoaded(transaction)) return false;
+
+        this.undoStack.pop();
+        this.applyChanges(transaction.changes.slice().reverse(), 'previous');
+        this.redoStack.push(transaction);
+
+        Logger.debug(`[EditHistory] Undo "${transaction.label}" (${transaction.changes.length} blocks)`);
+        return true;
+    }
+
+    redo() {
+        const transaction = this.redoStack[this.redoStack.length - 1];
+        if (!transaction || !this.isTransactionLoaded(transaction)) return false;
+
+        this.redoStack.pop();
+        this.applyChanges(transaction.changes, 'next');
+        this.undoStack.push(transaction);
+
+        Logger.debug(`[EditHistory] Redo "${transaction.label}" (${transaction.changes.length} blocks)`);
+        return true;
+    }
+
+    /**
+     * Todas las columnas tocadas por la transacción tienen que estar cargadas:
+     * escribir en una columna sin terreno la perdería al generarse.
+     */
+    isTransactionLoaded(transaction) {
+        const checked = new Set();
+
+        for (const { x, z } of transaction.changes) {
+            const key = this.world.getChunkKey(
+                Math.floor(x / config.chunkSize),
+                Math.floor(z / config.chunkSize)
+            );
+            if (checked.has(key)) continue;
+            checked.add(key);
+
+            if (!this.world.loadedChunks.has(key) || !this.world.chunkColumns.has(key)) {
+                Logger.warn(`[EditHistory] Cannot apply "${transaction.label}": chunk ${key} is not loaded`);
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    applyChanges(changes, field) {
+        this.applying = true;
+        this.world.beginEdit('history');
+        try {
+            for (const change of changes) {
+                const { block, properties } = change[field];
+                this.world.setBlockAt(change.x, change.y, change.z, block, undefined, properties);
+            }
+        } finally {
+            this.world.commitEdit();
+            this.applying = false;
+        }
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.current = null;
+        this.depth = 0;
+    }
+
+    getStats() {
+        return {
+            undo: this.undoStack.length,
+            redo: this.redoStack.length
+        };
+    }
+}
@@ -0,0 +1,282 @@
+/**
+ * FallingBlocks - Bloques con gravedad (arena) que caen al quedarse sin apoyo
+ *
+ * Cada cambio de bloque (edición, deshacer, aterrizaje) y cada columna recién
+ * generada dejan posiciones pendientes de comprobar; update() las revisa en el
+ * siguiente frame, así los lotes (pegar, rellenar) colocan primero todos sus
+ * bloques. Un bloque con `gravity` que tiene debajo aire o un líquido se quita
+ * del mundo y pasa a ser una entidad que cae con aceleración config.gravity
+ * (más lenta en el agua). Al quitarlo se comprueba el bloque de encima, así una
+ * columna de arena cae entera, cada bloque sobre el anterior.
+ *
+ * Al tocar un bloque sólido la entidad vuelve a ser un bloque en la celda de
+ * encima; el suelo del mundo (y = 0) también la sostiene. Si esa celda ya está
+ * ocupada, el bloque se pierde (el juego aún no tiene objetos que recoger).
+ * Cuando su columna se descarga, la entidad vuelve a ser un bloque en la celda
+ * en la que está (settleColumn), así se guarda con la columna y sigue cayendo
+ * cuando se vuelve a cargar.
+ *
+ * Los cambios de la física no se guardan en el historial de deshacer.
+ */
+
+import { config, BlockType, isLiquidBlock } from '../config.js';
+import { getBlock } from './BlockRegistry.js';
+import { Logger } from '../utils/Logger.js';
+
+const TERMINAL_VELOCITY = -40;
+const WATER_GRAVITY_FACTOR = 0.3;
+const WATER_TERMINAL_VELOCITY = -4;
+
+// Límite de bloques que empiezan a caer por frame (una columna muy alta cae en varios)
+const MAX_CHECKS_PER_FRAME = 256;
+
+// Aire y líquidos: dejan pasar a un bloque que cae y se pueden sustituir al aterrizar
+function isReplaceable(block) {
+    return block === BlockType.AIR || isLiquidBlock(block);
+}
+
+export class FallingBlocks {
+    constructor(world, scene) {
+        this.world = world;
+        this.scene = scene;
+
+        // Entidades { x, y, z, velocity, block, mesh }; y es la altura de la base
+        this.entities = [];
+
+        // Posiciones "x,y,z" pendientes de comprobar
+        this.pending = new Set();
+
+        // Caja texturizada por tipo de bloque, compartida por las entidades
+        this.geometries = new Map();
+        this.material = null;
+    }
+
+    /**
+     * Un bloque ha cambiado: puede caer él (colocado sobre aire) o el de encima
+     */
+    onBlockChanged(x, y, z) {
+        this.queue(x, y, z);
+        this.queue(x, y + 1, z);
+    }
+
+    queue(x, y, z) {
+        if (y < 0 || y >= config.worldHeight) return;
+        this.pending.add(`${x},${y},${z}`);
+    }
+
+    /**
+     * Revisar los bloques con gravedad de una columna recién generada.
+     * Solo se recorren los sub-chunks cuya paleta contiene alguno.
+     */
+    checkColumn(chunkColumn) {
+        const size = config.chunkSize;
+        const height = config.subChunkHeight;
+
+        for (const [subY, subChunk] of chunkColumn.subChunks) {
+            const { storage } = subChunk;
+            if (subChunk.isEmpty || !storage.paletteBlocks.some(block => getBlock(block).gravity)) continue;
+
+            for (let index = 0; index < size * height * size; index++) {
+                if (!getBlock(storage.get(index)).gravity) continue;
+
+                const x = index % size;
+                const y = Math.floor(index / size) % height;
+                const z = Math.floor(index / (size * height));
+                this.queue(chunkColumn.x * size + x, subY * height + y, chunkColumn.z * size + z);
+            }
+        }
+    }
+
+    update(deltaTime) {
+        if (this.pending.size > 0) {
+            this.world.beginEdit('physics');
+            try {
+                this.processPending();
+            } finally {
+                this.world.commitEdit();
+            }
+        }
+        if (this.entities.length === 0) return;
+
+        // De abajo arriba: en una columna que cae, el de abajo aterriza antes
+        this.entities.sort((a, b) => a.y - b.y);
+
+        const landed = [];
+        // Última entidad que sigue cayendo en cada x, z: la de encima no la atraviesa
+        const below = new Map();
+        this.world.beginEdit('physics');
+        try {
+            for (const entity of this.entities) {
+                const key = `${entity.x},${entity.z}`;
+                if (this.step(entity, deltaTime, below.get(key))) {
+                    landed.push(entity);
+                    below.delete(key);
+                } else {
+                    below.set(key, entity);
+                }
+            }
+        } finally {
+            this.world.commitEdit();
+        }
+
+        for (const entity of landed) {
+            this.removeEntity(entity);
+        }
+    }
+
+    // Convertir en entidades los bloques pendientes que no tienen apoyo
+    processPending() {
+        let checks = 0;
+
+        for (const key of this.pending) {
+            if (checks++ >= MAX_CHECKS_PER_FRAME) break;
+            this.pending.delete(key);
+
+            const [x, y, z] = key.split(',').map(Number);
+            if (!this.isLoaded(x, z)) continue;
+
+            // La capa más baja del mundo está apoyada en el suelo del mundo
+            const block = this.world.getBlockAt(x, y, z);
+            if (y === 0 || !getBlock(block).gravity) continue;
+            if (!isReplaceable(this.world.getBlockAt(x, y - 1, z))) continue;
+
+            this.spawn(x, y, z, block);
+        }
+    }
+
+    spawn(x, y, z, block) {
+        const mesh = new THREE.Mesh(this.getGeometry(block), this.getMaterial());
+        mesh.position.set(x, y, z);
+        this.scene.add(mesh);
+        this.entities.push({ x, y, z, velocity: 0, block, mesh });
+
+        // Quitar el bloque del mundo avisa al de encima
+        this.setBlock(x, y, z, BlockType.AIR);
+    }
+
+    /**
+     * Avanzar una entidad; devuelve true cuando deja de existir (aterrizada o perdida).
+     * below es la entidad que cae justo debajo en la misma x, z, si la hay.
+     */
+    step(entity, deltaTime, below = null) {
+        // Columna no cargada: la entidad espera donde está
+        if (!this.isLoaded(entity.x, entity.z)) return false;
+
+        const inWater = isLiquidBlock(this.world.getBlockAt(entity.x, entity.y + 0.5, entity.z));
+        if (inWater) {
+            entity.velocity += config.gravity * WATER_GRAVITY_FACTOR * deltaTime;
+            entity.velocity = Math.max(entity.velocity, WATER_TERMINAL_VELOCITY);
+        } else {
+            entity.velocity += config.gravity * deltaTime;
+            entity.velocity = Math.max(entity.velocity, TERMINAL_VELOCITY);
+        }
+
+        let nextY = entity.y + entity.velocity * deltaTime;
+
+        // Apoyada en la entidad de debajo (que frena al entrar en el agua)
+        if (below && nextY < below.y + 1) {
+            nextY = below.y + 1;
+            entity.velocity = below.velocity;
+        }
+
+        // Primera celda sólida entre la posición actual y la nueva
+        for (let cell = Math.ceil(entity.y) - 1; cell >= Math.floor(nextY); cell--) {
+            // El suelo del mundo sostiene la capa más baja
+            if (cell < 0) {
+                this.land(entity, 0);
+                return true;
+            }
+            if (!isReplaceable(this.world.getBlockAt(entity.x, cell, entity.z))) {
+                this.land(entity, cell + 1);
+                return true;
+            }
+        }
+
+        entity.y = nextY;
+        entity.mesh.position.y = nextY;
+        return false;
+    }
+
+    land(entity, y) {
+        const { x, z, block } = entity;
+        const occupant = this.world.getBlockAt(x, y, z);
+
+        if (y < config.worldHeight && isReplaceable(occupant)) {
+            this.setBlock(x, y, z, block);
+        } else {
+            Logger.debug(`[FallingBlocks] Block ${getBlock(block).name} dropped at ${x},${y},${z}`);
+        }
+    }
+
+    /**
+     * La columna se va a descargar: sus entidades vuelven a ser bloques en su celda actual
+     */
+    settleColumn(chunkX, chunkZ) {
+        for (const entity of this.entities.slice()) {
+            if (Math.floor(entity.x / config.chunkSize) !== chunkX ||
+                Math.floor(entity.z / config.chunkSize) !== chunkZ) continue;
+
+            this.land(entity, Math.floor(entity.y));
+            this.removeEntity(entity);
+        }
+    }
+
+    // Cambio de la física: fuera del historial de deshacer
+    setBlock(x, y, z, type) {
+        this.world.editHistory.ignore(() => {
+            this.world.setBlockAt(x, y, z, type);
+        });
+    }
+
+    isLoaded(x, z) {
+        const key = this.world.getChunkKey(Math.floor(x / config.chunkSize), Math.floor(z / config.chunkSize));
+        return this.world.loadedChunks.has(key) && this.world.chunkColumns.has(key);
+    }
+
+    getGeometry(block) {
+        let geometry = this.geometries.get(block);
+        if (!geometry) {
+            const box = new THREE.BoxGeometry(config.blockSize, config.blockSize, config.blockSize);
+            geometry = this.world.optimizedRenderer.createTexturedGeometry(box, block, getBlock(block).color);
+            box.dispose();
+            this.geometries.set(block, geometry);
+        }
+        return geometry;
+    }
+
+    getMaterial() {
+        if (!this.material) {
+            this.material = new THREE.MeshLambertMaterial({
+                map: this.world.textureAtlas.texture,
+                vertexColors: true,
+                alphaTest: 0.5
+            });
+        }
+        return this.material;
+    }
+
+    removeEntity(entity) {
+        this.scene.remove(entity.mesh);
+        this.entities.splice(this.entities.indexOf(entity), 1);
+    }
+
+    getStats() {
+        return { falling: this.entities.length, pending: this.pending.size };
+    }
+
+    dispose() {
+        for (const entity of this.entities) {
+            this.scene.remove(entity.mesh);
+        }
+        this.entities = [];
+        this.pending.clear();
+
+        for (const geometry of this.geometries.values()) {
+            geometry.dispose();
+        }
+        this.geometries.clear();
+        if (this.material) {
+            this.material.dispose();
+        }
+    }
+}
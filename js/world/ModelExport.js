@@ -0,0 +1,308 @@
+/**
+ * ModelExport - Exportar una región de columnas como modelo 3D
+ *
+ * Usa el mismo mallado con caras ocultas eliminadas que ChunkColumn.updateSubChunkMesh
+ * (buildSubChunkMeshData) y escribe:
+ *   - glTF 2.0 binario (.glb) con colores por vértice (COLOR_0)
+ *   - OBJ + MTL con un material por tipo de bloque y colores por vértice (extensión "v x y z r g b")
+ *
+ * Opciones:
+ *   mergeByType  un mesh por tipo de bloque en lugar de uno por sub-chunk
+ *   recenter     mover el origen al centro de la región, a la altura del bloque más bajo
+ *
+ * Los bloques fuera de la región cuentan como aire, así el modelo sale cerrado por los bordes.
+ */
+
+import { config, BlockType } from '../config.js';
+import { getBlock } from './BlockRegistry.js';
+import { Logger } from '../utils/Logger.js';
+
+// Constantes de glTF
+const GL_FLOAT = 5126;
+const GL_UNSIGNED_INT = 5125;
+const GL_ARRAY_BUFFER = 34962;
+const GL_ELEMENT_ARRAY_BUFFER = 34963;
+
+/**
+ * Rango de columnas que cubre una selección { min, max } en bloques
+ */
+export function chunkRangeFromBounds({ min, max }) {
+    return {
+        minChunkX: Math.floor(min.x / config.chunkSize),
+        maxChunkX: Math.floor(max.x / config.chunkSize),
+        minChunkZ: Math.floor(min.z / config.chunkSize),
+        maxChunkZ: Math.floor(max.z / config.chunkSize)
+    };
+}
+
+/**
+ * Mallar las columnas cargadas del rango.
+ * Devuelve [{ name, blockType, vertices, normals, colors, indices, faceBlocks }]
+ */
+export function buildRegionMeshes(world, range, { mergeByType = false, recenter = true } = {}) {
+    const { minChunkX, maxChunkX, minChunkZ, maxChunkZ } = range;
+    const minX = minChunkX * config.chunkSize;
+    const maxX = (maxChunkX + 1) * config.chunkSize;
+    const minZ = minChunkZ * config.chunkSize;
+    const maxZ = (maxChunkZ + 1) * config.chunkSize;
+
+    const getBlock = (x, y, z) => {
+        if (x < minX || x >= maxX || z < minZ || z >= maxZ) return BlockType.AIR;
+        return world.getBlockAtWorldCoords(x, y, z);
+    };
+
+    const parts = [];
+    for (let cx = minChunkX; cx <= maxChunkX; cx++) {
+        for (let cz = minChunkZ; cz <= maxChunkZ; cz++) {
+            const column = world.getChunkColumn(cx, cz);
+            if (!column) continue;
+
+            for (const subY of column.subChunks.keys()) {
+                const data = column.buildSubChunkMeshData(subY, getBlock);
+                if (data) {
+                    parts.push({ name: `chunk_${cx}_${cz}_${subY}`, blockType: null, ...data });
+                }
+            }
+        }
+    }
+
+    const meshes = mergeByType ? splitByBlockType(parts) : parts;
+
+    if (recenter && meshes.length > 0) {
+        let minY = Infinity;
+        for (const mesh of meshes) {
+            for (let i = 1; i < mesh.vertices.length; i += 3) {
+                minY = Math.min(minY, mesh.vertices[i]);
+            }
+        }
+
+        const offset = [(minX + maxX) / 2 - 0.5, minY, (minZ + maxZ) / 2 - 0.5];
+        for (const mesh of meshes) {
+            for (let i = 0; i < mesh.vertices.length; i++) {
+                mesh.vertices[i] -= offset[i % 3];
+            }
+        }
+    }
+
+    return meshes;
+}
+
+/**
+ * Reagrupar los quads de todas las partes en un mesh por tipo de bloque
+ */
+function splitByBlockType(parts) {
+    const byType = new Map();
+
+    for (const part of parts) {
+        for (let face = 0; face < part.faceBlocks.length; face++) {
+            const blockType = part.faceBlocks[face];
+            let mesh = byType.get(blockType);
+            if (!mesh) {
+                mesh = {
+                    name: getBlock(blockType).name,
+                    blockType,
+                    vertices: [], normals: [], colors: [], indices: [], faceBlocks: []
+                };
+                byType.set(blockType, mesh);
+            }
+
+            // Cada quad son 4 vértices consecutivos y 6 índices
+            const base = mesh.vertices.length / 3;
+            for (let i = face * 12; i < face * 12 + 12; i++) {
+                mesh.vertices.push(part.vertices[i]);
+                mesh.normals.push(part.normals[i]);
+                mesh.colors.push(part.colors[i]);
+            }
+            mesh.indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+            mesh.faceBlocks.push(blockType);
+        }
+    }
+
+    return Array.from(byType.values());
+}
+
+function srgbToLinear(c) {
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function colorToRGB(hex) {
+    return [(hex >> 16 & 255) / 255, (hex >> 8 & 255) / 255, (hex & 255) / 255];
+}
+
+/**
+ * Codificar los meshes como glTF 2.0 binario (.glb)
+ */
+export function encodeGLB(meshes) {
+    const json = {
+        asset: { version: '2.0', generator: 'Minecraft AI Voxel' },
+        scene: 0,
+        scenes: [{ nodes: [] }],
+        nodes: [],
+        meshes: [],
+        materials: [],
+        accessors: [],
+        bufferViews: [],
+        buffers: [{ byteLength: 0 }]
+    };
+
+    const chunks = [];
+    let byteLength = 0;
+
+    const addView = (array, target) => {
+        const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+        json.bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: bytes.length, target });
+        chunks.push(bytes);
+        byteLength += bytes.length;   // todo es de 4 bytes, ya queda alineado
+        return json.bufferViews.length - 1;
+    };
+
+    const addAccessor = (array, type, componentType, target, extra = {}) => {
+        json.accessors.push({
+            bufferView: addView(array, target),
+            componentType,
+            count: type === 'SCALAR' ? array.length : array.length / 3,
+            type,
+            ...extra
+        });
+        return json.accessors.length - 1;
+    };
+
+    // Material blanco: el color viene de los vértices
+    json.materials.push({
+        name: 'voxel',
+        pbrMetallicRoughness: { baseColorFactor: [1, 1, 1, 1], metallicFactor: 0, roughnessFactor: 1 }
+    });
+
+    for (const mesh of meshes) {
+        const positions = Float32Array.from(mesh.vertices);
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < positions.length; i++) {
+            min[i % 3] = Math.min(min[i % 3], positions[i]);
+            max[i % 3] = Math.max(max[i % 3], positions[i]);
+        }
+
+        const attributes = {
+            POSITION: addAccessor(positions, 'VEC3', GL_FLOAT, GL_ARRAY_BUFFER, { min, max }),
+            NORMAL: addAccessor(Float32Array.from(mesh.normals), 'VEC3', GL_FLOAT, GL_ARRAY_BUFFER),
+            // COLOR_0 es lineal; los colores del registro están en sRGB
+            COLOR_0: addAccessor(Float32Array.from(mesh.colors, srgbToLinear), 'VEC3', GL_FLOAT, GL_ARRAY_BUFFER)
+        };
+        const indices = addAccessor(Uint32Array.from(mesh.indices), 'SCALAR', GL_UNSIGNED_INT, GL_ELEMENT_ARRAY_BUFFER);
+
+        json.meshes.push({ name: mesh.name, primitives: [{ attributes, indices, material: 0 }] });
+        json.nodes.push({ name: mesh.name, mesh: json.meshes.length - 1 });
+        json.scenes[0].nodes.push(json.nodes.length - 1);
+    }
+
+    json.buffers[0].byteLength = byteLength;
+
+    // El JSON se rellena con espacios hasta múltiplo de 4
+    let jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+    const jsonPadded = new Uint8Array(Math.ceil(jsonBytes.length / 4) * 4).fill(0x20);
+    jsonPadded.set(jsonBytes);
+    jsonBytes = jsonPadded;
+
+    const total = 12 + 8 + jsonBytes.length + 8 + byteLength;
+    const glb = new Uint8Array(total);
+    const view = new DataView(glb.buffer);
+
+    view.setUint32(0, 0x46546C67, true);   // "glTF"
+    view.setUint32(4, 2, true);
+    view.setUint32(8, total, true);
+
+    view.setUint32(12, jsonBytes.length, true);
+    view.setUint32(16, 0x4E4F534A, true);  // "JSON"
+    glb.set(jsonBytes, 20);
+
+    let offset = 20 + jsonBytes.length;
+    view.setUint32(offset, byteLength, true);
+    view.setUint32(offset + 4, 0x004E4942, true);  // "BIN\0"
+    offset += 8;
+    for (const chunk of chunks) {
+        glb.set(chunk, offset);
+        offset += chunk.length;
+    }
+
+    return glb;
+}
+
+/**
+ * Codificar los meshes como OBJ + MTL. Devuelve { obj, mtl } como texto.
+ */
+export function encodeOBJ(meshes, mtlFileName = 'model.mtl') {
+    const lines = ['# Minecraft AI Voxel export', `mtllib ${mtlFileName}`];
+    const usedTypes = new Set();
+    let vertexBase = 1;
+    let normalBase = 1;
+
+    for (const mesh of meshes) {
+        lines.push(`o ${mesh.name}`);
+
+        const { vertices, normals, colors, indices, faceBlocks } = mesh;
+        for (let i = 0; i < vertices.length; i += 3) {
+            lines.push(`v ${vertices[i]} ${vertices[i + 1]} ${vertices[i + 2]} ` +
+                `${colors[i].toFixed(4)} ${colors[i + 1].toFixed(4)} ${colors[i + 2].toFixed(4)}`);
+        }
+        // Los 4 vértices de un quad comparten normal: una por quad
+        for (let i = 0; i < normals.length; i += 12) {
+            lines.push(`vn ${normals[i]} ${normals[i + 1]} ${normals[i + 2]}`);
+        }
+
+        let currentType = null;
+        for (let face = 0; face < faceBlocks.length; face++) {
+            if (faceBlocks[face] !== currentType) {
+                currentType = faceBlocks[face];
+                usedTypes.add(currentType);
+                lines.push(`usemtl ${getBlock(currentType).name}`);
+            }
+
+            const n = normalBase + face;
+            for (let t = face * 6; t < face * 6 + 6; t += 3) {
+                lines.push(`f ${vertexBase + indices[t]}//${n} ${vertexBase + indices[t + 1]}//${n} ${vertexBase + indices[t + 2]}//${n}`);
+            }
+        }
+
+        vertexBase += vertices.length / 3;
+        normalBase += faceBlocks.length;
+    }
+
+    const mtl = ['# Minecraft AI Voxel materials'];
+    for (const type of usedTypes) {
+        const [r, g, b] = colorToRGB(getBlock(type).color || 0xffffff);
+        mtl.push(
+            `newmtl ${getBlock(type).name}`,
+            `Kd ${r.toFixed(4)} ${g.toFixed(4)} ${b.toFixed(4)}`,
+            'Ka 0 0 0',
+            'Ks 0 0 0',
+            'illum 1',
+            ''
+        );
+    }
+
+    return { obj: lines.join('\n') + '\n', mtl: mtl.join('\n') };
+}
+
+/**
+ * Exportar una región como .glb o .obj/.mtl.
+ * Devuelve [{ blob, fileName }] (uno para glTF, dos para OBJ).
+ */
+export function exportRegionModel(world, range, { format = 'glb', baseName = 'region', ...options } = {}) {
+    const meshes = buildRegionMeshes(world, range, options);
+    if (meshes.length === 0) {
+        throw new Error('Nothing to export: the region has no loaded blocks');
+    }
+
+    const faces = meshes.reduce((sum, mesh) => sum + mesh.faceBlocks.length, 0);
+    Logger.info(`[ModelExport] Exporting ${meshes.length} meshes, ${faces} faces as ${format}`);
+
+    if (format === 'obj') {
+        const { obj, mtl } = encodeOBJ(meshes, `${baseName}.mtl`);
+        return [
+            { blob: new Blob([obj], { type: 'text/plain' }), fileName: `${baseName}.obj` },
+            { blob: new Blob([mtl], { type: 'text/plain' }), fileName: `${baseName}.mtl` }
+        ];
+    }
+
+    return [{ blob: new Blob([encodeGLB(meshes)], { type: 'model/gltf-binary' }), fileName: `${baseName}.glb` }];
+}
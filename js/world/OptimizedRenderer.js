@@ -1,14 +1,20 @@
 /**
  * OptimizedRenderer - Sistema de renderizado con InstancedMesh
  * Se integra con el sistema existente para mejorar el rendimiento
+ * Con un TextureAtlas cada tipo de bloque usa una caja con las UVs de sus teselas
  */
 
-import { config, BlockType, blockColors } from '../config.js';
+import { config, BlockType } from '../config.js';
+import { listBlocks } from './BlockRegistry.js';
 import { Logger } from '../utils/Logger.js';
 
+// Caras de BoxGeometry en orden (4 vértices cada una), con los nombres del atlas
+const BOX_FACES = ['right', 'left', 'top', 'bottom', 'front', 'back'];
+
 export class OptimizedRenderer {
-    constructor(scene) {
+    constructor(scene, atlas = null) {
         this.scene = scene;
+        this.atlas = atlas;
         this.instancedMeshes = new Map();
         this.instanceMatrices = new Map();
         this.instanceCounts = new Map();
@@ -32,15 +38,17 @@ export class OptimizedRenderer {
         );
         
         // Crear un InstancedMesh para cada tipo de bloque
-        for (const [name, type] of Object.entries(BlockType)) {
-            if (type === BlockType.AIR) continue;
+        for (const { id: type, color } of listBlocks()) {
+            if (type === BlockType.AIR || !color) continue;
             
-            const color = blockColors[type];
-            if (!color) continue;
+            const blockGeometry = this.atlas ? this.createTexturedGeometry(geometry, type, color) : geometry;
             
             // Material con mejor rendimiento
             const material = new THREE.MeshLambertMaterial({
-                color: color,
+                color: this.atlas ? 0xffffff : color,
+                map: this.atlas ? this.atlas.texture : null,
+                vertexColors: Boolean(this.atlas),
+                alphaTest: 0.5,
                 // Optimizaciones de material
                 precision: 'lowp',
                 dithering: false,
@@ -49,7 +57,7 @@ export class OptimizedRenderer {
             
             // Crear InstancedMesh
             const mesh = new THREE.InstancedMesh(
-                geometry,
+                blockGeometry,
                 material,
                 this.maxInstancesPerType
             );
@@ -76,6 +84,32 @@ export class OptimizedRenderer {
         }
     }
     
+    // Copia de la caja con las UVs de las teselas del bloque; las teselas teñidas llevan su color
+    createTexturedGeometry(base, type, color) {
+        const geometry = base.clone();
+        const uv = geometry.attributes.uv;
+        const colors = new Float32Array(uv.count * 3);
+        const tint = new THREE.Color(color);
+        
+        for (let i = 0; i < uv.count; i++) {
+            const tile = this.atlas.getFaceTile(type, BOX_FACES[Math.floor(i / 4)]);
+            uv.setXY(i,
+                tile.u0 + uv.getX(i) * (tile.u1 - tile.u0),
+                tile.v0 + uv.getY(i) * (tile.v1 - tile.v0));
+            
+            if (tile.tint) {
+                colors[i * 3] = tint.r;
+                colors[i * 3 + 1] = tint.g;
+                colors[i * 3 + 2] = tint.b;
+            } else {
+                colors.fill(1, i * 3, i * 3 + 3);
+            }
+        }
+        
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        return geometry;
+    }
+    
     // Resetear contadores antes de actualizar
     beginUpdate() {
         for (const [type] of this.instancedMeshes) {
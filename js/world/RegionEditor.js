@@ -0,0 +1,236 @@
+/**
+ * RegionEditor - Operaciones de construcción sobre regiones de bloques
+ * Rellenar, reemplazar, vaciar, limpiar, copiar y pegar (con rotación y espejo).
+ *
+ * Todas las operaciones pasan por world.setBlocks, así que cada una es un único
+ * paso de deshacer y cada sub-chunk afectado se remalla una sola vez.
+ * Los límites son { min, max } inclusivos (ver normalizeBounds); si se omiten
+ * se usa la selección actual del mundo.
+ *
+ *   world.regionEditor.fill(BlockType.STONE);
+ *   world.regionEditor.copy(normalizeBounds(a, b));
+ *   world.regionEditor.paste({ x: 10, y: 64, z: -3 }, { rotation: 1, mirrorX: true });
+ */
+
+import { BlockType } from '../config.js';
+import { getBoundsSize } from './Selection.js';
+import { isSameState } from './BlockStorage.js';
+import { Logger } from '../utils/Logger.js';
+
+export class RegionEditor {
+    constructor(world, maxVolume = 262144) {
+        this.world = world;
+        this.maxVolume = maxVolume;
+
+        // { size: {x, y, z}, blocks: Uint16Array, properties } en orden x + y*sx + z*sx*sy;
+        // properties es null si ningún bloque copiado tiene propiedades de estado
+        this.clipboard = null;
+    }
+
+    /**
+     * Límites de la selección actual (error si no hay selección completa)
+     */
+    getSelectionBounds() {
+        const bounds = this.world.selection.getBounds();
+        if (!bounds) {
+            throw new Error('No region selected: set both corners first');
+        }
+        return bounds;
+    }
+
+    checkVolume(size) {
+        const volume = size.x * size.y * size.z;
+        if (volume > this.maxVolume) {
+            throw new Error(`Region too large: ${volume} blocks (max ${this.maxVolume})`);
+        }
+        return volume;
+    }
+
+    /**
+     * Recorrer cada bloque de la región llamando a fn(x, y, z)
+     */
+    forEachBlock(bounds, fn) {
+        const { min, max } = bounds;
+        this.checkVolume(getBoundsSize(bounds));
+
+        for (let z = min.z; z <= max.z; z++) {
+            for (let y = min.y; y <= max.y; y++) {
+                for (let x = min.x; x <= max.x; x++) {
+                    fn(x, y, z);
+                }
+            }
+        }
+    }
+
+    /**
+     * Aplicar los cambios que modifican algo como una sola edición.
+     * Devuelve el número de bloques cambiados.
+     */
+    applyChanges(changes, label) {
+        const effective = changes.filter(({ x, y, z, type, properties = null }) =>
+            !isSameState(this.world.getBlockStateAt(x, y, z), { block: type, properties }));
+        if (effective.length === 0) return 0;
+
+        this.world.setBlocks(effective, label);
+
+        Logger.debug(`[RegionEditor] ${label}: ${effective.length} blocks changed`);
+        return effective.length;
+    }
+
+    /**
+     * Rellenar la región con un tipo de bloque
+     */
+    fill(type, bounds = this.getSelectionBounds()) {
+        const changes = [];
+        this.forEachBlock(bounds, (x, y, z) => changes.push({ x, y, z, type }));
+        return this.applyChanges(changes, 'fill');
+    }
+
+    /**
+     * Cambiar un tipo de bloque por otro dentro de la región
+     */
+    replace(fromType, toType, bounds = this.getSelectionBounds()) {
+        const changes = [];
+        this.forEachBlock(bounds, (x, y, z) => {
+            if (this.world.getBlockAt(x, y, z) === fromType) {
+                changes.push({ x, y, z, type: toType });
+            }
+        });
+        return this.applyChanges(changes, 'replace');
+    }
+
+    /**
+     * Vaciar el interior de la región dejando solo la cáscara exterior
+     */
+    hollow(bounds = this.getSelectionBounds(), type = BlockType.AIR) {
+        const { min, max } = bounds;
+        const changes = [];
+
+        this.forEachBlock(bounds, (x, y, z) => {
+            const onShell = x === min.x || x === max.x ||
+                y === min.y || y === max.y ||
+                z === min.z || z === max.z;
+            if (!onShell) {
+                changes.push({ x, y, z, type });
+            }
+        });
+        return this.applyChanges(changes, 'hollow');
+    }
+
+    /**
+     * Borrar todos los bloques de la región
+     */
+    clear(bounds = this.getSelectionBounds()) {
+        return this.fill(BlockType.AIR, bounds);
+    }
+
+    /**
+     * Leer los bloques de una región: { size, blocks, properties } en el orden del portapapeles
+     */
+    readRegion(bounds = this.getSelectionBounds()) {
+        const size = getBoundsSize(bounds);
+        this.checkVolume(size);
+
+        const blocks = new Uint16Array(size.x * size.y * size.z);
+        let properties = null;
+        let i = 0;
+        for (let z = 0; z < size.z; z++) {
+            for (let y = 0; y < size.y; y++) {
+                for (let x = 0; x < size.x; x++) {
+                    const state = this.world.getBlockStateAt(bounds.min.x + x, bounds.min.y + y, bounds.min.z + z);
+                    if (state.properties) {
+                        properties = properties || new Array(blocks.length).fill(null);
+                        properties[i] = state.properties;
+                    }
+                    blocks[i++] = state.block;
+                }
+            }
+        }
+
+        return { size, blocks, properties };
+    }
+
+    /**
+     * Copiar la región al portapapeles. La esquina mínima es el origen al pegar.
+     */
+    copy(bounds = this.getSelectionBounds()) {
+        this.clipboard = this.readRegion(bounds);
+
+        const { size } = this.clipboard;
+        Logger.info(`[RegionEditor] Copied ${size.x}x${size.y}x${size.z} region`);
+        return this.clipboard;
+    }
+
+    /**
+     * Pegar el portapapeles con su esquina mínima en position.
+     * options.rotation: cuartos de vuelta alrededor de Y (sentido horario visto desde arriba)
+     * options.mirrorX / mirrorZ: espejo antes de rotar
+     * options.skipAir: no sobrescribir con los bloques de aire copiados
+     */
+    paste(position, { rotation = 0, mirrorX = false, mirrorZ = false, skipAir = false } = {}) {
+        if (!this.clipboard) {
+            throw new Error('Clipboard is empty: copy a region first');
+        }
+
+        const { size, blocks, properties } = this.clipboard;
+        const turns = ((Math.round(rotation) % 4) + 4) % 4;
+        const origin = {
+            x: Math.floor(position.x),
+            y: Math.floor(position.y),
+            z: Math.floor(position.z)
+        };
+
+        const changes = [];
+        let i = 0;
+        for (let z = 0; z < size.z; z++) {
+            for (let y = 0; y < size.y; y++) {
+                for (let x = 0; x < size.x; x++) {
+                    const index = i++;
+                    const type = blocks[index];
+                    if (skipAir && type === BlockType.AIR) continue;
+
+                    const { x: dx, z: dz } = this.transformXZ(x, z, size, turns, mirrorX, mirrorZ);
+                    changes.push({
+                        x: origin.x + dx,
+                        y: origin.y + y,
+                        z: origin.z + dz,
+                        type,
+                        properties: properties ? properties[index] : null
+                    });
+                }
+            }
+        }
+
+        return this.applyChanges(changes, 'paste');
+    }
+
+    /**
+     * Posición dentro de la caja pegada tras aplicar espejo y rotación
+     */
+    transformXZ(x, z, size, turns, mirrorX, mirrorZ) {
+        if (mirrorX) x = size.x - 1 - x;
+        if (mirrorZ) z = size.z - 1 - z;
+
+        let sx = size.x;
+        let sz = size.z;
+        for (let t = 0; t < turns; t++) {
+            // (x, z) -> (sz - 1 - z, x): 90° sin salir de la caja
+            const nx = sz - 1 - z;
+            z = x;
+            x = nx;
+            [sx, sz] = [sz, sx];
+        }
+
+        return { x, z };
+    }
+
+    /**
+     * Tamaño del portapapeles tras rotar (para previsualizar el pegado)
+     */
+    getPasteSize(rotation = 0) {
+        if (!this.clipboard) return null;
+
+        const { x, y, z } = this.clipboard.size;
+        return Math.abs(Math.round(rotation)) % 2 === 1 ? { x: z, y, z: x } : { x, y, z };
+    }
+}
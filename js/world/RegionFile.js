@@ -0,0 +1,318 @@
+/**
+ * RegionFile - Importar ficheros de región de Minecraft Java (.mca, formato Anvil)
+ *
+ * Un fichero de región guarda 32x32 chunks:
+ *   bytes 0-4095      tabla de posiciones: por chunk, offset (3 bytes, en sectores de 4 KiB) + nº de sectores
+ *   bytes 4096-8191   marcas de tiempo (no se usan)
+ *   por chunk         uint32 longitud, uint8 compresión (1 gzip, 2 zlib, 3 sin comprimir), NBT
+ *
+ * Cada sección de 16x16x16 del chunk coincide con uno de nuestros sub-chunks:
+ *   1.18+      sections[].block_states { palette, data }
+ *   1.13-1.17  Level.Sections[] { Palette, BlockStates }
+ * Los índices de la paleta van empaquetados en longs en orden y*256 + z*16 + x;
+ * desde 1.16 un índice no cruza de un long al siguiente.
+ *
+ * Desde 1.18 el mundo empieza en Y = -64 (sección -4, dada por yPos): las secciones
+ * se desplazan para que la más baja sea nuestro sub-chunk 0. Las que quedan fuera
+ * de nuestra altura se descartan y se avisa de cuántas eran.
+ *
+ * Las columnas importadas se guardan en WorldSave como sub-chunks modificados
+ * (los 16, también los de aire) para que tapen por completo el terreno generado.
+ */
+
+import { config, BlockType } from '../config.js';
+import { readNBT, getTagValue, gunzip, inflate, TagType } from '../utils/NBT.js';
+import { BlockMapping } from './BlockMapping.js';
+import { createWorldMetadata } from './WorldMetadata.js';
+import { BlockStorage } from './BlockStorage.js';
+import { Logger } from '../utils/Logger.js';
+
+export const REGION_FILE_EXTENSION = '.mca';
+
+const SECTOR_SIZE = 4096;
+
+// Primera DataVersion en la que los índices no cruzan longs (20w17a, 1.16)
+const NON_SPANNING_DATA_VERSION = 2529;
+
+// Primera DataVersion con secciones por debajo de Y = 0 (1.18) y su sección mínima
+const NEGATIVE_SECTIONS_DATA_VERSION = 2860;
+const NEGATIVE_SECTIONS_MIN_Y = -4;
+
+/**
+ * Leer la tabla de un fichero de región y descomprimir cada chunk.
+ * Devuelve [{ index, nbt }] con el compound raíz de cada chunk presente.
+ */
+export async function readRegionChunks(buffer) {
+    const bytes = new Uint8Array(buffer);
+    if (bytes.length < SECTOR_SIZE * 2) {
+        throw new Error('Not a region file: too short');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+
+    for (let index = 0; index < 1024; index++) {
+        const location = view.getUint32(index * 4);
+        const sectorOffset = location >>> 8;
+        if (sectorOffset === 0) continue;
+
+        const start = sectorOffset * SECTOR_SIZE;
+        if (start + 5 > bytes.length) {
+            Logger.warn(`[RegionFile] Chunk ${index} points outside the file, skipped`);
+            continue;
+        }
+
+        const length = view.getUint32(start);
+        const compression = bytes[start + 4];
+        const data = bytes.subarray(start + 5, start + 4 + length);
+
+        try {
+            chunks.push({ index, nbt: readNBT(await decompressChunk(data, compression)).tag.value });
+        } catch (error) {
+            Logger.warn(`[RegionFile] Chunk ${index} skipped: ${error.message}`);
+        }
+    }
+
+    return chunks;
+}
+
+function decompressChunk(data, compression) {
+    switch (compression) {
+        case 1: return gunzip(data);
+        case 2: return inflate(data);
+        case 3: return Promise.resolve(data);
+        default:
+            // 4 es LZ4 (1.20.5+) y +128 indica un fichero .mcc externo
+            return Promise.reject(new Error(`unsupported compression type ${compression}`));
+    }
+}
+
+/**
+ * Desempaquetar 4096 índices de paleta de un array de longs
+ */
+export function unpackIndices(longs, paletteSize, dataVersion) {
+    const indices = new Uint16Array(4096);
+    if (!longs || paletteSize <= 1) return indices;
+
+    const bits = Math.max(4, Math.ceil(Math.log2(paletteSize)));
+    const mask = (1 << bits) - 1;
+    const spanning = dataVersion < NON_SPANNING_DATA_VERSION;
+    const perLong = Math.floor(64 / bits);
+
+    // Cada long partido en dos mitades de 32 bits para operar sin BigInt
+    const lows = new Uint32Array(longs.length);
+    const highs = new Uint32Array(longs.length);
+    for (let i = 0; i < longs.length; i++) {
+        lows[i] = Number(BigInt.asUintN(32, longs[i]));
+        highs[i] = Number(BigInt.asUintN(32, longs[i] >> 32n));
+    }
+
+    const readBits = (longIndex, offset) => {
+        if (offset >= 32) return (highs[longIndex] >>> (offset - 32)) & mask;
+        if (offset + bits <= 32) return (lows[longIndex] >>> offset) & mask;
+        return ((lows[longIndex] >>> offset) | (highs[longIndex] << (32 - offset))) & mask;
+    };
+
+    for (let i = 0; i < 4096; i++) {
+        let longIndex;
+        let offset;
+
+        if (spanning) {
+            const bitIndex = i * bits;
+            longIndex = Math.floor(bitIndex / 64);
+            offset = bitIndex % 64;
+        } else {
+            longIndex = Math.floor(i / perLong);
+            offset = (i % perLong) * bits;
+        }
+
+        if (longIndex >= longs.length) break;
+
+        let value = readBits(longIndex, offset);
+        if (offset + bits > 64 && longIndex + 1 < longs.length) {
+            // El índice sigue en el long siguiente (solo en formatos antiguos)
+            const lowBits = 64 - offset;
+            value |= (lows[longIndex + 1] << lowBits) & mask;
+        }
+        indices[i] = value;
+    }
+
+    return indices;
+}
+
+/**
+ * Sección más baja del chunk: yPos si lo tiene, -4 desde 1.18 y 0 antes
+ */
+function getMinSection(level, dataVersion) {
+    const yPos = getTagValue(level, 'yPos', TagType.INT);
+    if (yPos !== undefined) return yPos;
+    return dataVersion >= NEGATIVE_SECTIONS_DATA_VERSION ? NEGATIVE_SECTIONS_MIN_Y : 0;
+}
+
+/**
+ * Convertir el NBT de un chunk en { chunkX, chunkZ, subChunks: [{ subY, blocks }], skippedSections }.
+ * sectionOffset se suma a la Y de cada sección; si es null se calcula para que la
+ * sección más baja del chunk sea el sub-chunk 0. skippedSections cuenta las secciones
+ * con bloques que quedan fuera de la altura del mundo.
+ * Devuelve null si el chunk no está completo o usa un formato no soportado.
+ */
+export function decodeAnvilChunk(root, mapping, sectionOffset = null) {
+    const dataVersion = getTagValue(root, 'DataVersion', TagType.INT) || 0;
+
+    // Antes de 1.18 todo está dentro de "Level"
+    const level = getTagValue(root, 'Level', TagType.COMPOUND) || root;
+    const offset = sectionOffset === null ? -getMinSection(level, dataVersion) : sectionOffset;
+
+    const status = getTagValue(level, 'Status', TagType.STRING);
+    if (status && !status.endsWith('full')) return null;
+
+    const sectionList = getTagValue(level, 'sections', TagType.LIST) || getTagValue(level, 'Sections', TagType.LIST);
+    if (!sectionList) return null;
+
+    const chunk = {
+        chunkX: getTagValue(level, 'xPos', TagType.INT),
+        chunkZ: getTagValue(level, 'zPos', TagType.INT),
+        subChunks: [],
+        skippedSections: 0
+    };
+
+    for (const section of sectionList.items) {
+        const subY = getTagValue(section, 'Y', TagType.BYTE) + offset;
+
+        const blockStates = getTagValue(section, 'block_states', TagType.COMPOUND);
+        const palette = blockStates
+            ? getTagValue(blockStates, 'palette', TagType.LIST)
+            : getTagValue(section, 'Palette', TagType.LIST);
+        const data = blockStates
+            ? getTagValue(blockStates, 'data', TagType.LONG_ARRAY)
+            : getTagValue(section, 'BlockStates', TagType.LONG_ARRAY);
+
+        // Sin paleta: sección vacía o formato anterior a 1.13
+        if (!palette || palette.items.length === 0) continue;
+
+        if (subY < 0 || subY >= config.verticalChunks) {
+            const names = palette.items.map(entry => getTagValue(entry, 'Name', TagType.STRING) || 'minecraft:air');
+            if (names.some(name => name !== 'minecraft:air')) chunk.skippedSections++;
+            continue;
+        }
+
+        const paletteIds = palette.items.map(entry => mapping.toId(getTagValue(entry, 'Name', TagType.STRING) || 'minecraft:air'));
+        const indices = unpackIndices(data, paletteIds.length, dataVersion);
+        const blocks = new Uint16Array(4096);
+
+        let hasBlocks = false;
+        for (let y = 0; y < 16; y++) {
+            for (let z = 0; z < 16; z++) {
+                for (let x = 0; x < 16; x++) {
+                    const type = paletteIds[indices[y * 256 + z * 16 + x]];
+                    const value = type === undefined ? mapping.fallback : type;
+                    blocks[x + y * 16 + z * 256] = value;
+                    if (value !== BlockType.AIR) hasBlocks = true;
+                }
+            }
+        }
+
+        if (hasBlocks) {
+            chunk.subChunks.push({ subY, blocks });
+        }
+    }
+
+    return chunk;
+}
+
+/**
+ * Coordenadas de región del nombre "r.X.Z.mca" (para chunks sin xPos/zPos)
+ */
+function parseRegionName(fileName) {
+    const match = /r\.(-?\d+)\.(-?\d+)\.mca$/.exec(fileName || '');
+    return match ? { x: Number(match[1]), z: Number(match[2]) } : { x: 0, z: 0 };
+}
+
+/**
+ * Importar uno o varios ficheros .mca como un mundo nuevo.
+ * files: [{ name, buffer }]. Devuelve los metadatos del mundo creado.
+ */
+export async function importRegionFiles(worldSave, files, {
+    name = 'Imported Map',
+    mapping = new BlockMapping(),
+    sectionOffset = null
+} = {}) {
+    const metadata = createWorldMetadata({ name });
+    const emptyTerrain = new BlockStorage().serialize();
+
+    let columnCount = 0;
+    let skippedSections = 0;
+    let spawnColumn = null;
+
+    for (const file of files) {
+        const region = parseRegionName(file.name);
+        const chunks = await readRegionChunks(file.buffer);
+
+        for (const { index, nbt } of chunks) {
+            const chunk = decodeAnvilChunk(nbt, mapping, sectionOffset);
+            if (!chunk) continue;
+            skippedSections += chunk.skippedSections;
+
+            if (chunk.chunkX === undefined || chunk.chunkZ === undefined) {
+                chunk.chunkX = region.x * 32 + (index % 32);
+                chunk.chunkZ = region.z * 32 + Math.floor(index / 32);
+            }
+
+            // Todos los sub-chunks, los vacíos también, para tapar el terreno generado
+            const bySubY = new Map(chunk.subChunks.map(sub => [sub.subY, sub.blocks]));
+            const subChunks = [];
+            for (let subY = 0; subY < config.verticalChunks; subY++) {
+                const blocks = bySubY.get(subY);
+                subChunks.push({ subY, ...(blocks ? BlockStorage.fromArray(blocks).serialize() : emptyTerrain) });
+            }
+
+            await worldSave.putCompressedColumn(metadata.id, {
+                chunkX: chunk.chunkX,
+                chunkZ: chunk.chunkZ,
+                subChunks
+            });
+
+            if (!spawnColumn) spawnColumn = chunk;
+            columnCount++;
+        }
+    }
+
+    if (columnCount === 0) {
+        throw new Error('No complete chunks found in the region files');
+    }
+
+    // Aparecer encima del bloque más alto del centro del primer chunk
+    metadata.spawn = findSpawn(spawnColumn);
+    await worldSave.saveMetadata(metadata);
+
+    if (skippedSections > 0) {
+        Logger.warn(`[RegionFile] ${skippedSections} sections outside the world height (${config.worldHeight} blocks) were skipped`);
+    }
+    if (mapping.unknownNames.size > 0) {
+        Logger.warn(`[RegionFile] ${mapping.unknownNames.size} unknown block names mapped to fallback:`,
+            Array.from(mapping.unknownNames));
+    }
+    Logger.info(`[RegionFile] Imported "${metadata.name}" with ${columnCount} columns`);
+    return metadata;
+}
+
+function findSpawn(chunk) {
+    const x = 8;
+    const z = 8;
+    let top = 0;
+
+    for (const { subY, blocks } of chunk.subChunks) {
+        for (let y = 15; y >= 0; y--) {
+            if (blocks[x + y * 16 + z * 256] !== BlockType.AIR) {
+                top = Math.max(top, subY * config.subChunkHeight + y);
+                break;
+            }
+        }
+    }
+
+    return {
+        x: chunk.chunkX * config.chunkSize + x + 0.5,
+        y: top + 2,
+        z: chunk.chunkZ * config.chunkSize + z + 0.5
+    };
+}
@@ -0,0 +1,207 @@
+/**
+ * Schematic - Exportar/importar regiones como Sponge Schematic (.schem)
+ *
+ * Se escribe la versión 2: NBT comprimido con gzip con raíz "Schematic" y
+ *   Version      int      2
+ *   DataVersion  int      versión de datos de Minecraft de referencia
+ *   Width/Height/Length   short (tamaño en X/Y/Z)
+ *   Offset       int[3]   desplazamiento de la región
+ *   PaletteMax   int
+ *   Palette      compound nombre de bloque -> índice
+ *   BlockData    byte[]   índices de la paleta en varint, orden x + z*Width + y*Width*Length
+ *   BlockEntities list    vacía (no tenemos entidades de bloque)
+ *
+ * Al importar también se aceptan las versiones 1 y 3 (en la 3 los datos van en "Blocks").
+ * El resultado tiene la forma del portapapeles de RegionEditor para pegarlo con rotación.
+ */
+
+import { BlockType } from '../config.js';
+import { readNBT, writeNBT, getTagValue, gzip, gunzip, isGzip, Tag, TagType } from '../utils/NBT.js';
+import { BlockMapping } from './BlockMapping.js';
+import { Logger } from '../utils/Logger.js';
+
+export const SCHEMATIC_EXTENSION = '.schem';
+
+// DataVersion de Minecraft 1.16.5, la más común en herramientas que leen la v2
+const DATA_VERSION = 2586;
+
+function writeVarInt(out, value) {
+    while (value >= 0x80) {
+        out.push((value & 0x7f) | 0x80);
+        value >>>= 7;
+    }
+    out.push(value);
+}
+
+function readVarInts(bytes, count) {
+    const values = new Int32Array(count);
+    let offset = 0;
+
+    for (let i = 0; i < count; i++) {
+        let value = 0;
+        let shift = 0;
+        let byte;
+        do {
+            if (offset >= bytes.length) {
+                throw new RangeError(`BlockData truncated at block ${i}`);
+            }
+            byte = bytes[offset++] & 0xff;
+            value |= (byte & 0x7f) << shift;
+            shift += 7;
+        } while (byte & 0x80);
+        values[i] = value;
+    }
+
+    return values;
+}
+
+/**
+ * Codificar una región { size, blocks } como .schem (bytes gzip)
+ */
+export async function encodeSchematic(region, mapping = new BlockMapping(), offset = { x: 0, y: 0, z: 0 }) {
+    const { size, blocks } = region;
+    if (size.x > 0xFFFF || size.y > 0xFFFF || size.z > 0xFFFF) {
+        throw new Error('Region too large for a schematic');
+    }
+
+    const palette = new Map();
+    const blockData = [];
+
+    // Del orden del portapapeles (x + y*sx + z*sx*sy) al de Sponge (x + z*W + y*W*L)
+    for (let y = 0; y < size.y; y++) {
+        for (let z = 0; z < size.z; z++) {
+            for (let x = 0; x < size.x; x++) {
+                const name = mapping.toName(blocks[x + y * size.x + z * size.x * size.y]);
+                let index = palette.get(name);
+                if (index === undefined) {
+                    index = palette.size;
+                    palette.set(name, index);
+                }
+                writeVarInt(blockData, index);
+            }
+        }
+    }
+
+    const paletteTag = {};
+    for (const [name, index] of palette) {
+        paletteTag[name] = Tag.int(index);
+    }
+
+    const root = Tag.compound({
+        Version: Tag.int(2),
+        DataVersion: Tag.int(DATA_VERSION),
+        Width: Tag.short(size.x << 16 >> 16),
+        Height: Tag.short(size.y << 16 >> 16),
+        Length: Tag.short(size.z << 16 >> 16),
+        Offset: Tag.intArray([offset.x, offset.y, offset.z]),
+        PaletteMax: Tag.int(palette.size),
+        Palette: Tag.compound(paletteTag),
+        BlockData: Tag.byteArray(blockData),
+        BlockEntities: Tag.list(TagType.COMPOUND, []),
+        Metadata: Tag.compound({
+            Date: Tag.long(Date.now())
+        })
+    });
+
+    return gzip(writeNBT('Schematic', root));
+}
+
+/**
+ * Decodificar un .schem (comprimido o no) a { size, blocks, offset }.
+ * Lanza un Error si su volumen pasa de maxVolume, antes de reservar los arrays.
+ */
+export async function decodeSchematic(buffer, mapping = new BlockMapping(), maxVolume = Infinity) {
+    let bytes = new Uint8Array(buffer);
+    if (isGzip(bytes)) {
+        bytes = await gunzip(bytes);
+    }
+
+    let schematic = readNBT(bytes).tag.value;
+
+    // Versión 3: todo va dentro de un compound "Schematic" bajo una raíz sin nombre
+    const nested = getTagValue(schematic, 'Schematic', TagType.COMPOUND);
+    if (nested) schematic = nested;
+
+    const version = getTagValue(schematic, 'Version', TagType.INT);
+    if (![1, 2, 3].includes(version)) {
+        throw new Error(`Unsupported schematic version ${version}`);
+    }
+
+    const size = {
+        x: getTagValue(schematic, 'Width', TagType.SHORT) & 0xFFFF,
+        y: getTagValue(schematic, 'Height', TagType.SHORT) & 0xFFFF,
+        z: getTagValue(schematic, 'Length', TagType.SHORT) & 0xFFFF
+    };
+
+    const container = version === 3 ? getTagValue(schematic, 'Blocks', TagType.COMPOUND) || {} : schematic;
+    const paletteTag = getTagValue(container, 'Palette', TagType.COMPOUND);
+    const data = getTagValue(container, version === 3 ? 'Data' : 'BlockData', TagType.BYTE_ARRAY);
+    if (!paletteTag || !data) {
+        throw new Error('Schematic has no block palette or block data');
+    }
+
+    // Índice de la paleta -> BlockType
+    const paletteIds = [];
+    for (const [name, tag] of Object.entries(paletteTag)) {
+        paletteIds[tag.value] = mapping.toId(name);
+    }
+
+    const volume = size.x * size.y * size.z;
+    if (volume > maxVolume) {
+        throw new Error(`Schematic too large: ${volume} blocks (max ${maxVolume})`);
+    }
+    // Cada índice ocupa al menos un byte
+    if (data.length < volume) {
+        throw new Error(`Schematic block data too short: ${data.length} bytes for ${volume} blocks`);
+    }
+
+    const indices = readVarInts(data, volume);
+    const blocks = new Uint16Array(volume);
+
+    let i = 0;
+    for (let y = 0; y < size.y; y++) {
+        for (let z = 0; z < size.z; z++) {
+            for (let x = 0; x < size.x; x++) {
+                const type = paletteIds[indices[i++]];
+                blocks[x + y * size.x + z * size.x * size.y] = type === undefined ? mapping.fallback : type;
+            }
+        }
+    }
+
+    const offsetArray = getTagValue(schematic, 'Offset', TagType.INT_ARRAY) || [0, 0, 0];
+
+    if (mapping.unknownNames.size > 0) {
+        Logger.warn(`[Schematic] ${mapping.unknownNames.size} unknown block names mapped to fallback:`,
+            Array.from(mapping.unknownNames));
+    }
+
+    return {
+        size,
+        blocks,
+        offset: { x: offsetArray[0], y: offsetArray[1], z: offsetArray[2] }
+    };
+}
+
+/**
+ * Exportar una región del mundo como fichero descargable
+ */
+export async function exportSchematic(regionEditor, bounds = regionEditor.getSelectionBounds(), mapping) {
+    const region = regionEditor.readRegion(bounds);
+    const bytes = await encodeSchematic(region, mapping);
+
+    Logger.info(`[Schematic] Exported ${region.size.x}x${region.size.y}x${region.size.z} region, ${bytes.length} bytes`);
+    return new Blob([bytes], { type: 'application/octet-stream' });
+}
+
+/**
+ * Importar un .schem al portapapeles para pegarlo en la mira
+ */
+export async function importSchematic(regionEditor, buffer, mapping) {
+    const { size, blocks } = await decodeSchematic(buffer, mapping, regionEditor.maxVolume);
+
+    regionEditor.clipboard = { size, blocks };
+
+    const solid = blocks.reduce((count, type) => count + (type !== BlockType.AIR ? 1 : 0), 0);
+    Logger.info(`[Schematic] Imported ${size.x}x${size.y}x${size.z} schematic (${solid} blocks) to clipboard`);
+    return regionEditor.clipboard;
+}
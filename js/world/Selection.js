@@ -0,0 +1,127 @@
+/**
+ * Selection - Región cúbica de bloques elegida con dos esquinas
+ * Muestra la selección como una caja de alambre alrededor de los bloques incluidos.
+ */
+
+import { config } from '../config.js';
+
+/**
+ * Normalizar dos esquinas (en cualquier orden) a { min, max } con coordenadas enteras.
+ * El eje Y se recorta a la altura del mundo.
+ */
+export function normalizeBounds(a, b) {
+    const min = {
+        x: Math.floor(Math.min(a.x, b.x)),
+        y: Math.max(0, Math.floor(Math.min(a.y, b.y))),
+        z: Math.floor(Math.min(a.z, b.z))
+    };
+    const max = {
+        x: Math.floor(Math.max(a.x, b.x)),
+        y: Math.min(config.worldHeight - 1, Math.floor(Math.max(a.y, b.y))),
+        z: Math.floor(Math.max(a.z, b.z))
+    };
+
+    return { min, max };
+}
+
+/**
+ * Tamaño en bloques de unos límites normalizados
+ */
+export function getBoundsSize({ min, max }) {
+    return {
+        x: max.x - min.x + 1,
+        y: Math.max(0, max.y - min.y + 1),
+        z: max.z - min.z + 1
+    };
+}
+
+export class Selection {
+    constructor(scene) {
+        this.scene = scene;
+        this.corners = [null, null];
+
+        // Caja unitaria escalada a la selección
+        const edges = new THREE.EdgesGeometry(new THREE.BoxGeometry(1, 1, 1));
+        this.box = new THREE.LineSegments(edges, new THREE.LineBasicMaterial({
+            color: 0xffeb3b,
+            depthTest: false,
+            transparent: true,
+            opacity: 0.9
+        }));
+        this.box.renderOrder = 999;
+        this.box.visible = false;
+        scene.add(this.box);
+    }
+
+    /**
+     * Fijar la esquina 0 o 1 en la posición de un bloque
+     */
+    setCorner(index, position) {
+        this.corners[index] = {
+            x: Math.floor(position.x),
+            y: Math.floor(position.y),
+            z: Math.floor(position.z)
+        };
+        this.updateBox();
+    }
+
+    /**
+     * Elegir la región completa de una vez
+     */
+    set(a, b) {
+        this.setCorner(0, a);
+        this.setCorner(1, b);
+    }
+
+    clear() {
+        this.corners = [null, null];
+        this.updateBox();
+    }
+
+    hasSelection() {
+        return this.corners[0] !== null && this.corners[1] !== null;
+    }
+
+    /**
+     * Límites normalizados, o null si falta alguna esquina
+     */
+    getBounds() {
+        if (!this.hasSelection()) return null;
+        return normalizeBounds(this.corners[0], this.corners[1]);
+    }
+
+    getSize() {
+        const bounds = this.getBounds();
+        return bounds ? getBoundsSize(bounds) : null;
+    }
+
+    updateBox() {
+        // Con una sola esquina se muestra el bloque marcado
+        const a = this.corners[0] || this.corners[1];
+        const b = this.corners[1] || this.corners[0];
+
+        if (!a) {
+            this.box.visible = false;
+            return;
+        }
+
+        const { min, max } = normalizeBounds(a, b);
+        const size = getBoundsSize({ min, max });
+
+        // Un poco más grande que los bloques para que no parpadee con las caras.
+        // Los bloques se dibujan centrados en sus coordenadas enteras.
+        this.box.scale.set(size.x + 0.02, size.y + 0.02, size.z + 0.02);
+        this.box.position.set(
+            min.x + (size.x - 1) / 2,
+            min.y + (size.y - 1) / 2,
+            min.z + (size.z - 1) / 2
+        );
+        this.box.visible = true;
+    }
+
+    dispose() {
+        this.scene.remove(this.box);
+        this.box.geometry.dispose();
+        this.box.material.dispose();
+    }
+}
@@ -0,0 +1,299 @@
+/**
+ * TextureAtlas - Texturas de bloque dibujadas por código en un único atlas
+ *
+ * Cada bloque del registro indica en `textures` la textura de cada cara:
+ *   textures: 'stone'                                              todas las caras
+ *   textures: { top: 'grass_top', side: 'grass_side', bottom: 'dirt' }
+ * Los bloques sin `textures` reciben una textura lisa de su color.
+ *
+ * Al crear el atlas se pintan las texturas que usan los bloques registrados, cada
+ * una en una tesela de TILE_SIZE píxeles con un Random propio (salen siempre
+ * iguales). Las texturas con `tint` se pintan en gris y el color de vértice les
+ * pone el color del bioma (hierba y hojas). Los bloques registrados después de
+ * crear el atlas se dibujan con la textura `missing`.
+ *
+ * El atlas se muestrea sin filtrado (NearestFilter) ni mipmaps para que los
+ * píxeles se vean nítidos y una tesela no se mezcle con sus vecinas.
+ */
+
+import { BlockType } from '../config.js';
+import { listBlocks } from './BlockRegistry.js';
+import { Random, mixSeed } from '../utils/Noise.js';
+
+export const TILE_SIZE = 16;
+
+// Margen dentro de cada tesela, en fracción de píxel, para no muestrear la vecina
+const TILE_INSET = 0.01;
+
+// Color multiplicado por un factor aleatorio en [1 - amount, 1 + amount]
+function shade(color, random, amount) {
+    const factor = 1 + (random.next() * 2 - 1) * amount;
+    return [
+        Math.min(255, ((color >> 16) & 0xFF) * factor),
+        Math.min(255, ((color >> 8) & 0xFF) * factor),
+        Math.min(255, (color & 0xFF) * factor)
+    ];
+}
+
+function fillNoise(tile, random, color, amount) {
+    for (let y = 0; y < TILE_SIZE; y++) {
+        for (let x = 0; x < TILE_SIZE; x++) {
+            tile.set(x, y, shade(color, random, amount));
+        }
+    }
+}
+
+// Manchas de 2x2 píxeles sobre piedra
+function paintOre(tile, random, color) {
+    fillNoise(tile, random, 0x9E9E9E, 0.1);
+    const veins = 4 + random.nextInt(3);
+    for (let i = 0; i < veins; i++) {
+        const x = 1 + random.nextInt(TILE_SIZE - 3);
+        const y = 1 + random.nextInt(TILE_SIZE - 3);
+        for (let dx = 0; dx < 2; dx++) {
+            for (let dy = 0; dy < 2; dy++) {
+                if (random.chance(0.8)) tile.set(x + dx, y + dy, shade(color, random, 0.15));
+            }
+        }
+    }
+}
+
+/**
+ * Texturas por nombre: { paint(tile, random), tint }
+ * tile.set(x, y, [r, g, b], alpha) pinta un píxel de la tesela (y = 0 arriba)
+ */
+const TEXTURES = new Map();
+
+export function registerTexture(name, { paint, tint = false }) {
+    TEXTURES.set(name, { paint, tint });
+}
+
+registerTexture('missing', {
+    paint(tile) {
+        for (let y = 0; y < TILE_SIZE; y++) {
+            for (let x = 0; x < TILE_SIZE; x++) {
+                const odd = ((x >> 3) + (y >> 3)) % 2 === 1;
+                tile.set(x, y, odd ? [255, 0, 255] : [0, 0, 0]);
+            }
+        }
+    }
+});
+
+registerTexture('grass_top', {
+    tint: true,
+    paint: (tile, random) => fillNoise(tile, random, 0xDDDDDD, 0.12)
+});
+
+registerTexture('grass_side', {
+    paint(tile, random) {
+        fillNoise(tile, random, 0x8D6E63, 0.15);
+        for (let x = 0; x < TILE_SIZE; x++) {
+            const depth = 2 + random.nextInt(3);
+            for (let y = 0; y < depth; y++) {
+                tile.set(x, y, shade(0x4CAF50, random, 0.12));
+            }
+        }
+    }
+});
+
+registerTexture('dirt', {
+    paint(tile, random) {
+        fillNoise(tile, random, 0x8D6E63, 0.15);
+        for (let i = 0; i < 12; i++) {
+            tile.set(random.nextInt(TILE_SIZE), random.nextInt(TILE_SIZE), shade(0x6D4C41, random, 0.1));
+        }
+    }
+});
+
+registerTexture('stone', {
+    paint(tile, random) {
+        fillNoise(tile, random, 0x9E9E9E, 0.08);
+        // Grietas cortas y horizontales
+        for (let i = 0; i < 5; i++) {
+            const x = random.nextInt(TILE_SIZE - 3);
+            const y = random.nextInt(TILE_SIZE);
+            const length = 2 + random.nextInt(3);
+            for (let dx = 0; dx < length; dx++) {
+                tile.set(x + dx, y, shade(0x7A7A7A, random, 0.05));
+            }
+        }
+    }
+});
+
+registerTexture('sand', {
+    paint: (tile, random) => fillNoise(tile, random, 0xFFD54F, 0.06)
+});
+
+registerTexture('water', {
+    paint(tile, random) {
+        fillNoise(tile, random, 0x2196F3, 0.04);
+        for (let i = 0; i < 6; i++) {
+            const x = random.nextInt(TILE_SIZE - 4);
+            const y = random.nextInt(TILE_SIZE);
+            for (let dx = 0; dx < 4; dx++) {
+                tile.set(x + dx, y, shade(0x64B5F6, random, 0.04));
+            }
+        }
+    }
+});
+
+registerTexture('log_side', {
+    paint(tile, random) {
+        for (let y = 0; y < TILE_SIZE; y++) {
+            for (let x = 0; x < TILE_SIZE; x++) {
+                // Vetas verticales de la corteza
+                const groove = x % 4 === 0 || (x % 4 === 2 && random.chance(0.3));
+                tile.set(x, y, shade(groove ? 0x4E342E : 0x6D4C41, random, 0.08));
+            }
+        }
+    }
+});
+
+registerTexture('log_top', {
+    paint(tile, random) {
+        const center = (TILE_SIZE - 1) / 2;
+        for (let y = 0; y < TILE_SIZE; y++) {
+            for (let x = 0; x < TILE_SIZE; x++) {
+                const distance = Math.max(Math.abs(x - center), Math.abs(y - center));
+                let color;
+                if (distance > center - 1) {
+                    color = 0x6D4C41;    // Corteza
+                } else {
+                    color = Math.floor(distance) % 2 === 0 ? 0xBCAAA4 : 0xA1887F;    // Anillos
+                }
+                tile.set(x, y, shade(color, random, 0.06));
+            }
+        }
+    }
+});
+
+registerTexture('leaves', {
+    tint: true,
+    paint(tile, random) {
+        for (let y = 0; y < TILE_SIZE; y++) {
+            for (let x = 0; x < TILE_SIZE; x++) {
+                // Huecos transparentes entre las hojas
+                tile.set(x, y, shade(0xCCCCCC, random, 0.2), random.chance(0.2) ? 0 : 255);
+            }
+        }
+    }
+});
+
+registerTexture('coal_ore', { paint: (tile, random) => paintOre(tile, random, 0x2B2B2B) });
+registerTexture('iron_ore', { paint: (tile, random) => paintOre(tile, random, 0xD8AF93) });
+registerTexture('gold_ore', { paint: (tile, random) => paintOre(tile, random, 0xFFD700) });
+registerTexture('diamond_ore', { paint: (tile, random) => paintOre(tile, random, 0x00E5FF) });
+
+// Textura lisa para los bloques sin `textures`
+function plainTexture(color) {
+    return { paint: (tile, random) => fillNoise(tile, random, color ?? 0xFFFFFF, 0.06), tint: false };
+}
+
+// { top, side, bottom } con los nombres de textura de un bloque
+function getFaceTextures(block) {
+    const { textures } = block;
+    if (!textures) {
+        const name = `block:${block.name}`;
+        return { top: name, side: name, bottom: name };
+    }
+    if (typeof textures === 'string') {
+        return { top: textures, side: textures, bottom: textures };
+    }
+    const side = textures.side || 'missing';
+    return { top: textures.top || side, side, bottom: textures.bottom || side };
+}
+
+export class TextureAtlas {
+    constructor() {
+        // Texturas que hacen falta: las de los bloques registrados y `missing`
+        const textures = new Map([['missing', TEXTURES.get('missing')]]);
+        const blockTextures = [];
+
+        for (const block of listBlocks()) {
+            if (block.id === BlockType.AIR) continue;
+
+            const faces = getFaceTextures(block);
+            for (const name of Object.values(faces)) {
+                if (textures.has(name)) continue;
+                textures.set(name, name.startsWith('block:') ? plainTexture(block.color) : TEXTURES.get(name) || null);
+            }
+            blockTextures[block.id] = faces;
+        }
+
+        // Rejilla cuadrada con lado potencia de dos
+        this.columns = 2 ** Math.ceil(Math.log2(Math.ceil(Math.sqrt(textures.size))));
+        this.size = this.columns * TILE_SIZE;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = this.size;
+        this.canvas.height = this.size;
+        const context = this.canvas.getContext('2d');
+        const image = context.createImageData(this.size, this.size);
+
+        this.tiles = new Map();
+        let index = 0;
+        for (const [name, texture] of textures) {
+            if (!texture) continue;    // Nombre desconocido: se usa `missing`
+
+            this.tiles.set(name, this.paintTile(image.data, index++, name, texture));
+        }
+        context.putImageData(image, 0, 0);
+
+        const missing = this.tiles.get('missing');
+        this.blockFaces = blockTextures.map(faces => faces && {
+            top: this.tiles.get(faces.top) || missing,
+            side: this.tiles.get(faces.side) || missing,
+            bottom: this.tiles.get(faces.bottom) || missing
+        });
+        this.missingFaces = { top: missing, side: missing, bottom: missing };
+
+        this.texture = new THREE.CanvasTexture(this.canvas);
+        this.texture.magFilter = THREE.NearestFilter;
+        this.texture.minFilter = THREE.NearestFilter;
+        this.texture.generateMipmaps = false;
+    }
+
+    /**
+     * Pintar una textura en la tesela `index`; devuelve su rectángulo UV { u0, v0, u1, v1, tint }
+     */
+    paintTile(pixels, index, name, texture) {
+        const tileX = (index % this.columns) * TILE_SIZE;
+        const tileY = Math.floor(index / this.columns) * TILE_SIZE;
+        const size = this.size;
+
+        const tile = {
+            set(x, y, [r, g, b], alpha = 255) {
+                const offset = ((tileY + y) * size + tileX + x) * 4;
+                pixels[offset] = r;
+                pixels[offset + 1] = g;
+                pixels[offset + 2] = b;
+                pixels[offset + 3] = alpha;
+            }
+        };
+        texture.paint(tile, new Random(mixSeed(0, ...Array.from(name, char => char.charCodeAt(0)))));
+
+        // La textura se sube con flipY: la fila 0 de la imagen es v = 1
+        const inset = TILE_INSET / size;
+        return {
+            u0: tileX / size + inset,
+            u1: (tileX + TILE_SIZE) / size - inset,
+            v0: 1 - (tileY + TILE_SIZE) / size + inset,
+            v1: 1 - tileY / size - inset,
+            tint: texture.tint
+        };
+    }
+
+    /**
+     * Tesela de una cara de un bloque; face es 'top', 'bottom' o una cara lateral
+     */
+    getFaceTile(block, face) {
+        const faces = this.blockFaces[block] || this.missingFaces;
+        if (face === 'top') return faces.top;
+        if (face === 'bottom') return faces.bottom;
+        return faces.side;
+    }
+
+    dispose() {
+        this.texture.dispose();
+    }
+}
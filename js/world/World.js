@@ -1,8 +1,16 @@
-import { config, stats } from '../config.js';
+import { config, stats, BlockType, isTransparentBlock, isLiquidBlock } from '../config.js';
 import { ChunkColumn } from './ChunkColumn.js';
 import { WorkerManager } from './WorkerManager.js';
 import { MemoryManager } from './MemoryManager.js';
 import { OptimizedRenderer } from './OptimizedRenderer.js';
+import { TextureAtlas } from './TextureAtlas.js';
+import { WorldSave } from './WorldSave.js';
+import { EditHistory } from './EditHistory.js';
+import { Selection } from './Selection.js';
+import { BlockBreaking } from './BlockBreaking.js';
+import { FallingBlocks } from './FallingBlocks.js';
+import { RegionEditor } from './RegionEditor.js';
+import { DEFAULT_GENERATOR, hasGenerator } from './generation/GeneratorRegistry.js';
 import { Logger } from '../utils/Logger.js';
 
 // Sistema de Frustum Culling mejorado con priorización
@@ -157,8 +165,9 @@ class ChunkPrioritySystem {
 
 // World management - CON OPTIMIZED RENDERER
 export class World {
-    constructor(scene) {
+    constructor(scene, metadata = null) {
         this.scene = scene;
+        this.metadata = metadata;
         this.chunkColumns = new Map();
         this.loadedChunks = new Set();
         this.loadingChunks = new Set();
@@ -166,8 +175,11 @@ export class World {
         this.prioritySystem = new ChunkPrioritySystem();
         this.memoryManager = new MemoryManager();
         
+        // Texturas de los bloques registrados (las usan las mallas de los chunks)
+        this.textureAtlas = new TextureAtlas();
+        
         // NUEVO: Sistema de renderizado optimizado
-        this.optimizedRenderer = new OptimizedRenderer(scene);
+        this.optimizedRenderer = new OptimizedRenderer(scene, this.textureAtlas);
         this.useOptimizedRenderer = true; // Flag para activar/desactivar
         
         // Control de carga
@@ -180,10 +192,52 @@ export class World {
         this.workerManager = null;
         this.initializeWorkers();
         
-        // Seed para generación procedural
-        this.seed = Math.floor(Math.random() * 1000000);
+        // Seed para generación procedural (del mundo guardado si existe)
+        this.seed = metadata ? metadata.seed : Math.floor(Math.random() * 1000000);
+        this.gameMode = metadata ? metadata.gameMode : 'creative';
+        this.generatorName = metadata ? metadata.generator : DEFAULT_GENERATOR;
+        if (!hasGenerator(this.generatorName)) {
+            Logger.warn(`[World] Unknown generator "${this.generatorName}", using "${DEFAULT_GENERATOR}"`);
+            this.generatorName = DEFAULT_GENERATOR;
+        }
+        // Opciones que acompañan a cada petición de generación (los mundos antiguos usan las de por defecto)
+        this.generatorOptions = {
+            carvers: metadata ? metadata.carvers || null : null,
+            flat: metadata ? metadata.flat || null : null,
+            preset: metadata ? metadata.preset || null : null
+        };
+        
+        // Persistencia de ediciones del jugador
+        this.worldId = metadata ? metadata.id : 'default';
+        this.worldSave = config.features.worldSave ? new WorldSave(this.worldId) : null;
+        this.autosaveTimer = null;
+        if (this.worldSave) {
+            this.autosaveTimer = setInterval(() => {
+                this.saveModifiedColumns();
+            }, config.features.autosaveInterval);
+        }
+        
+        // Historial de ediciones para deshacer/rehacer
+        this.editHistory = new EditHistory(this);
+        
+        // Ediciones por lotes: columnas pendientes de remallar
+        this.editDepth = 0;
+        this.dirtyColumns = new Set();
+        
+        // Observadores de columnas cargadas o editadas (mapa)
+        this.columnListeners = new Set();
+        
+        // Herramientas de construcción: selección por esquinas y operaciones sobre regiones
+        this.selection = new Selection(scene);
+        this.regionEditor = new RegionEditor(this);
+        
+        // Rotura de bloques con progreso y grietas (modo supervivencia)
+        this.blockBreaking = new BlockBreaking(this, scene);
         
-        Logger.info('[World] World initialized with OptimizedRenderer and Minecraft terrain generator');
+        // Bloques con gravedad que caen al quedarse sin apoyo
+        this.fallingBlocks = new FallingBlocks(this, scene);
+        
+        Logger.info(`[World] World initialized with OptimizedRenderer and "${this.generatorName}" terrain generator`);
     }
     
     initializeWorkers() {
@@ -196,7 +250,7 @@ export class World {
             setTimeout(() => {
                 if (this.workerManager && this.workerManager.isEnabled()) {
                     stats.workerStatus = 'enabled';
-                    Logger.info('[World] Web Workers enabled - Minecraft terrain ready');
+                    Logger.info('[World] Web Workers enabled - terrain generation ready');
                 } else {
                     stats.workerStatus = 'failed';
                     Logger.error('[World] Web Workers failed - Game cannot run without workers');
@@ -262,6 +316,18 @@ export class World {
         return chunkColumn ? chunkColumn.getBlock(localX, worldY, localZ) : 0;
     }
 
+    // Bloque y propiedades de estado: { block, properties }
+    getBlockStateAt(x, y, z) {
+        const worldX = Math.floor(x);
+        const worldZ = Math.floor(z);
+        const chunkColumn = this.getChunkColumn(Math.floor(worldX / config.chunkSize), Math.floor(worldZ / config.chunkSize));
+        if (!chunkColumn) return { block: BlockType.AIR, properties: null };
+
+        const localX = ((worldX % config.chunkSize) + config.chunkSize) % config.chunkSize;
+        const localZ = ((worldZ % config.chunkSize) + config.chunkSize) % config.chunkSize;
+        return chunkColumn.getBlockState(localX, Math.floor(y), localZ);
+    }
+
     updateChunksAroundPlayer(playerX, playerZ, camera, scene) {
         const currentTime = performance.now();
         
@@ -376,9 +442,11 @@ export class World {
                 for (let z = 0; z < size; z++) {
                     const worldY = baseY + y;
                     const index = x + y * size + z * size * subHeight;
-                    const blockType = subChunk.blocks[index];
+                    const blockType = subChunk.storage.get(index);
                     
-                    if (blockType === 0) continue; // Skip air
+                    if (blockType === BlockType.AIR) continue;
+                    // El agua solo se dibuja en la malla transparente del sub-chunk
+                    if (isLiquidBlock(blockType)) continue;
                     
                     // Verificar si el bloque es visible
                     if (this.isBlockVisible(chunkColumn, x, worldY, z)) {
@@ -414,8 +482,8 @@ export class World {
                 return true;
             }
             
-            // Si el bloque adyacente es aire, es visible
-            if (chunkColumn.getBlock(nx, ny, nz) === 0) {
+            // Si el bloque adyacente es aire (o se ve a través de él), es visible
+            if (isTransparentBlock(chunkColumn.getBlock(nx, ny, nz))) {
                 return true;
             }
         }
@@ -451,6 +519,11 @@ export class World {
         this.loadingChunks.add(key);
         Logger.debug(`[World] Loading chunk ${key}`);
         
+        // Leer ediciones guardadas mientras el worker genera el terreno
+        if (this.worldSave) {
+            this.worldSave.prefetchColumn(cx, cz);
+        }
+        
         // Solo generación con workers - sin fallback
         const requested = this.workerManager.requestChunk(cx, cz);
         if (requested) {
@@ -492,6 +565,14 @@ export class World {
         
         const chunkColumn = this.chunkColumns.get(key);
         if (chunkColumn) {
+            // Los bloques que caen en la columna se quedan en ella al guardarla
+            this.fallingBlocks.settleColumn(chunkColumn.x, chunkColumn.z);
+            
+            // Persistir ediciones antes de descartar la columna
+            if (chunkColumn.needsSave && this.worldSave) {
+                this.worldSave.saveColumn(chunkColumn);
+            }
+            
             // Si usamos el renderer optimizado, no necesitamos los meshes individuales
             if (!this.useOptimizedRenderer) {
                 chunkColumn.dispose(this.scene);
@@ -504,6 +585,43 @@ export class World {
         this.loadingChunks.delete(key);
     }
 
+    // Aplicar ediciones guardadas sobre una columna recién generada
+    async applySavedEdits(chunkColumn) {
+        if (!this.worldSave) return false;
+        
+        const saved = await this.worldSave.loadColumn(chunkColumn.x, chunkColumn.z);
+        const key = this.getChunkKey(chunkColumn.x, chunkColumn.z);
+        
+        // La columna pudo descargarse mientras se leía la base de datos
+        if (!saved || this.chunkColumns.get(key) !== chunkColumn) {
+            return false;
+        }
+        
+        this.worldSave.applyColumn(chunkColumn, saved);
+        return true;
+    }
+    
+    // Guardar todas las columnas con ediciones pendientes
+    saveModifiedColumns() {
+        if (!this.worldSave) return 0;
+        
+        let saved = 0;
+        for (const chunkColumn of this.chunkColumns.values()) {
+            if (chunkColumn.needsSave) {
+                this.worldSave.saveColumn(chunkColumn);
+                saved++;
+            }
+        }
+        
+        // Escrituras fallidas de columnas que ya no están cargadas
+        this.worldSave.retryFailedWrites();
+        
+        if (saved > 0) {
+            Logger.debug(`[World] Autosaved ${saved} modified columns`);
+        }
+        return saved;
+    }
+
     updateRenderDistance(newDistance) {
         Logger.info(`[World] Updating render distance to ${newDistance}`);
         config.renderDistance = newDistance;
@@ -541,7 +659,8 @@ export class World {
         return this.getBlockAtWorldCoords(Math.floor(x), Math.floor(y), Math.floor(z));
     }
 
-    setBlockAt(x, y, z, type, scene) {
+    // properties: estado opcional del bloque ({ axis: 'x' }), se guarda en la paleta del sub-chunk
+    setBlockAt(x, y, z, type, scene, properties = null) {
         const worldX = Math.floor(x);
         const worldY = Math.floor(y);
         const worldZ = Math.floor(z);
@@ -553,23 +672,28 @@ export class World {
         
         const chunkColumn = this.getChunkColumn(chunkX, chunkZ);
         if (chunkColumn) {
-            chunkColumn.setBlock(localX, worldY, localZ, type);
-            
-            // Si no usamos el renderer optimizado, actualizar meshes normales
-            if (!this.useOptimizedRenderer) {
-                chunkColumn.updateAllDirtyMeshes(scene);
+            if (worldY >= 0 && worldY < config.worldHeight) {
+                const previous = chunkColumn.getBlockState(localX, worldY, localZ);
+                this.editHistory.record(worldX, worldY, worldZ, previous, { block: type, properties });
             }
             
-            this.updateNeighborChunks(chunkX, chunkZ, localX, localZ, scene);
+            chunkColumn.setBlock(localX, worldY, localZ, type, properties);
+            this.dirtyColumns.add(this.getChunkKey(chunkX, chunkZ));
+            
+            // El bloque o el de encima pueden quedarse sin apoyo
+            this.fallingBlocks.onBlockChanged(worldX, worldY, worldZ);
             
-            // Si usamos el renderer optimizado, forzar actualización
-            if (this.useOptimizedRenderer) {
-                this.updateOptimizedRendering();
+            this.updateNeighborChunks(chunkX, chunkZ, localX, worldY, localZ);
+            
+            // Fuera de un lote, remallar inmediatamente
+            if (this.editDepth === 0) {
+                this.flushDirtyColumns(scene);
             }
         }
     }
     
-    updateNeighborChunks(chunkX, chunkZ, localX, localZ, scene) {
+    // Marcar como sucio el sub-chunk vecino cuando el bloque está en el borde de la columna
+    updateNeighborChunks(chunkX, chunkZ, localX, worldY, localZ) {
         const updates = [];
         
         if (localX === 0) updates.push([chunkX - 1, chunkZ]);
@@ -577,17 +701,98 @@ export class World {
         if (localZ === 0) updates.push([chunkX, chunkZ - 1]);
         if (localZ === config.chunkSize - 1) updates.push([chunkX, chunkZ + 1]);
         
+        const subY = Math.floor(worldY / config.subChunkHeight);
+        
         for (const [cx, cz] of updates) {
             const key = this.getChunkKey(cx, cz);
             if (this.loadedChunks.has(key)) {
                 const column = this.chunkColumns.get(key);
-                if (column && !this.useOptimizedRenderer) {
-                    column.updateAllDirtyMeshes(scene);
+                if (column && column.subChunks.has(subY)) {
+                    column.dirtySubChunks.add(subY);
+                    this.dirtyColumns.add(key);
                 }
             }
         }
     }
     
+    /**
+     * Empezar un lote de ediciones: los cambios se aplican al momento pero
+     * el remallado se hace una sola vez por sub-chunk al llamar a commitEdit().
+     * Los lotes se pueden anidar y cuentan como un único paso de deshacer.
+     */
+    beginEdit(label = 'edit') {
+        this.editDepth++;
+        this.editHistory.beginTransaction(label);
+    }
+    
+    // Cerrar el lote y remallar los sub-chunks afectados
+    commitEdit() {
+        if (this.editDepth === 0) return;
+        
+        this.editHistory.endTransaction();
+        this.editDepth--;
+        
+        if (this.editDepth === 0) {
+            this.flushDirtyColumns(this.scene);
+        }
+    }
+    
+    /**
+     * Aplicar muchos cambios como un único lote.
+     * changes: iterable de { x, y, z, type, properties? } en coordenadas de mundo
+     */
+    setBlocks(changes, label = 'setBlocks') {
+        this.beginEdit(label);
+        try {
+            for (const { x, y, z, type, properties } of changes) {
+                this.setBlockAt(x, y, z, type, undefined, properties);
+            }
+        } finally {
+            this.commitEdit();
+        }
+    }
+    
+    // Remallar cada sub-chunk sucio una vez y rehacer el batch optimizado una vez
+    flushDirtyColumns(scene = this.scene) {
+        if (this.dirtyColumns.size === 0) return;
+        
+        const dirty = this.dirtyColumns;
+        this.dirtyColumns = new Set();
+        
+        // Los workers siempre crean meshes por sub-chunk, así que se actualizan en ambos modos
+        for (const key of dirty) {
+            const column = this.chunkColumns.get(key);
+            if (column) {
+                column.updateAllDirtyMeshes(scene);
+                this.notifyColumnChanged(column);
+            }
+        }
+        
+        if (this.useOptimizedRenderer) {
+            this.updateOptimizedRendering();
+        }
+        
+        Logger.verbose(`[World] Remeshed ${dirty.size} columns after edit`);
+    }
+    
+    /**
+     * Avisar cuando una columna termina de cargarse o cambian sus bloques.
+     * listener(chunkColumn) — lo usa el mapa para redibujar solo lo que cambia.
+     */
+    addColumnListener(listener) {
+        this.columnListeners.add(listener);
+    }
+    
+    removeColumnListener(listener) {
+        this.columnListeners.delete(listener);
+    }
+    
+    notifyColumnChanged(chunkColumn) {
+        for (const listener of this.columnListeners) {
+            listener(chunkColumn);
+        }
+    }
+    
     // NUEVO: Toggle para activar/desactivar el renderer optimizado
     toggleOptimizedRenderer(enabled) {
         this.useOptimizedRenderer = enabled;
@@ -621,6 +826,9 @@ export class World {
             workerEnabled: this.workerManager ? this.workerManager.isEnabled() : false,
             workerStats: this.workerManager ? this.workerManager.getStats() : null,
             memory: this.memoryManager.getStats(),
+            editHistory: this.editHistory.getStats(),
+            fallingBlocks: this.fallingBlocks.getStats(),
+            worldSave: this.worldSave ? this.worldSave.getStats() : null,
             cullingEfficiency: stats.cullingEfficiency + '%',
             optimizedRenderer: this.useOptimizedRenderer
         };
@@ -637,8 +845,21 @@ export class World {
     dispose() {
         Logger.info('[World] Disposing world resources...');
         
+        // Guardar ediciones pendientes (y los bloques que estaban cayendo) antes de liberar las columnas
+        for (const chunkColumn of this.chunkColumns.values()) {
+            this.fallingBlocks.settleColumn(chunkColumn.x, chunkColumn.z);
+        }
+        this.saveModifiedColumns();
+        if (this.autosaveTimer) {
+            clearInterval(this.autosaveTimer);
+            this.autosaveTimer = null;
+        }
+        
         this.frustumCuller.dispose();
         this.memoryManager.dispose();
+        this.selection.dispose();
+        this.blockBreaking.dispose();
+        this.fallingBlocks.dispose();
         
         // NUEVO: Dispose del renderer optimizado
         if (this.optimizedRenderer) {
@@ -654,6 +875,7 @@ export class World {
         for (const chunkColumn of this.chunkColumns.values()) {
             chunkColumn.dispose(this.scene);
         }
+        this.textureAtlas.dispose();
         
         this.chunkColumns.clear();
         this.loadedChunks.clear();
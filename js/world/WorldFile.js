@@ -0,0 +1,313 @@
+/**
+ * WorldFile - Formato binario portable para exportar/importar mundos
+ *
+ * Todos los enteros son little-endian.
+ *
+ *   Cabecera
+ *     magic        4 bytes   "MCAV"
+ *     version      uint16    versión del formato de fichero (WORLD_FILE_VERSION)
+ *     flags        uint16    reservado (0)
+ *     metaLength   uint32    longitud del JSON de metadatos
+ *     meta         bytes     JSON UTF-8: metadatos del mundo (incluye estado del jugador)
+ *
+ *   Columnas
+ *     columnCount  uint32
+ *     por columna:
+ *       chunkX     int32
+ *       chunkZ     int32
+ *       subCount   uint8
+ *       por sub-chunk:
+ *         subY           uint8
+ *         paletteLength  uint32    longitud del JSON de la paleta
+ *         palette        bytes     JSON UTF-8: [{ name, properties? }] (BlockStorage.serialize)
+ *         bits           uint8     bits por índice de paleta (0: un solo estado, sin datos)
+ *         data           uint32[]  BLOCKS_PER_SUB_CHUNK * bits / 32 palabras de índices
+ *
+ * Versiones:
+ *   1 - ids de bloque de 8 bits, sub-chunks de 16x16x16 en orden x + y*16 + z*256;
+ *       por sub-chunk: subY uint8, rleLength uint32 y pares (count, blockId) de
+ *       ChunkCache.compressRLE
+ *   2 - paleta de estados por nombre de bloque e índices empaquetados (BlockStorage)
+ *
+ * Cuando cambie el almacenamiento de bloques se añade un decoder para la versión
+ * nueva y una migración en MIGRATIONS que convierta el resultado de la anterior.
+ */
+
+import { config } from '../config.js';
+import { generateWorldId, normalizeWorldMetadata, WORLD_FORMAT_VERSION } from './WorldMetadata.js';
+import { BlockStorage, BLOCKS_PER_SUB_CHUNK } from './BlockStorage.js';
+import { Logger } from '../utils/Logger.js';
+
+export const WORLD_FILE_MAGIC = 'MCAV';
+export const WORLD_FILE_VERSION = 2;
+export const WORLD_FILE_EXTENSION = '.mcaworld';
+
+const HEADER_SIZE = 12;
+
+// version -> función que convierte un mundo decodificado a la versión siguiente
+const MIGRATIONS = {
+    // RLE de ids de 8 bits -> paleta; los ids de la versión 1 son los de BUILTIN_BLOCKS
+    1: (world, rle) => ({
+        version: 2,
+        metadata: { ...world.metadata, formatVersion: WORLD_FORMAT_VERSION },
+        columns: world.columns.map(({ chunkX, chunkZ, subChunks }) => ({
+            chunkX,
+            chunkZ,
+            subChunks: subChunks.map(({ subY, terrain }) => ({
+                subY,
+                ...BlockStorage.fromArray(rle.decompressRLE(terrain)).serialize()
+            }))
+        }))
+    })
+};
+
+// version -> función que decodifica el cuerpo del fichero
+const DECODERS = {
+    1: decodeColumnsV1,
+    2: decodeColumnsV2
+};
+
+// Palabras de índices de un sub-chunk con `bits` bits por posición
+function wordCount(bits) {
+    return BLOCKS_PER_SUB_CHUNK * bits / 32;
+}
+
+/**
+ * Empaquetar metadatos y columnas guardadas (formato de WorldSave) en un fichero
+ */
+export function encodeWorldFile(metadata, columns) {
+    const encoder = new TextEncoder();
+    const metaBytes = encoder.encode(JSON.stringify(metadata));
+
+    // Paleta de cada sub-chunk codificada una sola vez
+    const palettes = new Map();
+    let size = HEADER_SIZE + metaBytes.length + 4;
+    for (const column of columns) {
+        size += 9;
+        for (const sub of column.subChunks) {
+            const paletteBytes = encoder.encode(JSON.stringify(sub.palette));
+            palettes.set(sub, paletteBytes);
+            size += 10 + paletteBytes.length + wordCount(sub.bits) * 4;
+        }
+    }
+
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    let offset = 0;
+
+    for (let i = 0; i < 4; i++) {
+        bytes[offset++] = WORLD_FILE_MAGIC.charCodeAt(i);
+    }
+    view.setUint16(offset, WORLD_FILE_VERSION, true); offset += 2;
+    view.setUint16(offset, 0, true); offset += 2;
+    view.setUint32(offset, metaBytes.length, true); offset += 4;
+    bytes.set(metaBytes, offset); offset += metaBytes.length;
+
+    view.setUint32(offset, columns.length, true); offset += 4;
+    for (const column of columns) {
+        view.setInt32(offset, column.chunkX, true); offset += 4;
+        view.setInt32(offset, column.chunkZ, true); offset += 4;
+        bytes[offset++] = column.subChunks.length;
+
+        for (const sub of column.subChunks) {
+            const paletteBytes = palettes.get(sub);
+            bytes[offset++] = sub.subY;
+            view.setUint32(offset, paletteBytes.length, true); offset += 4;
+            bytes.set(paletteBytes, offset); offset += paletteBytes.length;
+            bytes[offset++] = sub.bits;
+            for (let i = 0; i < wordCount(sub.bits); i++) {
+                view.setUint32(offset, sub.data[i], true); offset += 4;
+            }
+        }
+    }
+
+    return bytes;
+}
+
+/**
+ * Leer un fichero de mundo. Valida cabecera y versión, y migra a la versión actual.
+ * Devuelve { version, metadata, columns } con cada sub-chunk como
+ * { subY, palette, bits, data } (el formato de WorldSave).
+ */
+export function decodeWorldFile(buffer, rle) {
+    const bytes = new Uint8Array(buffer);
+    if (bytes.length < HEADER_SIZE) {
+        throw new Error('Not a world file: too short');
+    }
+
+    const magic = String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]);
+    if (magic !== WORLD_FILE_MAGIC) {
+        throw new Error('Not a world file: bad header');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const version = view.getUint16(4, true);
+    if (version > WORLD_FILE_VERSION) {
+        throw new Error(`World file version ${version} is newer than supported (${WORLD_FILE_VERSION})`);
+    }
+
+    const decode = DECODERS[version];
+    if (!decode) {
+        throw new Error(`Unsupported world file version ${version}`);
+    }
+
+    let world;
+    try {
+        const metaLength = view.getUint32(8, true);
+        const metaBytes = bytes.subarray(HEADER_SIZE, HEADER_SIZE + metaLength);
+        if (metaBytes.length !== metaLength) {
+            throw new RangeError('metadata truncated');
+        }
+
+        world = {
+            version,
+            metadata: JSON.parse(new TextDecoder().decode(metaBytes)),
+            columns: decode(view, HEADER_SIZE + metaLength, rle)
+        };
+    } catch (error) {
+        throw new Error(`Corrupt world file: ${error.message}`);
+    }
+
+    while (world.version < WORLD_FILE_VERSION) {
+        const migrate = MIGRATIONS[world.version];
+        if (!migrate) {
+            throw new Error(`No migration from world file version ${world.version}`);
+        }
+        world = migrate(world, rle);
+    }
+
+    return world;
+}
+
+function decodeColumnsV1(view, offset, rle) {
+    const blockCount = config.chunkSize * config.subChunkHeight * config.chunkSize;
+    const columns = [];
+
+    const columnCount = view.getUint32(offset, true); offset += 4;
+    for (let c = 0; c < columnCount; c++) {
+        const chunkX = view.getInt32(offset, true); offset += 4;
+        const chunkZ = view.getInt32(offset, true); offset += 4;
+        const subCount = view.getUint8(offset); offset += 1;
+        const subChunks = [];
+
+        for (let s = 0; s < subCount; s++) {
+            const subY = view.getUint8(offset); offset += 1;
+            const rleLength = view.getUint32(offset, true); offset += 4;
+
+            if (subY >= config.verticalChunks) {
+                throw new RangeError(`sub-chunk ${subY} out of range in column ${chunkX},${chunkZ}`);
+            }
+            if (offset + rleLength > view.byteLength) {
+                throw new RangeError(`column ${chunkX},${chunkZ} truncated`);
+            }
+
+            const terrain = new Uint8Array(view.buffer, view.byteOffset + offset, rleLength).slice();
+            offset += rleLength;
+
+            if (rle.decompressRLE(terrain).length !== blockCount) {
+                throw new RangeError(`sub-chunk ${subY} of column ${chunkX},${chunkZ} has the wrong size`);
+            }
+
+            subChunks.push({ subY, terrain });
+        }
+
+        columns.push({ chunkX, chunkZ, subChunks });
+    }
+
+    return columns;
+}
+
+function decodeColumnsV2(view, offset) {
+    const decoder = new TextDecoder();
+    const columns = [];
+
+    const columnCount = view.getUint32(offset, true); offset += 4;
+    for (let c = 0; c < columnCount; c++) {
+        const chunkX = view.getInt32(offset, true); offset += 4;
+        const chunkZ = view.getInt32(offset, true); offset += 4;
+        const subCount = view.getUint8(offset); offset += 1;
+        const subChunks = [];
+
+        for (let s = 0; s < subCount; s++) {
+            const subY = view.getUint8(offset); offset += 1;
+            const paletteLength = view.getUint32(offset, true); offset += 4;
+
+            if (subY >= config.verticalChunks) {
+                throw new RangeError(`sub-chunk ${subY} out of range in column ${chunkX},${chunkZ}`);
+            }
+            if (offset + paletteLength + 1 > view.byteLength) {
+                throw new RangeError(`column ${chunkX},${chunkZ} truncated`);
+            }
+
+            const palette = JSON.parse(decoder.decode(
+                new Uint8Array(view.buffer, view.byteOffset + offset, paletteLength)));
+            offset += paletteLength;
+            const bits = view.getUint8(offset); offset += 1;
+
+            const words = wordCount(bits);
+            if (offset + words * 4 > view.byteLength) {
+                throw new RangeError(`column ${chunkX},${chunkZ} truncated`);
+            }
+            const data = bits === 0 ? null : new Uint32Array(words);
+            for (let i = 0; i < words; i++) {
+                data[i] = view.getUint32(offset, true); offset += 4;
+            }
+
+            // Valida paleta, bits y tamaño igual que al cargar el sub-chunk
+            const sub = { palette, bits, data };
+            try {
+                BlockStorage.deserialize(sub);
+            } catch (error) {
+                throw new RangeError(`sub-chunk ${subY} of column ${chunkX},${chunkZ}: ${error.message}`);
+            }
+
+            subChunks.push({ subY, ...sub });
+        }
+
+        columns.push({ chunkX, chunkZ, subChunks });
+    }
+
+    return columns;
+}
+
+/**
+ * Exportar un mundo guardado a un fichero descargable
+ */
+export async function exportWorld(worldSave, worldId) {
+    const metadata = await worldSave.loadMetadata(worldId);
+    if (!metadata) {
+        throw new Error(`World ${worldId} not found`);
+    }
+
+    const columns = await worldSave.getCompressedColumns(worldId);
+    const bytes = encodeWorldFile(metadata, columns);
+
+    Logger.info(`[WorldFile] Exported "${metadata.name}": ${columns.length} columns, ${bytes.length} bytes`);
+    return {
+        blob: new Blob([bytes], { type: 'application/octet-stream' }),
+        fileName: `${metadata.name.replace(/[^\w\- ]+/g, '_')}${WORLD_FILE_EXTENSION}`
+    };
+}
+
+/**
+ * Importar un fichero como mundo nuevo. Devuelve los metadatos del mundo creado.
+ */
+export async function importWorld(worldSave, buffer) {
+    const { metadata, columns } = decodeWorldFile(buffer, worldSave);
+    const normalized = normalizeWorldMetadata(metadata, 'Imported World');
+
+    // Siempre un id nuevo para no sobrescribir un mundo existente
+    const imported = {
+        ...normalized,
+        id: generateWorldId(),
+        name: `${normalized.name} (imported)`
+    };
+
+    for (const column of columns) {
+        await worldSave.putCompressedColumn(imported.id, column);
+    }
+    await worldSave.saveMetadata(imported);
+
+    Logger.info(`[WorldFile] Imported "${imported.name}" with ${columns.length} columns`);
+    return imported;
+}
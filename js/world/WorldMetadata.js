@@ -0,0 +1,171 @@
+/**
+ * WorldMetadata - Registro de metadatos de cada mundo
+ * Semilla, spawn, estado del jugador y hora del día que se restauran al reabrir un mundo
+ */
+
+import { DEFAULT_GENERATOR, listGenerators } from './generation/GeneratorRegistry.js';
+import { resolveCarverSettings } from './generation/Carvers.js';
+import { parseFlatLayers, formatFlatLayers } from './generation/FlatGenerator.js';
+import { validatePreset } from './generation/Presets.js';
+
+// Versión del formato de guardado (sube cuando cambie el almacenamiento de bloques)
+export const WORLD_FORMAT_VERSION = 2;
+
+export const GENERATOR_TYPES = listGenerators();
+
+export const GAME_MODES = [
+    { id: 'creative', label: 'Creative' },
+    { id: 'survival', label: 'Survival' }
+];
+
+// Cantidad y tamaño de cuevas y barrancos: multiplicadores de los ajustes base
+// (los del preset o DEFAULT_CARVERS)
+export const CARVER_AMOUNTS = [
+    { id: 'none', label: 'None', value: 0 },
+    { id: 'few', label: 'Few', value: 0.5 },
+    { id: 'normal', label: 'Normal', value: 1 },
+    { id: 'many', label: 'Many', value: 2 }
+];
+
+export const CARVER_SIZES = [
+    { id: 'small', label: 'Small', value: 0.7 },
+    { id: 'normal', label: 'Normal', value: 1 },
+    { id: 'large', label: 'Large', value: 1.5 }
+];
+
+/**
+ * Ajustes de carvers de un mundo a partir de las opciones del diálogo
+ */
+export function carverSettings({ caves = 'normal', ravines = 'normal', size = 'normal' } = {}, base = null) {
+    const amount = id => (CARVER_AMOUNTS.find(option => option.id === id) || CARVER_AMOUNTS[2]).value;
+    const scale = (CARVER_SIZES.find(option => option.id === size) || CARVER_SIZES[1]).value;
+    const defaults = resolveCarverSettings(base);
+
+    return {
+        caves: { frequency: defaults.caves.frequency * amount(caves), size: defaults.caves.size * scale },
+        ravines: { frequency: defaults.ravines.frequency * amount(ravines), size: defaults.ravines.size * scale }
+    };
+}
+
+/**
+ * Ajustes de un mundo plano: capas normalizadas (lanza un Error si no son válidas)
+ */
+export function flatSettings({ layers, decorations = false }) {
+    return {
+        layers: formatFlatLayers(parseFlatLayers(layers)),
+        decorations: Boolean(decorations)
+    };
+}
+
+// Posición inicial por defecto del jugador (igual que Player)
+export const DEFAULT_SPAWN = { x: 8, y: 5, z: 8 };
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isPosition(value) {
+    return isPlainObject(value) && ['x', 'y', 'z'].every(axis => Number.isFinite(value[axis]));
+}
+
+/**
+ * Comprobar los metadatos de un mundo que vienen de fuera (fichero importado) y
+ * completar lo que falte como en createWorldMetadata. Lanza un Error si la semilla,
+ * el generador, las capas planas o el preset no son válidos. El id no se toca.
+ */
+export function normalizeWorldMetadata(metadata, defaultName = 'New World') {
+    if (!isPlainObject(metadata)) {
+        throw new Error('World metadata is missing or not an object');
+    }
+    if (!Number.isInteger(metadata.seed)) {
+        throw new Error(`Invalid world seed: ${JSON.stringify(metadata.seed)}`);
+    }
+
+    const generator = metadata.generator === undefined ? DEFAULT_GENERATOR : metadata.generator;
+    if (!GENERATOR_TYPES.some(type => type.id === generator)) {
+        throw new Error(`Unknown world generator "${generator}"`);
+    }
+
+    let flat = null;
+    if (generator === 'flat') {
+        if (!isPlainObject(metadata.flat) || typeof metadata.flat.layers !== 'string') {
+            throw new Error('Flat world has no layers');
+        }
+        flat = flatSettings(metadata.flat);
+    }
+
+    const preset = generator === DEFAULT_GENERATOR && metadata.preset ? validatePreset(metadata.preset) : null;
+    const now = Date.now();
+
+    return {
+        ...metadata,
+        name: typeof metadata.name === 'string' && metadata.name.trim() ? metadata.name.trim() : defaultName,
+        seedText: typeof metadata.seedText === 'string' ? metadata.seedText : String(metadata.seed),
+        generator,
+        carvers: isPlainObject(metadata.carvers) ? metadata.carvers : carverSettings({}, preset && preset.caves),
+        flat,
+        preset,
+        gameMode: GAME_MODES.some(mode => mode.id === metadata.gameMode) ? metadata.gameMode : 'creative',
+        spawn: isPosition(metadata.spawn) ? { ...metadata.spawn } : { ...DEFAULT_SPAWN },
+        player: isPlainObject(metadata.player) ? metadata.player : null,
+        timeOfDay: Number.isFinite(metadata.timeOfDay) ? metadata.timeOfDay : 0,
+        formatVersion: WORLD_FORMAT_VERSION,
+        createdAt: Number.isFinite(metadata.createdAt) ? metadata.createdAt : now,
+        lastPlayed: now
+    };
+}
+
+/**
+ * Convertir el texto de semilla en un entero de 32 bits.
+ * Los números se usan tal cual; el resto de textos se hashean como String.hashCode de Java.
+ */
+export function seedFromText(text) {
+    const trimmed = (text || '').trim();
+
+    if (trimmed === '') {
+        return Math.floor(Math.random() * 1000000);
+    }
+
+    if (/^-?\d+$/.test(trimmed)) {
+        return Number(trimmed) | 0;
+    }
+
+    let hash = 0;
+    for (let i = 0; i < trimmed.length; i++) {
+        hash = (hash * 31 + trimmed.charCodeAt(i)) | 0;
+    }
+    return hash;
+}
+
+/**
+ * Id único para un mundo nuevo o importado
+ */
+export function generateWorldId() {
+    return `world-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Crear el registro de un mundo nuevo
+ */
+export function createWorldMetadata({ name, seedText = '', generator = DEFAULT_GENERATOR, gameMode = 'creative', carvers = {}, flat = null, preset = null }) {
+    const now = Date.now();
+
+    return {
+        id: generateWorldId(),
+        name: (name || '').trim() || 'New World',
+        seed: seedFromText(seedText),
+        seedText: seedText.trim(),
+        generator,
+        carvers: carverSettings(carvers, preset && preset.caves),
+        flat: generator === 'flat' && flat ? flatSettings(flat) : null,
+        // Preset JSON validado del generador por defecto (null: sus ajustes de siempre)
+        preset: generator === DEFAULT_GENERATOR ? preset : null,
+        gameMode,
+        spawn: { ...DEFAULT_SPAWN },
+        player: null,          // { position, rotation, isFlying } tras la primera partida
+        timeOfDay: 0,
+        formatVersion: WORLD_FORMAT_VERSION,
+        createdAt: now,
+        lastPlayed: now
+    };
+}
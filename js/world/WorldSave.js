@@ -0,0 +1,269 @@
+/**
+ * WorldSave - Persistencia del mundo en IndexedDB
+ * Guarda los sub-chunks modificados por el jugador y los reaplica
+ * encima del terreno recién generado por los workers.
+ *
+ * Cada columna se guarda como { chunkX, chunkZ, subChunks, format } y cada sub-chunk
+ * como { subY, palette, bits, data } (BlockStorage.serialize: paleta por nombre de
+ * bloque y propiedades). Los registros del formato 1 se convierten al leerlos.
+ */
+
+import { ChunkCache } from './ChunkCache.js';
+import { BlockStorage } from './BlockStorage.js';
+import { Logger } from '../utils/Logger.js';
+
+// Formato de los registros de columna (1: RLE de ids de 8 bits)
+const SAVE_FORMAT = 2;
+
+export class WorldSave extends ChunkCache {
+    constructor(worldId = null) {
+        super({ dbName: 'MinecraftVoxelWorlds', maxMemoryItems: 64 });
+        this.worldId = worldId;
+
+        // Lecturas lanzadas al pedir un chunk, consumidas al recibir el terreno
+        this.pendingLoads = new Map();
+
+        // Columnas cuya escritura falló: clave -> registro, para reintentar (retryFailedWrites)
+        this.failedWrites = new Map();
+
+        this.saveStats = {
+            columnsSaved: 0,
+            columnsRestored: 0
+        };
+    }
+
+    /**
+     * Clave de una columna: el mundo forma parte de la clave
+     */
+    getColumnKey(chunkX, chunkZ) {
+        return `${this.worldId}/${chunkX},${chunkZ}`;
+    }
+
+    /**
+     * Los sub-chunks ya se guardan con paleta (BlockStorage.serialize), que es compacta
+     */
+    compress(data) {
+        return { ...data, format: SAVE_FORMAT };
+    }
+
+    /**
+     * Registros del formato 1 (RLE de ids de 8 bits, o arrays sin comprimir) se
+     * convierten al formato de paleta al leerlos
+     */
+    decompress(data) {
+        if (data.format === SAVE_FORMAT) return data;
+
+        const { compressed, ...record } = data;
+        return {
+            ...record,
+            subChunks: data.subChunks.map(({ subY, terrain }) => ({
+                subY,
+                ...BlockStorage.fromArray(compressed ? this.decompressRLE(terrain) : terrain).serialize()
+            })),
+            format: SAVE_FORMAT
+        };
+    }
+
+    /**
+     * Guardar los sub-chunks modificados de una columna.
+     * Los datos se copian de forma síncrona, así que la columna puede
+     * descargarse justo después de la llamada. Devuelve una promesa con
+     * true si la columna llegó a IndexedDB.
+     */
+    saveColumn(chunkColumn) {
+        const subChunks = [];
+
+        for (const subY of chunkColumn.modifiedSubChunks) {
+            const subChunk = chunkColumn.subChunks.get(subY);
+            const storage = subChunk ? subChunk.storage : new BlockStorage();
+            subChunks.push({ subY, ...storage.serialize() });
+        }
+
+        if (subChunks.length === 0) return Promise.resolve(true);
+
+        const key = this.getColumnKey(chunkColumn.x, chunkColumn.z);
+        // Se limpia ya: las ediciones hechas mientras se escribe vuelven a marcarla.
+        // Si la escritura falla se marca otra vez para que el autoguardado reintente.
+        chunkColumn.needsSave = false;
+
+        Logger.debug(`[WorldSave] Saving ${subChunks.length} sub-chunks for ${key}`);
+
+        return this.write(key, {
+            chunkX: chunkColumn.x,
+            chunkZ: chunkColumn.z,
+            subChunks
+        }).then(stored => {
+            if (!stored) chunkColumn.needsSave = true;
+            return stored;
+        });
+    }
+
+    /**
+     * Escribir el registro de una columna. Si falla se guarda en failedWrites,
+     * así no se pierde aunque la columna se descargue y salga de la caché en memoria.
+     */
+    async write(key, record) {
+        // Un guardado nuevo sustituye al que falló
+        this.failedWrites.delete(key);
+
+        const stored = await this.set(key, record);
+        if (stored) {
+            this.saveStats.columnsSaved++;
+        } else if (!this.failedWrites.has(key)) {
+            this.failedWrites.set(key, record);
+            Logger.warn(`[WorldSave] Failed to save ${key}, will retry on the next autosave`);
+        }
+        return stored;
+    }
+
+    /**
+     * Reintentar las escrituras que fallaron (columnas ya descargadas incluidas)
+     */
+    retryFailedWrites() {
+        const failed = Array.from(this.failedWrites);
+        return Promise.all(failed.map(([key, record]) => this.write(key, record)));
+    }
+
+    /**
+     * Adelantar la lectura de una columna mientras el worker la genera
+     */
+    prefetchColumn(chunkX, chunkZ) {
+        const key = this.getColumnKey(chunkX, chunkZ);
+        if (!this.pendingLoads.has(key)) {
+            this.pendingLoads.set(key, this.get(key));
+        }
+    }
+
+    /**
+     * Leer los datos guardados de una columna (null si nunca se modificó)
+     */
+    loadColumn(chunkX, chunkZ) {
+        const key = this.getColumnKey(chunkX, chunkZ);
+        const pending = this.pendingLoads.get(key);
+
+        if (pending) {
+            this.pendingLoads.delete(key);
+            return pending;
+        }
+
+        return this.get(key);
+    }
+
+    /**
+     * Aplicar los sub-chunks guardados sobre una columna generada
+     */
+    applyColumn(chunkColumn, saved) {
+        for (const { subY, ...storage } of saved.subChunks) {
+            chunkColumn.setSubChunkStorage(subY, BlockStorage.deserialize(storage));
+            chunkColumn.modifiedSubChunks.add(subY);
+        }
+
+        this.saveStats.columnsRestored++;
+        Logger.debug(`[WorldSave] Restored ${saved.subChunks.length} sub-chunks for ${chunkColumn.x},${chunkColumn.z}`);
+    }
+
+    /**
+     * Ejecutar una petición sobre un object store y devolverla como promesa
+     */
+    async runRequest(storeName, mode, createRequest) {
+        await this.ready;
+        if (!this.db) return null;
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], mode);
+            const request = createRequest(transaction.objectStore(storeName));
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    getMetadataKey(worldId) {
+        return `world/${worldId}`;
+    }
+
+    /**
+     * Guardar el registro de metadatos de un mundo
+     */
+    saveMetadata(metadata) {
+        const record = { ...metadata, key: this.getMetadataKey(metadata.id) };
+        return this.runRequest('metadata', 'readwrite', store => store.put(record));
+    }
+
+    /**
+     * Leer los metadatos de un mundo (por defecto, el de esta instancia)
+     */
+    async loadMetadata(worldId = this.worldId) {
+        const record = await this.runRequest('metadata', 'readonly',
+            store => store.get(this.getMetadataKey(worldId)));
+        if (!record) return null;
+
+        const { key, ...metadata } = record;
+        return metadata;
+    }
+
+    /**
+     * Listar todos los mundos guardados, el último jugado primero
+     */
+    async listWorlds() {
+        const range = IDBKeyRange.bound('world/', 'world/\uffff');
+        const records = await this.runRequest('metadata', 'readonly', store => store.getAll(range));
+        if (!records) return [];
+
+        return records
+            .map(({ key, ...metadata }) => metadata)
+            .sort((a, b) => (b.lastPlayed || 0) - (a.lastPlayed || 0));
+    }
+
+    /**
+     * Leer todas las columnas guardadas de un mundo, en el formato de guardado actual
+     */
+    async getCompressedColumns(worldId = this.worldId) {
+        const prefix = `${worldId}/`;
+        const records = await this.runRequest('chunks', 'readonly',
+            store => store.getAll(IDBKeyRange.bound(prefix, prefix + '\uffff')));
+
+        return records ? records.map(record => this.decompress(record.data)) : [];
+    }
+
+    /**
+     * Escribir una columna ya serializada, { chunkX, chunkZ, subChunks: [{ subY, palette, bits, data }] }
+     * (usado al importar mundos)
+     */
+    async putCompressedColumn(worldId, data) {
+        await this.ready;
+        if (!this.db) return;
+
+        const key = `${worldId}/${data.chunkX},${data.chunkZ}`;
+        return this.saveToDB(key, this.compress(data));
+    }
+
+    /**
+     * Borrar un mundo: metadatos y todas sus columnas
+     */
+    async deleteWorld(worldId) {
+        const prefix = `${worldId}/`;
+
+        for (const key of Array.from(this.memoryCache.keys())) {
+            if (key.startsWith(prefix)) {
+                this.memoryCache.delete(key);
+                this.accessOrder.splice(this.accessOrder.indexOf(key), 1);
+            }
+        }
+
+        await this.runRequest('chunks', 'readwrite',
+            store => store.delete(IDBKeyRange.bound(prefix, prefix + '\uffff')));
+        await this.runRequest('metadata', 'readwrite',
+            store => store.delete(this.getMetadataKey(worldId)));
+
+        Logger.info(`[WorldSave] Deleted world ${worldId}`);
+    }
+
+    getStats() {
+        return {
+            ...super.getStats(),
+            ...this.saveStats,
+            worldId: this.worldId
+        };
+    }
+}
@@ -0,0 +1,183 @@
+/**
+ * Biomes - Registro de biomas
+ *
+ * Cada bioma define:
+ *   id, label
+ *   climate        punto { temperature, humidity, continentalness } en [-1, 1] donde el
+ *                  bioma es más probable (sin climate solo lo usan generadores que lo
+ *                  eligen por nombre)
+ *   surface        bloque de la superficie
+ *   filler         bloque bajo la superficie, fillerDepth bloques
+ *   height         { base, variation } perfil de altura del terreno
+ *   trees          { treesPerChunk, shapes } para la fase de árboles (null: sin árboles)
+ *   ores           cambios sobre la tabla de minerales por defecto, por bloque
+ *   colors         { grass, foliage } tinte de la hierba y las hojas
+ *
+ * Los biomas se numeran en orden de registro; el índice es lo que viaja con cada
+ * columna generada (un byte por posición x, z).
+ */
+
+import { BlockType } from '../../config.js';
+
+export const DEFAULT_BIOME = 'plains';
+
+// La continentalidad separa mar, llanura y montaña: pesa más que el resto del clima
+const CONTINENTALNESS_WEIGHT = 2;
+// Anchura de la transición entre biomas en unidades de clima
+const BLEND_WIDTH = 0.15;
+
+const biomes = [];
+const biomesById = new Map();
+
+export function registerBiome(definition) {
+    const biome = {
+        climate: null,
+        surface: BlockType.GRASS,
+        filler: BlockType.DIRT,
+        fillerDepth: 4,
+        height: { base: 64, variation: 3 },
+        trees: null,
+        ores: null,
+        colors: {},
+        ...definition,
+        index: biomes.length
+    };
+
+    biomes.push(biome);
+    biomesById.set(biome.id, biome);
+    return biome;
+}
+
+/**
+ * Definición de un bioma por id (los desconocidos usan DEFAULT_BIOME)
+ */
+export function getBiomeDefinition(id) {
+    return biomesById.get(id) || biomesById.get(DEFAULT_BIOME);
+}
+
+export function getBiomeByIndex(index) {
+    return biomes[index] || biomesById.get(DEFAULT_BIOME);
+}
+
+export function getBiomeIndex(id) {
+    return getBiomeDefinition(id).index;
+}
+
+export function listBiomes() {
+    return biomes.slice();
+}
+
+/**
+ * Pesos de los biomas con clima para un punto del mapa climático.
+ * Devuelve { biome, weights } con el bioma más cercano y un peso por bioma de
+ * climateBiomes (suman 1); los pesos varían de forma continua con el clima.
+ */
+export function getClimateWeights(climateBiomes, temperature, humidity, continentalness, weights) {
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (let i = 0; i < climateBiomes.length; i++) {
+        const climate = climateBiomes[i].climate;
+        const dt = temperature - climate.temperature;
+        const dh = humidity - climate.humidity;
+        const dc = (continentalness - climate.continentalness) * CONTINENTALNESS_WEIGHT;
+        const distance = dt * dt + dh * dh + dc * dc;
+
+        weights[i] = distance;
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = climateBiomes[i];
+        }
+    }
+
+    // Restar la distancia mínima evita que todos los pesos se queden en cero
+    let total = 0;
+    for (let i = 0; i < climateBiomes.length; i++) {
+        weights[i] = Math.exp(-(weights[i] - bestDistance) / (2 * BLEND_WIDTH * BLEND_WIDTH));
+        total += weights[i];
+    }
+    for (let i = 0; i < climateBiomes.length; i++) {
+        weights[i] /= total;
+    }
+
+    return { biome: best, weights };
+}
+
+registerBiome({
+    id: 'ocean',
+    label: 'Ocean',
+    climate: { temperature: 0, humidity: 0, continentalness: -0.7 },
+    surface: BlockType.SAND,
+    filler: BlockType.SAND,
+    height: { base: 46, variation: 4 }
+});
+
+registerBiome({
+    id: 'plains',
+    label: 'Plains',
+    climate: { temperature: 0.05, humidity: -0.05, continentalness: 0.05 },
+    height: { base: 65, variation: 3 },
+    trees: { treesPerChunk: 0.6, shapes: [['oak', 2], ['bush', 3]] },
+    colors: { grass: 0x4CAF50, foliage: 0x388E3C }
+});
+
+registerBiome({
+    id: 'desert',
+    label: 'Desert',
+    climate: { temperature: 0.45, humidity: -0.4, continentalness: 0.1 },
+    surface: BlockType.SAND,
+    filler: BlockType.SAND,
+    height: { base: 65, variation: 4 },
+    // El oro sube hasta la superficie
+    ores: { [BlockType.GOLD]: { maxY: 64, veinsPerChunk: 6 } }
+});
+
+registerBiome({
+    id: 'savanna',
+    label: 'Savanna',
+    climate: { temperature: 0.4, humidity: 0.05, continentalness: 0.1 },
+    height: { base: 66, variation: 4 },
+    trees: { treesPerChunk: 1, shapes: [['oak', 1], ['bush', 2]] },
+    colors: { grass: 0x9CAF4C, foliage: 0x8A9A3A }
+});
+
+registerBiome({
+    id: 'forest',
+    label: 'Forest',
+    climate: { temperature: 0.05, humidity: 0.35, continentalness: 0.1 },
+    height: { base: 66, variation: 5 },
+    trees: { treesPerChunk: 7, shapes: [['oak', 6], ['pine', 3], ['bush', 2]] },
+    colors: { grass: 0x43A047, foliage: 0x2E7D32 }
+});
+
+registerBiome({
+    id: 'taiga',
+    label: 'Taiga',
+    climate: { temperature: -0.4, humidity: 0.15, continentalness: 0.12 },
+    height: { base: 67, variation: 6 },
+    trees: { treesPerChunk: 6, shapes: [['pine', 5], ['bush', 1]] },
+    colors: { grass: 0x6B9A73, foliage: 0x3F6E4D }
+});
+
+registerBiome({
+    id: 'hills',
+    label: 'Hills',
+    climate: { temperature: -0.05, humidity: 0, continentalness: 0.35 },
+    height: { base: 74, variation: 12 },
+    trees: { treesPerChunk: 1.5, shapes: [['oak', 2], ['pine', 2], ['bush', 1]] },
+    colors: { grass: 0x5DA35D, foliage: 0x3B7F3B }
+});
+
+registerBiome({
+    id: 'mountains',
+    label: 'Mountains',
+    climate: { temperature: -0.15, humidity: 0, continentalness: 0.55 },
+    surface: BlockType.STONE,
+    filler: BlockType.STONE,
+    height: { base: 90, variation: 26 },
+    // Más hierro y carbón, también a más altura
+    ores: {
+        [BlockType.COAL]: { veinsPerChunk: 26 },
+        [BlockType.IRON]: { maxY: 128, veinsPerChunk: 20 }
+    }
+});
@@ -0,0 +1,286 @@
+/**
+ * Carvers - Fase que excava cuevas en forma de gusano y barrancos
+ *
+ * Cada chunk decide con un Random (semilla del mundo y coordenadas del chunk)
+ * cuántos sistemas de cuevas y barrancos empiezan en él. Un túnel avanza bloque a
+ * bloque cambiando poco a poco de dirección y vacía una elipse en cada paso, así
+ * que las cuevas salen conectadas en lugar de en burbujas sueltas; a mitad de
+ * camino puede dividirse en dos ramas.
+ *
+ * Un túnel no recorre más de MAX_TUNNEL_LENGTH bloques desde su origen, así que
+ * cada columna recorre los carvers de los chunks a CARVER_RANGE o menos y excava
+ * solo la parte que cae dentro de ella.
+ *
+ * Ajustes por mundo (options.carvers de generateColumn), sobre DEFAULT_CARVERS:
+ *   caves    { frequency: sistemas por chunk, size: multiplicador del radio }
+ *   ravines  { frequency: barrancos por chunk, size: multiplicador de la anchura }
+ */
+
+import { config, BlockType } from '../../config.js';
+import { Random, mixSeed } from '../../utils/Noise.js';
+
+const CAVE_SALT = 0x434156;
+const RAVINE_SALT = 0x524156;
+
+export const CARVER_RANGE = 6;
+
+// Con el radio máximo (MAX_CARVER_SIZE) un túnel sigue sin salir de CARVER_RANGE chunks
+const MAX_TUNNEL_LENGTH = 80;
+const MAX_CARVER_SIZE = 2;
+
+export const DEFAULT_CARVERS = {
+    caves: { frequency: 0.3, size: 1 },
+    ravines: { frequency: 0.02, size: 1 }
+};
+
+/**
+ * Ajustes completos a partir de los de un mundo (los que faltan, por defecto)
+ */
+export function resolveCarverSettings(settings) {
+    const resolve = (defaults, values) => {
+        const merged = { ...defaults, ...(values || {}) };
+        return {
+            frequency: Math.max(0, merged.frequency),
+            size: Math.min(MAX_CARVER_SIZE, Math.max(0, merged.size))
+        };
+    };
+
+    return {
+        caves: resolve(DEFAULT_CARVERS.caves, settings && settings.caves),
+        ravines: resolve(DEFAULT_CARVERS.ravines, settings && settings.ravines)
+    };
+}
+
+/**
+ * Excavar en la columna las cuevas y barrancos que la alcanzan
+ */
+export function carveColumn(generator, column, settings) {
+    const size = config.chunkSize;
+    runCarvers(generator, settings, column.chunkX, column.chunkZ, {
+        column,
+        baseX: column.chunkX * size,
+        baseZ: column.chunkZ * size,
+        seaLevel: generator.seaLevel,
+        surface: getSurfaceMap(column),
+        bounds: { minX: 0, maxX: size - 1, minZ: 0, maxZ: size - 1 }
+    });
+}
+
+/**
+ * ¿Excavan las cuevas o los barrancos el bloque (x, y, z) del mundo? Repite los
+ * carvers que alcanzan su chunk solo para esa posición, así una columna sabe qué
+ * excava su vecina sin generarla. surfaceY es la altura del bloque más alto en
+ * x, z antes de excavar (decide el techo que se deja bajo el mar).
+ */
+export function isCarved(generator, settings, x, y, z, surfaceY) {
+    const size = config.chunkSize;
+    const chunkX = Math.floor(x / size);
+    const chunkZ = Math.floor(z / size);
+    const localX = x - chunkX * size;
+    const localZ = z - chunkZ * size;
+    let carved = false;
+
+    runCarvers(generator, settings, chunkX, chunkZ, {
+        // Todo es sólido: set() solo avisa de que se ha excavado la posición
+        column: {
+            get: () => BlockType.STONE,
+            set: (_, setY) => {
+                if (setY === y) carved = true;
+            }
+        },
+        baseX: chunkX * size,
+        baseZ: chunkZ * size,
+        seaLevel: generator.seaLevel,
+        surface: new Int16Array(size * size).fill(surfaceY),
+        bounds: { minX: localX, maxX: localX, minZ: localZ, maxZ: localZ }
+    });
+    return carved;
+}
+
+// Recorrer los carvers de los chunks a CARVER_RANGE o menos de (columnX, columnZ)
+function runCarvers(generator, settings, columnX, columnZ, context) {
+    const { caves, ravines } = resolveCarverSettings(settings);
+    if (caves.frequency === 0 && ravines.frequency === 0) return;
+
+    for (let dx = -CARVER_RANGE; dx <= CARVER_RANGE; dx++) {
+        for (let dz = -CARVER_RANGE; dz <= CARVER_RANGE; dz++) {
+            const chunkX = columnX + dx;
+            const chunkZ = columnZ + dz;
+
+            if (caves.frequency > 0 && caves.size > 0) {
+                startCaves(context, new Random(mixSeed(generator.seed, chunkX, chunkZ, CAVE_SALT)), chunkX, chunkZ, caves);
+            }
+            if (ravines.frequency > 0 && ravines.size > 0) {
+                startRavines(context, new Random(mixSeed(generator.seed, chunkX, chunkZ, RAVINE_SALT)), chunkX, chunkZ, ravines);
+            }
+        }
+    }
+}
+
+// Altura del bloque más alto de cada posición antes de excavar
+function getSurfaceMap(column) {
+    const size = config.chunkSize;
+    const surface = new Int16Array(size * size);
+
+    for (let x = 0; x < size; x++) {
+        for (let z = 0; z < size; z++) {
+            let y = config.worldHeight - 1;
+            while (y > 0 && column.get(x, y, z) === BlockType.AIR) y--;
+            surface[x + z * size] = y;
+        }
+    }
+    return surface;
+}
+
+function countStarts(random, frequency) {
+    return Math.floor(frequency) + (random.chance(frequency % 1) ? 1 : 0);
+}
+
+function startCaves(context, random, chunkX, chunkZ, settings) {
+    const size = config.chunkSize;
+    const count = countStarts(random, settings.frequency);
+
+    for (let i = 0; i < count; i++) {
+        const x = chunkX * size + random.next() * size;
+        const y = 10 + random.next() * 60;
+        const z = chunkZ * size + random.next() * size;
+        const tunnels = 1 + random.nextInt(3);
+
+        // Algunos sistemas empiezan en una sala
+        if (random.chance(0.25)) {
+            const radius = (3 + random.next() * 3) * settings.size;
+            carveEllipsoid(context, x, y, z, radius, radius * 0.6, false);
+        }
+
+        for (let t = 0; t < tunnels; t++) {
+            // Cada túnel tiene su propio Random: saltarse los lejanos no cambia los demás
+            const tunnelRandom = new Random(random.nextInt(0x7FFFFFFF));
+            if (!canReach(context, x, z, MAX_TUNNEL_LENGTH + 12)) continue;
+
+            carveTunnel(context, tunnelRandom, {
+                x, y, z,
+                yaw: tunnelRandom.next() * Math.PI * 2,
+                pitch: (tunnelRandom.next() - 0.5) * 0.5,
+                radius: (1 + tunnelRandom.next() * 2) * settings.size,
+                length: MAX_TUNNEL_LENGTH - tunnelRandom.nextInt(MAX_TUNNEL_LENGTH / 4),
+                verticalScale: 0.7,
+                branches: true
+            });
+        }
+    }
+}
+
+function startRavines(context, random, chunkX, chunkZ, settings) {
+    const size = config.chunkSize;
+    const count = countStarts(random, settings.frequency);
+
+    for (let i = 0; i < count; i++) {
+        const ravineRandom = new Random(random.nextInt(0x7FFFFFFF));
+        const x = chunkX * size + ravineRandom.next() * size;
+        const z = chunkZ * size + ravineRandom.next() * size;
+        if (!canReach(context, x, z, MAX_TUNNEL_LENGTH + 12)) continue;
+
+        carveTunnel(context, ravineRandom, {
+            x, z,
+            y: 20 + ravineRandom.next() * 30,
+            yaw: ravineRandom.next() * Math.PI * 2,
+            pitch: (ravineRandom.next() - 0.5) * 0.25,
+            radius: (1.5 + ravineRandom.next() * 2) * settings.size,
+            length: MAX_TUNNEL_LENGTH - ravineRandom.nextInt(MAX_TUNNEL_LENGTH / 4),
+            verticalScale: 3,
+            // Barrancos: paredes rectas, suelo plano y sin ramas
+            turn: 0.1,
+            flatFloor: true
+        });
+    }
+}
+
+// ¿Está la columna a menos de `distance` bloques de (x, z)?
+function canReach(context, x, z, distance) {
+    const size = config.chunkSize;
+    const dx = Math.max(context.baseX - x, 0, x - (context.baseX + size));
+    const dz = Math.max(context.baseZ - z, 0, z - (context.baseZ + size));
+    return dx * dx + dz * dz <= distance * distance;
+}
+
+/**
+ * Túnel desde (x, y, z): en cada paso avanza un bloque, cambia un poco de
+ * dirección y vacía una elipse que se ensancha hacia la mitad del recorrido
+ */
+function carveTunnel(context, random, tunnel) {
+    let { x, y, z, yaw, pitch } = tunnel;
+    const { radius, length, verticalScale } = tunnel;
+    const turn = tunnel.turn ?? 1;
+    const branchAt = tunnel.branches ? Math.floor(length / 4) + random.nextInt(Math.floor(length / 2)) : -1;
+    let yawChange = 0;
+    let pitchChange = 0;
+
+    for (let step = 0; step < length; step++) {
+        const width = 1.5 + radius * Math.sin(Math.PI * step / length);
+
+        x += Math.cos(yaw) * Math.cos(pitch);
+        y += Math.sin(pitch);
+        z += Math.sin(yaw) * Math.cos(pitch);
+
+        // Los túneles tienden a la horizontal
+        pitch = pitch * 0.7 + pitchChange * 0.1;
+        yaw += yawChange * 0.1;
+        pitchChange = pitchChange * 0.9 + (random.next() - random.next()) * 2 * turn;
+        yawChange = yawChange * 0.75 + (random.next() - random.next()) * 4 * turn;
+
+        if (step === branchAt) {
+            // Dos ramas con el resto del recorrido, hacia los lados
+            for (const side of [-1, 1]) {
+                carveTunnel(context, new Random(random.nextInt(0x7FFFFFFF)), {
+                    x, y, z,
+                    yaw: yaw + side * Math.PI / 2,
+                    pitch: pitch / 3,
+                    radius: radius * 0.8,
+                    length: length - step,
+                    verticalScale,
+                    turn
+                });
+            }
+            return;
+        }
+
+        carveEllipsoid(context, x, y, z, width, width * verticalScale, tunnel.flatFloor);
+    }
+}
+
+function carveEllipsoid(context, centerX, centerY, centerZ, radius, verticalRadius, flatFloor) {
+    const { column, baseX, baseZ, surface, seaLevel, bounds } = context;
+    const size = config.chunkSize;
+
+    const minX = Math.max(bounds.minX, Math.floor(centerX - radius) - baseX);
+    const maxX = Math.min(bounds.maxX, Math.floor(centerX + radius) - baseX);
+    const minZ = Math.max(bounds.minZ, Math.floor(centerZ - radius) - baseZ);
+    const maxZ = Math.min(bounds.maxZ, Math.floor(centerZ + radius) - baseZ);
+    if (minX > maxX || minZ > maxZ) return;
+
+    // y = 0 y 1 son el suelo del mundo
+    const minY = Math.max(2, Math.floor(centerY - verticalRadius));
+    const maxY = Math.min(config.worldHeight - 1, Math.floor(centerY + verticalRadius));
+
+    for (let x = minX; x <= maxX; x++) {
+        const dx = (baseX + x + 0.5 - centerX) / radius;
+        for (let z = minZ; z <= maxZ; z++) {
+            const dz = (baseZ + z + 0.5 - centerZ) / radius;
+            if (dx * dx + dz * dz >= 1) continue;
+
+            // Bajo el mar y en la orilla se deja un techo para no abrir el fondo
+            const top = surface[x + z * size];
+            const roof = seaLevel !== null && top <= seaLevel + 1 ? top - 4 : config.worldHeight;
+
+            for (let y = minY; y <= maxY && y <= roof; y++) {
+                const dy = (y + 0.5 - centerY) / verticalRadius;
+                if (flatFloor && dy < -0.7) continue;
+                if (dx * dx + dy * dy + dz * dz >= 1) continue;
+
+                if (column.get(x, y, z) !== BlockType.AIR) {
+                    column.set(x, y, z, BlockType.AIR);
+                }
+            }
+        }
+    }
+}
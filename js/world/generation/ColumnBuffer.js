@@ -0,0 +1,76 @@
+/**
+ * ColumnBuffer - Bloques de una columna de chunks mientras se genera
+ * Los sub-chunks se crean al escribir el primer bloque sólido, así que los vacíos
+ * no ocupan memoria ni se envían al hilo principal.
+ * biomes guarda el índice de bioma (Biomes.js) de cada posición x, z.
+ * Mientras se genera cada sub-chunk es un array denso de ids; toResult() los pasa a
+ * paleta (BlockStorage) para enviarlos.
+ */
+
+import { config, BlockType } from '../../config.js';
+import { getBiomeIndex } from './Biomes.js';
+import { BlockStorage, BLOCKS_PER_SUB_CHUNK } from '../BlockStorage.js';
+
+export class ColumnBuffer {
+    constructor(chunkX, chunkZ) {
+        this.chunkX = chunkX;
+        this.chunkZ = chunkZ;
+        this.subChunks = new Array(config.verticalChunks).fill(null);
+        this.biomes = new Uint8Array(config.chunkSize * config.chunkSize);
+    }
+
+    setBiome(localX, localZ, biome) {
+        this.biomes[localX + localZ * config.chunkSize] = getBiomeIndex(biome);
+    }
+
+    isInside(localX, worldY, localZ) {
+        return localX >= 0 && localX < config.chunkSize &&
+               localZ >= 0 && localZ < config.chunkSize &&
+               worldY >= 0 && worldY < config.worldHeight;
+    }
+
+    getIndex(localX, worldY, localZ) {
+        const localY = worldY % config.subChunkHeight;
+        return localX + localY * config.chunkSize + localZ * config.chunkSize * config.subChunkHeight;
+    }
+
+    get(localX, worldY, localZ) {
+        if (!this.isInside(localX, worldY, localZ)) return BlockType.AIR;
+
+        const blocks = this.subChunks[Math.floor(worldY / config.subChunkHeight)];
+        return blocks ? blocks[this.getIndex(localX, worldY, localZ)] : BlockType.AIR;
+    }
+
+    /**
+     * Escribir un bloque; las posiciones fuera de la columna se ignoran
+     */
+    set(localX, worldY, localZ, type) {
+        if (!this.isInside(localX, worldY, localZ)) return;
+
+        const subY = Math.floor(worldY / config.subChunkHeight);
+        let blocks = this.subChunks[subY];
+        if (!blocks) {
+            if (type === BlockType.AIR) return;
+            blocks = new Uint16Array(BLOCKS_PER_SUB_CHUNK);
+            this.subChunks[subY] = blocks;
+        }
+
+        blocks[this.getIndex(localX, worldY, localZ)] = type;
+    }
+
+    /**
+     * Resultado de la generación: { chunkX, chunkZ, subChunks: [{ subY, storage }], biomes }
+     * con solo los sub-chunks que tienen algún bloque; storage es BlockStorage.toData()
+     */
+    toResult() {
+        const subChunks = [];
+
+        this.subChunks.forEach((blocks, subY) => {
+            if (blocks && blocks.some(block => block !== BlockType.AIR)) {
+                subChunks.push({ subY, storage: BlockStorage.fromArray(blocks).toData() });
+            }
+        });
+
+        return { chunkX: this.chunkX, chunkZ: this.chunkZ, subChunks, biomes: this.biomes };
+    }
+}
@@ -1,12 +1,14 @@
 // DensityGenerator.js - 3D density-based terrain generation
-export class DensityGenerator {
+import { BlockType } from '../../config.js';
+import { TerrainGenerator } from './TerrainGenerator.js';
+
+export class DensityGenerator extends TerrainGenerator {
     constructor(seed = 12345) {
-        this.seed = seed;
+        super(seed);
         
         // Density parameters
         this.baseOffset = 10; // Base height where density transitions
         this.terrainScale = 0.02;
-        this.caveScale = 0.05;
         this.detailScale = 0.1;
         
         // Biome-specific adjustments (placeholder for now)
@@ -18,53 +20,9 @@ export class DensityGenerator {
         };
     }
     
-    // Simple pseudo-random for seed-based generation
-    random(x, y, z) {
-        const n = Math.sin(x * 12.9898 + y * 78.233 + z * 37.719 + this.seed) * 43758.5453;
-        return (n - Math.floor(n));
-    }
-    
-    // 3D noise function (simplified Perlin-like noise)
+    // 3D simplex noise at the given scale
     noise3D(x, y, z, scale = 1) {
-        x *= scale;
-        y *= scale;
-        z *= scale;
-        
-        // Integer coordinates
-        const xi = Math.floor(x);
-        const yi = Math.floor(y);
-        const zi = Math.floor(z);
-        
-        // Fractional coordinates
-        const xf = x - xi;
-        const yf = y - yi;
-        const zf = z - zi;
-        
-        // Smoothstep
-        const u = xf * xf * (3 - 2 * xf);
-        const v = yf * yf * (3 - 2 * yf);
-        const w = zf * zf * (3 - 2 * zf);
-        
-        // Get corner values
-        const aaa = this.random(xi, yi, zi);
-        const aba = this.random(xi, yi + 1, zi);
-        const aab = this.random(xi, yi, zi + 1);
-        const abb = this.random(xi, yi + 1, zi + 1);
-        const baa = this.random(xi + 1, yi, zi);
-        const bba = this.random(xi + 1, yi + 1, zi);
-        const bab = this.random(xi + 1, yi, zi + 1);
-        const bbb = this.random(xi + 1, yi + 1, zi + 1);
-        
-        // Trilinear interpolation
-        const x1 = aaa * (1 - u) + baa * u;
-        const x2 = aba * (1 - u) + bba * u;
-        const y1 = x1 * (1 - v) + x2 * v;
-        
-        const x3 = aab * (1 - u) + bab * u;
-        const x4 = abb * (1 - u) + bbb * u;
-        const y2 = x3 * (1 - v) + x4 * v;
-        
-        return (y1 * (1 - w) + y2 * w) * 2 - 1;
+        return this.noise.noise3D(x * scale, y * scale, z * scale);
     }
     
     // Get density at a specific 3D point
@@ -79,15 +37,6 @@ export class DensityGenerator {
         // Secondary terrain noise (medium features)
         density += this.noise3D(worldX, worldY, worldZ, this.terrainScale * 2) * 8;
         
-        // Cave noise (subtractive)
-        const caveNoise = this.noise3D(worldX, worldY, worldZ, this.caveScale);
-        const caveNoise2 = this.noise3D(worldX, worldY, worldZ, this.caveScale * 2);
-        
-        // Create caves where both noise values are high
-        if (caveNoise > 0.6 && caveNoise2 > 0.6) {
-            density -= 50; // Strong negative density creates caves
-        }
-        
         // Detail noise (small features)
         density += this.noise3D(worldX, worldY, worldZ, this.detailScale) * 3;
         
@@ -105,10 +54,10 @@ export class DensityGenerator {
     // Determine block type based on position and surroundings
     getBlockType(worldX, worldY, worldZ, density, biome = 'plains') {
         // Air
-        if (density <= 0) return 0;
+        if (density <= 0) return BlockType.AIR;
         
-        // Default to stone
-        let blockType = 3; // Stone
+        const biomeOffset = this.biomeOffsets[biome] || 0;
+        let blockType = BlockType.STONE;
         
         // Check if this is a surface block (has air above)
         const aboveDensity = this.getDensity(worldX, worldY + 1, worldZ, biome);
@@ -118,29 +67,26 @@ export class DensityGenerator {
             switch (biome) {
                 case 'plains':
                 case 'hills':
-                    blockType = 1; // Grass
+                    blockType = BlockType.GRASS;
                     break;
                 case 'desert':
-                    blockType = 4; // Sand (need to add this block type)
+                    blockType = BlockType.SAND;
                     break;
                 case 'mountains':
-                    if (worldY > 25) {
-                        blockType = 5; // Snow (need to add this block type)
-                    } else {
-                        blockType = 3; // Stone
-                    }
+                    // Stone peaks (there is no snow block yet)
+                    blockType = BlockType.STONE;
                     break;
                 default:
-                    blockType = 1; // Grass
+                    blockType = BlockType.GRASS;
             }
         } else if (density > 0 && worldY < this.baseOffset + biomeOffset - 3) {
             // Deep underground remains stone
-            blockType = 3;
+            blockType = BlockType.STONE;
         } else {
             // Sub-surface layers
             const depthFromSurface = this.getDepthFromSurface(worldX, worldY, worldZ, biome);
             if (depthFromSurface >= 0 && depthFromSurface < 4) {
-                blockType = 2; // Dirt
+                blockType = BlockType.DIRT;
             }
         }
         
@@ -175,4 +121,10 @@ export class DensityGenerator {
         if (biomeNoise < 0.3) return 'hills';
         return 'mountains';
     }
-}
\ No newline at end of file
+    
+    getBlockAt(worldX, worldY, worldZ) {
+        const biome = this.getBiome(worldX, worldZ);
+        const density = this.getDensity(worldX, worldY, worldZ, biome);
+        return this.getBlockType(worldX, worldY, worldZ, density, biome);
+    }
+}
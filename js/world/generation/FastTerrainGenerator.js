@@ -3,9 +3,12 @@
  * Versión simplificada para máximo rendimiento
  */
 
-export class FastTerrainGenerator {
+import { BlockType } from '../../config.js';
+import { TerrainGenerator } from './TerrainGenerator.js';
+
+export class FastTerrainGenerator extends TerrainGenerator {
     constructor(seed = 12345) {
-        this.seed = seed;
+        super(seed);
         
         // Cache de alturas para evitar recálculos
         this.heightCache = new Map();
@@ -18,7 +21,12 @@ export class FastTerrainGenerator {
         // Escalas optimizadas (menos octavas = más rápido)
         this.biomeScale = 0.005;
         this.terrainScale = 0.02;
-        this.caveScale = 0.04;
+    }
+    
+    // Las cachés dependen de la semilla
+    setSeed(seed) {
+        super.setSeed(seed);
+        this.clearCache();
     }
     
     // Hash rápido para caché
@@ -26,33 +34,9 @@ export class FastTerrainGenerator {
         return `${x},${z}`;
     }
     
-    // Función de ruido ultra-rápida (sin interpolación suave)
-    fastRandom(x, z) {
-        const n = Math.sin(x * 12.9898 + z * 78.233 + this.seed) * 43758.5453;
-        return (n - Math.floor(n));
-    }
-    
-    // Ruido 2D simplificado (1 octava para velocidad)
+    // Ruido 2D de una sola octava para velocidad
     fastNoise2D(x, z, scale) {
-        const sampleX = x * scale;
-        const sampleZ = z * scale;
-        
-        const xi = Math.floor(sampleX);
-        const zi = Math.floor(sampleZ);
-        
-        // Interpolación lineal simple (más rápida que smoothstep)
-        const xf = sampleX - xi;
-        const zf = sampleZ - zi;
-        
-        const aa = this.fastRandom(xi, zi);
-        const ba = this.fastRandom(xi + 1, zi);
-        const ab = this.fastRandom(xi, zi + 1);
-        const bb = this.fastRandom(xi + 1, zi + 1);
-        
-        const x1 = aa + (ba - aa) * xf;
-        const x2 = ab + (bb - ab) * xf;
-        
-        return (x1 + (x2 - x1) * zf) * 2 - 1;
+        return this.noise.noise2D(x * scale, z * scale);
     }
     
     // Obtener bioma (versión simplificada)
@@ -143,14 +127,8 @@ export class FastTerrainGenerator {
         return height;
     }
     
-    // Verificar cuevas (simplificado para velocidad)
-    hasCave(worldX, worldY, worldZ) {
-        // No generar cuevas cerca de la superficie
-        if (worldY > 50) return false;
-        
-        // Cuevas simples con 1 capa de ruido
-        const cave = this.fastNoise2D(worldX + worldY * 0.1, worldZ, this.caveScale);
-        return cave > 0.75;
+    getSurfaceHeight(worldX, worldZ) {
+        return this.getTerrainHeight(worldX, worldZ);
     }
     
     // Obtener bloque (versión optimizada)
@@ -159,41 +137,36 @@ export class FastTerrainGenerator {
         
         // Aire sobre el terreno
         if (worldY > height) {
-            return 0; // Air
-        }
-        
-        // Cuevas (solo bajo tierra)
-        if (worldY < height - 2 && this.hasCave(worldX, worldY, worldZ)) {
-            return 0; // Air
+            return BlockType.AIR;
         }
         
         // Bedrock
         if (worldY <= 1) {
-            return 3; // Stone
+            return BlockType.STONE;
         }
         
         // Superficie
         if (worldY === height) {
             const biome = this.getBiome(worldX, worldZ);
             if (biome === 'ocean' && worldY < this.seaLevel) {
-                return 2; // Dirt (será sand)
+                return BlockType.DIRT;
             }
-            return 1; // Grass
+            return BlockType.GRASS;
         }
         
         // Subsuperficie
         if (worldY >= height - 3) {
-            return 2; // Dirt
+            return BlockType.DIRT;
         }
         
         // El resto es piedra
-        return 3; // Stone
+        return BlockType.STONE;
     }
     
     // Generar chunk optimizado (solo la altura necesaria)
     generateChunkOptimized(chunkX, chunkZ, chunkSize, minY, maxY) {
         const height = maxY - minY;
-        const blocks = new Uint8Array(chunkSize * height * chunkSize);
+        const blocks = new Uint16Array(chunkSize * height * chunkSize);
         
         // Pre-calcular alturas para todo el chunk
         const heights = new Array(chunkSize * chunkSize);
@@ -218,24 +191,19 @@ export class FastTerrainGenerator {
                     
                     // Optimización: skip si está muy por encima del terreno
                     if (worldY > terrainHeight + 1) {
-                        blocks[index] = 0;
+                        blocks[index] = BlockType.AIR;
                         continue;
                     }
                     
                     // Generación rápida sin muchos checks
                     if (worldY > terrainHeight) {
-                        blocks[index] = 0; // Air
+                        blocks[index] = BlockType.AIR;
                     } else if (worldY === terrainHeight) {
-                        blocks[index] = 1; // Grass
+                        blocks[index] = BlockType.GRASS;
                     } else if (worldY >= terrainHeight - 3) {
-                        blocks[index] = 2; // Dirt
+                        blocks[index] = BlockType.DIRT;
                     } else {
-                        // Check de cuevas solo bajo tierra
-                        if (worldY < 50 && this.hasCave(worldX, worldY, worldZ)) {
-                            blocks[index] = 0; // Air
-                        } else {
-                            blocks[index] = 3; // Stone
-                        }
+                        blocks[index] = BlockType.STONE;
                     }
                 }
             }
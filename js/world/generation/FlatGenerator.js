@@ -0,0 +1,119 @@
+/**
+ * FlatGenerator - Mundo plano definido por una cadena de capas
+ *
+ * Las capas van de abajo arriba separadas por comas, cada una como
+ * "cantidad*bloque" o solo "bloque" (una capa): "1*stone,3*dirt,1*grass".
+ * Los nombres son los del registro de bloques (BlockRegistry.js).
+ *
+ * Ajustes por mundo (options.flat de generateColumn):
+ *   layers        cadena de capas (DEFAULT_FLAT_LAYERS si falta)
+ *   decorations   aplicar las fases comunes (cuevas, minerales, árboles y
+ *                 estructuras); por defecto no
+ */
+
+import { config, BlockType } from '../../config.js';
+import { TerrainGenerator } from './TerrainGenerator.js';
+import { findBlockId, getBlockName } from '../BlockRegistry.js';
+
+export const DEFAULT_FLAT_LAYERS = '1*stone,3*dirt,1*grass';
+
+/**
+ * Cadena de capas -> [{ block, count }]; lanza un Error que describe la capa no válida
+ */
+export function parseFlatLayers(text) {
+    const layers = [];
+    let total = 0;
+
+    for (const part of text.split(',')) {
+        const match = /^\s*(?:(\d+)\s*\*\s*)?([a-z_]+)\s*$/i.exec(part);
+        if (!match) {
+            throw new Error(`Invalid layer "${part.trim()}"`);
+        }
+
+        const count = match[1] === undefined ? 1 : Number(match[1]);
+        const block = findBlockId(match[2]);
+        if (block === undefined) {
+            throw new Error(`Unknown block "${match[2]}"`);
+        }
+        if (count < 1) {
+            throw new Error(`Layer "${part.trim()}" must have at least one block`);
+        }
+
+        total += count;
+        if (total > config.worldHeight) {
+            throw new Error(`Layers exceed the world height (${config.worldHeight})`);
+        }
+
+        layers.push({ block, count });
+    }
+
+    return layers;
+}
+
+/**
+ * [{ block, count }] -> cadena de capas normalizada
+ */
+export function formatFlatLayers(layers) {
+    return layers.map(({ block, count }) => `${count}*${getBlockName(block)}`).join(',');
+}
+
+export class FlatGenerator extends TerrainGenerator {
+    constructor(seed = 12345) {
+        super(seed);
+
+        this.decorations = false;
+        this.setLayers(DEFAULT_FLAT_LAYERS);
+    }
+
+    /**
+     * Bloque por altura a partir de la cadena de capas (se reutiliza si no cambia)
+     */
+    setLayers(text) {
+        if (text === this.layersText) return;
+
+        this.layersText = text;
+        this.blocks = [];
+        for (const { block, count } of parseFlatLayers(text)) {
+            for (let i = 0; i < count; i++) {
+                this.blocks.push(block);
+            }
+        }
+    }
+
+    configure(options) {
+        const flat = options.flat || {};
+        this.setLayers(flat.layers || DEFAULT_FLAT_LAYERS);
+        this.decorations = Boolean(flat.decorations);
+    }
+
+    getBlockAt(worldX, worldY, worldZ) {
+        return this.blocks[worldY] ?? BlockType.AIR;
+    }
+
+    getSurfaceHeight(worldX, worldZ) {
+        for (let y = this.blocks.length - 1; y > 0; y--) {
+            if (this.blocks[y] !== BlockType.AIR) return y;
+        }
+        return 0;
+    }
+
+    // Todas las posiciones son iguales: solo hace falta recorrer las capas
+    fillColumn(column) {
+        const size = config.chunkSize;
+
+        this.blocks.forEach((block, y) => {
+            if (block === BlockType.AIR) return;
+            for (let x = 0; x < size; x++) {
+                for (let z = 0; z < size; z++) {
+                    column.set(x, y, z, block);
+                }
+            }
+        });
+    }
+
+    decorateColumn(column, options) {
+        if (this.decorations) {
+            super.decorateColumn(column, options);
+        }
+    }
+}
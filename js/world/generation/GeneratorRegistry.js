@@ -0,0 +1,42 @@
+/**
+ * GeneratorRegistry - Generadores de terreno disponibles por nombre
+ * Cada mundo guarda el id de su generador en los metadatos; los workers lo reciben
+ * con cada petición y crean el generador desde este mismo registro.
+ */
+
+import { MinecraftGenerator } from './MinecraftGenerator.js';
+import { DensityGenerator } from './DensityGenerator.js';
+import { FastTerrainGenerator } from './FastTerrainGenerator.js';
+import { FlatGenerator } from './FlatGenerator.js';
+
+export const DEFAULT_GENERATOR = 'minecraft';
+
+const generators = new Map();
+
+export function registerGenerator(id, label, GeneratorClass) {
+    generators.set(id, { id, label, GeneratorClass });
+}
+
+export function hasGenerator(id) {
+    return generators.has(id);
+}
+
+export function createGenerator(id, seed) {
+    const entry = generators.get(id);
+    if (!entry) {
+        throw new Error(`Unknown terrain generator "${id}"`);
+    }
+    return new entry.GeneratorClass(seed);
+}
+
+/**
+ * [{ id, label }] en orden de registro (para los menús)
+ */
+export function listGenerators() {
+    return Array.from(generators.values(), ({ id, label }) => ({ id, label }));
+}
+
+registerGenerator('minecraft', 'Default', MinecraftGenerator);
+registerGenerator('density', '3D Density', DensityGenerator);
+registerGenerator('fast', 'Fast', FastTerrainGenerator);
+registerGenerator('flat', 'Superflat', FlatGenerator);
@@ -0,0 +1,164 @@
+/**
+ * MinecraftGenerator - Generador por defecto: biomas por clima y altura mezclada
+ *
+ * Tres mapas de ruido de baja frecuencia (temperatura, humedad y continentalidad)
+ * dan el clima de cada posición. El bioma es el del registro (Biomes.js) con el
+ * punto de clima más cercano, y la altura es la media de los perfiles de todos los
+ * biomas pesada por esa distancia: al cambiar de bioma la altura varía de forma
+ * continua, sin escalones en la frontera.
+ *
+ * Las cuevas las excava después la fase de carvers (Carvers.js).
+ *
+ * options.preset (Presets.js) cambia escalas, nivel del mar, biomas y minerales.
+ */
+
+import { config as gameConfig, BlockType } from '../../config.js';
+import { TerrainGenerator } from './TerrainGenerator.js';
+import { listBiomes, getClimateWeights } from './Biomes.js';
+import { DEFAULT_ORES } from './Ores.js';
+import { validatePreset, compilePreset } from './Presets.js';
+
+const DEFAULT_SEA_LEVEL = 62;
+
+const DEFAULT_NOISE = {
+    climateScale: 0.0015,
+    continentScale: 0.001,
+    terrainScale: 0.015,
+    detailScale: 0.05
+};
+
+export class MinecraftGenerator extends TerrainGenerator {
+    constructor(seed = 12345) {
+        super(seed);
+
+        this.presetKey = null;
+        this.applyPreset(null);
+    }
+
+    configure(options) {
+        this.applyPreset(options.preset || null);
+    }
+
+    /**
+     * Ajustes del preset (null: los de por defecto); no hace nada si no ha cambiado
+     */
+    applyPreset(preset) {
+        const key = preset ? JSON.stringify(preset) : '';
+        if (key === this.presetKey) return;
+        this.presetKey = key;
+
+        const settings = preset ? compilePreset(validatePreset(preset)) : { noise: {}, biomes: {}, ores: null };
+
+        this.seaLevel = settings.seaLevel === undefined ? DEFAULT_SEA_LEVEL : settings.seaLevel;
+        Object.assign(this, DEFAULT_NOISE, settings.noise);
+        this.oreTable = settings.ores || DEFAULT_ORES;
+
+        this.biomes = new Map(listBiomes().map(biome => [
+            biome.id,
+            settings.biomes[biome.id] ? { ...biome, ...settings.biomes[biome.id] } : biome
+        ]));
+
+        // Solo participan los biomas que tienen punto de clima
+        this.climateBiomes = Array.from(this.biomes.values()).filter(biome => biome.climate);
+        this.weights = new Float64Array(this.climateBiomes.length);
+    }
+
+    getBiomeDefinition(id) {
+        return this.biomes.get(id) || super.getBiomeDefinition(id);
+    }
+
+    noise2D(x, z, scale = 1, octaves = 1) {
+        return this.noise.fbm2D(x * scale, z * scale, octaves);
+    }
+
+    /**
+     * Clima en una posición: { temperature, humidity, continentalness } en [-1, 1]
+     */
+    getClimate(worldX, worldZ) {
+        // Desplazamientos distintos para que los tres mapas no se parezcan
+        return {
+            temperature: this.noise2D(worldX + 3071, worldZ - 1913, this.climateScale, 2),
+            humidity: this.noise2D(worldX - 6247, worldZ + 4421, this.climateScale, 2),
+            continentalness: this.noise2D(worldX, worldZ, this.continentScale, 3)
+        };
+    }
+
+    /**
+     * Bioma y altura del terreno en una posición: { biome, height }
+     */
+    sampleColumn(worldX, worldZ) {
+        const climate = this.getClimate(worldX, worldZ);
+        const { biome, weights } = getClimateWeights(this.climateBiomes,
+            climate.temperature, climate.humidity, climate.continentalness, this.weights);
+
+        const terrainNoise = this.noise2D(worldX, worldZ, this.terrainScale, 4);
+        let height = 0;
+        for (let i = 0; i < this.climateBiomes.length; i++) {
+            const profile = this.climateBiomes[i].height;
+            height += weights[i] * (profile.base + terrainNoise * profile.variation);
+        }
+
+        height += this.noise2D(worldX, worldZ, this.detailScale, 2) * 2;
+
+        return { biome, height: Math.floor(height) };
+    }
+
+    getBiome(worldX, worldZ) {
+        return this.sampleColumn(worldX, worldZ).biome.id;
+    }
+
+    getTerrainHeight(worldX, worldZ) {
+        return this.sampleColumn(worldX, worldZ).height;
+    }
+
+    getSurfaceHeight(worldX, worldZ) {
+        return this.getTerrainHeight(worldX, worldZ);
+    }
+
+    getBlockAt(worldX, worldY, worldZ) {
+        return this.getBlockInColumn(worldY, this.sampleColumn(worldX, worldZ));
+    }
+
+    /**
+     * Bloque a una altura a partir de la muestra de su columna (sampleColumn)
+     */
+    getBlockInColumn(worldY, sample) {
+        const { biome, height } = sample;
+
+        if (worldY > height) {
+            return BlockType.AIR;
+        }
+
+        if (worldY <= 1) {
+            return BlockType.STONE;
+        }
+
+        if (worldY === height) {
+            return biome.surface;
+        }
+
+        if (worldY >= height - biome.fillerDepth) {
+            return biome.filler;
+        }
+
+        return BlockType.STONE;
+    }
+
+    // Una muestra por columna; por encima de la altura del terreno solo hay aire
+    fillColumn(column) {
+        const size = gameConfig.chunkSize;
+
+        for (let x = 0; x < size; x++) {
+            for (let z = 0; z < size; z++) {
+                const worldX = column.chunkX * size + x;
+                const worldZ = column.chunkZ * size + z;
+                const sample = this.sampleColumn(worldX, worldZ);
+                const height = Math.min(sample.height, gameConfig.worldHeight - 1);
+
+                for (let y = 0; y <= height; y++) {
+                    column.set(x, y, z, this.getBlockInColumn(y, sample));
+                }
+            }
+        }
+    }
+}
@@ -0,0 +1,103 @@
+/**
+ * Ores - Fase de generación que coloca vetas de mineral
+ *
+ * Cada mineral de la tabla define:
+ *   block          bloque del mineral
+ *   minY, maxY     alturas entre las que puede empezar una veta
+ *   veinSize       bloques que recorre la veta (paseo aleatorio desde el origen)
+ *   veinsPerChunk  vetas por columna; la parte decimal es la probabilidad de una más
+ *   replaces       bloques que la veta puede sustituir
+ *
+ * Las vetas de cada columna salen de un Random con la semilla del mundo y las
+ * coordenadas del chunk, así que son deterministas. Una veta no se aleja más de
+ * veinSize bloques de su origen: con veinSize <= chunkSize basta con recorrer las
+ * vetas de los 8 chunks vecinos para completar las que cruzan el borde.
+ *
+ * La tabla es la del generador (DEFAULT_ORES o la de su preset) con los cambios del
+ * bioma del centro del chunk donde empieza la veta (campo `ores` de su definición).
+ */
+
+import { config, BlockType } from '../../config.js';
+import { Random, mixSeed } from '../../utils/Noise.js';
+
+const ORE_SALT = 0x4F5245;
+
+export const DEFAULT_ORES = [
+    { block: BlockType.COAL, minY: 5, maxY: 128, veinSize: 14, veinsPerChunk: 18, replaces: [BlockType.STONE] },
+    { block: BlockType.IRON, minY: 5, maxY: 64, veinSize: 9, veinsPerChunk: 10, replaces: [BlockType.STONE] },
+    { block: BlockType.GOLD, minY: 5, maxY: 32, veinSize: 8, veinsPerChunk: 2, replaces: [BlockType.STONE] },
+    { block: BlockType.DIAMOND, minY: 5, maxY: 16, veinSize: 6, veinsPerChunk: 0.8, replaces: [BlockType.STONE] }
+];
+
+// Definición de bioma -> { base, table } con los cambios del bioma ya aplicados
+const biomeOres = new WeakMap();
+
+/**
+ * Copia de una tabla cambiando algunos campos por bloque:
+ * withOreChanges(DEFAULT_ORES, { [BlockType.IRON]: { veinsPerChunk: 20 } })
+ */
+export function withOreChanges(table, changes) {
+    return table.map(ore => ({ ...ore, ...(changes[ore.block] || {}) }));
+}
+
+/**
+ * Tabla de un bioma: la tabla base con los cambios `ores` de su definición
+ */
+export function getOreTable(biome, base = DEFAULT_ORES) {
+    let entry = biomeOres.get(biome);
+    if (!entry || entry.base !== base) {
+        entry = { base, table: biome.ores ? withOreChanges(base, biome.ores) : base };
+        biomeOres.set(biome, entry);
+    }
+    return entry.table;
+}
+
+/**
+ * Colocar en la columna las vetas que la alcanzan (las suyas y las de los vecinos)
+ */
+export function placeOres(generator, column) {
+    const size = config.chunkSize;
+
+    for (let dx = -1; dx <= 1; dx++) {
+        for (let dz = -1; dz <= 1; dz++) {
+            const chunkX = column.chunkX + dx;
+            const chunkZ = column.chunkZ + dz;
+            const biome = generator.getBiomeDefinition(generator.getBiome(chunkX * size + size / 2, chunkZ * size + size / 2));
+
+            for (const ore of getOreTable(biome, generator.oreTable)) {
+                const random = new Random(mixSeed(generator.seed, chunkX, chunkZ, ORE_SALT, ore.block));
+                const count = Math.floor(ore.veinsPerChunk) + (random.chance(ore.veinsPerChunk % 1) ? 1 : 0);
+
+                for (let i = 0; i < count; i++) {
+                    const x = chunkX * size + random.nextInt(size);
+                    const y = ore.minY + random.nextInt(ore.maxY - ore.minY + 1);
+                    const z = chunkZ * size + random.nextInt(size);
+                    placeVein(column, ore, random, x, y, z);
+                }
+            }
+        }
+    }
+}
+
+function placeVein(column, ore, random, x, y, z) {
+    const baseX = column.chunkX * config.chunkSize;
+    const baseZ = column.chunkZ * config.chunkSize;
+
+    for (let i = 0; i < ore.veinSize; i++) {
+        const localX = x - baseX;
+        const localZ = z - baseZ;
+        if (ore.replaces.includes(column.get(localX, y, localZ))) {
+            column.set(localX, y, localZ, ore.block);
+        }
+
+        // El paseo consume siempre el mismo número de valores, esté o no dentro de la columna
+        switch (random.nextInt(6)) {
+            case 0: x++; break;
+            case 1: x--; break;
+            case 2: y++; break;
+            case 3: y--; break;
+            case 4: z++; break;
+            default: z--; break;
+        }
+    }
+}
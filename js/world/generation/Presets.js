@@ -0,0 +1,306 @@
+/**
+ * Presets - Ajustes del generador por defecto expresados en JSON
+ *
+ * Un preset puede cambiar:
+ *   seaLevel     nivel del mar (null: sin agua)
+ *   noise        escalas de ruido de MinecraftGenerator (climateScale, continentScale,
+ *                terrainScale, detailScale)
+ *   biomes       por id de bioma registrado: climate, surface, filler, fillerDepth,
+ *                height, trees y ores (cambios sobre la tabla de minerales)
+ *   ores         tabla de minerales por defecto (sustituye a DEFAULT_ORES)
+ *   caves        ajustes de carvers { caves, ravines } (base de los del mundo)
+ *
+ * Los bloques se escriben por nombre ("stone", "sand"). validatePreset() comprueba el
+ * JSON contra PRESET_SCHEMA; compilePreset() lo traduce a ids de bloque para el
+ * generador. El preset elegido se guarda en los metadatos del mundo y viaja a los
+ * workers con cada GENERATE_CHUNK_COLUMN.
+ */
+
+import { config } from '../../config.js';
+import { TREE_SHAPES } from './Trees.js';
+import { listBiomes } from './Biomes.js';
+import { findBlockId, getBlockId } from '../BlockRegistry.js';
+
+// Presets incluidos (ficheros JSON junto a index.html)
+export const BUILTIN_PRESETS = [
+    { id: 'default', label: 'Default', url: 'presets/default.json' },
+    { id: 'islands', label: 'Islands', url: 'presets/islands.json' },
+    { id: 'amplified', label: 'Amplified', url: 'presets/amplified.json' },
+    { id: 'caverns', label: 'Caverns', url: 'presets/caverns.json' }
+];
+
+const number = (min, max) => ({ type: 'number', min, max });
+const integer = (min, max) => ({ type: 'integer', min, max });
+const BLOCK = { type: 'block' };
+
+const CARVER_SCHEMA = {
+    type: 'object',
+    properties: { frequency: number(0, 16), size: number(0, 2) }
+};
+
+const ORE_FIELDS = {
+    minY: integer(0, config.worldHeight - 1),
+    maxY: integer(0, config.worldHeight - 1),
+    veinSize: integer(1, config.chunkSize),
+    veinsPerChunk: number(0, 64),
+    replaces: { type: 'array', items: BLOCK, maxItems: 16 }
+};
+
+const ORE_SCHEMA = {
+    type: 'object',
+    required: ['block', 'minY', 'maxY', 'veinSize', 'veinsPerChunk'],
+    properties: { block: BLOCK, ...ORE_FIELDS }
+};
+
+const BIOME_SCHEMA = {
+    type: 'object',
+    properties: {
+        climate: {
+            type: 'object',
+            required: ['temperature', 'humidity', 'continentalness'],
+            properties: { temperature: number(-1, 1), humidity: number(-1, 1), continentalness: number(-1, 1) }
+        },
+        surface: BLOCK,
+        filler: BLOCK,
+        fillerDepth: integer(0, 16),
+        height: {
+            type: 'object',
+            required: ['base', 'variation'],
+            properties: { base: integer(1, config.worldHeight - 1), variation: number(0, 128) }
+        },
+        trees: {
+            type: 'object',
+            nullable: true,
+            required: ['treesPerChunk', 'shapes'],
+            properties: {
+                treesPerChunk: number(0, 32),
+                // [[forma, peso]]
+                shapes: {
+                    type: 'array',
+                    minItems: 1,
+                    maxItems: 8,
+                    items: { type: 'tuple', items: [{ type: 'enum', values: Object.keys(TREE_SHAPES) }, number(0, 100)] }
+                }
+            }
+        },
+        ores: { type: 'map', keys: BLOCK, values: { type: 'object', properties: ORE_FIELDS } }
+    }
+};
+
+export const PRESET_SCHEMA = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: { type: 'string', maxLength: 60 },
+        description: { type: 'string', maxLength: 500 },
+        seaLevel: { ...integer(1, config.worldHeight - 1), nullable: true },
+        noise: {
+            type: 'object',
+            properties: {
+                climateScale: number(0.00001, 1),
+                continentScale: number(0.00001, 1),
+                terrainScale: number(0.00001, 1),
+                detailScale: number(0.00001, 1)
+            }
+        },
+        biomes: { type: 'map', keys: { type: 'biome' }, values: BIOME_SCHEMA },
+        ores: { type: 'array', items: ORE_SCHEMA, maxItems: 32 },
+        caves: {
+            type: 'object',
+            properties: { caves: CARVER_SCHEMA, ravines: CARVER_SCHEMA }
+        }
+    }
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Errores de un valor frente a un esquema, como textos "ruta: problema"
+ */
+export function validateSchema(value, schema, path = 'preset', errors = []) {
+    if (value === null && schema.nullable) return errors;
+
+    switch (schema.type) {
+        case 'object':
+            if (!isPlainObject(value)) {
+                errors.push(`${path}: expected an object`);
+                break;
+            }
+            for (const key of schema.required || []) {
+                if (!(key in value)) errors.push(`${path}.${key}: is required`);
+            }
+            for (const [key, item] of Object.entries(value)) {
+                if (!(key in schema.properties)) {
+                    errors.push(`${path}.${key}: unknown setting`);
+                } else {
+                    validateSchema(item, schema.properties[key], `${path}.${key}`, errors);
+                }
+            }
+            break;
+
+        case 'map':
+            if (!isPlainObject(value)) {
+                errors.push(`${path}: expected an object`);
+                break;
+            }
+            for (const [key, item] of Object.entries(value)) {
+                validateSchema(key, schema.keys, `${path}.${key}`, errors);
+                validateSchema(item, schema.values, `${path}.${key}`, errors);
+            }
+            break;
+
+        case 'array':
+            if (!Array.isArray(value)) {
+                errors.push(`${path}: expected a list`);
+                break;
+            }
+            if (value.length < (schema.minItems || 0)) {
+                errors.push(`${path}: at least ${schema.minItems} ${schema.minItems === 1 ? 'entry' : 'entries'}`);
+            }
+            if (value.length > schema.maxItems) {
+                errors.push(`${path}: at most ${schema.maxItems} entries`);
+            }
+            value.forEach((item, i) => validateSchema(item, schema.items, `${path}[${i}]`, errors));
+            break;
+
+        case 'tuple':
+            if (!Array.isArray(value) || value.length !== schema.items.length) {
+                errors.push(`${path}: expected a list of ${schema.items.length} values`);
+                break;
+            }
+            value.forEach((item, i) => validateSchema(item, schema.items[i], `${path}[${i}]`, errors));
+            break;
+
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !Number.isFinite(value) ||
+                (schema.type === 'integer' && !Number.isInteger(value))) {
+                errors.push(`${path}: expected ${schema.type === 'integer' ? 'an integer' : 'a number'}`);
+            } else if (value < schema.min || value > schema.max) {
+                errors.push(`${path}: must be between ${schema.min} and ${schema.max}`);
+            }
+            break;
+
+        case 'string':
+            if (typeof value !== 'string') {
+                errors.push(`${path}: expected text`);
+            } else if (value.length > schema.maxLength) {
+                errors.push(`${path}: at most ${schema.maxLength} characters`);
+            }
+            break;
+
+        case 'enum':
+            if (!schema.values.includes(value)) {
+                errors.push(`${path}: must be one of ${schema.values.join(', ')}`);
+            }
+            break;
+
+        case 'block':
+            if (typeof value !== 'string' || findBlockId(value) === undefined) {
+                errors.push(`${path}: unknown block "${value}"`);
+            }
+            break;
+
+        case 'biome':
+            if (!listBiomes().some(biome => biome.id === value)) {
+                errors.push(`${path}: unknown biome "${value}"`);
+            }
+            break;
+    }
+
+    return errors;
+}
+
+/**
+ * Comprobar un preset ya parseado; lanza un Error con todos los problemas encontrados
+ */
+export function validatePreset(preset) {
+    const errors = validateSchema(preset, PRESET_SCHEMA);
+
+    if (errors.length === 0) {
+        const ores = [...(preset.ores || []), ...Object.values(preset.biomes || {}).flatMap(biome => Object.values(biome.ores || {}))];
+        for (const ore of ores) {
+            if (ore.minY !== undefined && ore.maxY !== undefined && ore.minY > ore.maxY) {
+                errors.push(`preset: ore minY ${ore.minY} is above maxY ${ore.maxY}`);
+            }
+        }
+
+        // Con pesos que suman 0 no se puede elegir ninguna forma de árbol
+        for (const [id, biome] of Object.entries(preset.biomes || {})) {
+            if (biome.trees && biome.trees.shapes.reduce((total, [, weight]) => total + weight, 0) <= 0) {
+                errors.push(`preset.biomes.${id}.trees.shapes: weights must add up to more than 0`);
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid preset: ${errors.join('; ')}`);
+    }
+    return preset;
+}
+
+// Cambios de minerales de un bioma: las claves pasan de nombre a id de bloque
+function compileOreChanges(changes) {
+    const compiled = {};
+    for (const [name, fields] of Object.entries(changes)) {
+        compiled[getBlockId(name)] = fields.replaces ? { ...fields, replaces: fields.replaces.map(getBlockId) } : { ...fields };
+    }
+    return compiled;
+}
+
+/**
+ * Preset validado -> ajustes con ids de bloque para el generador:
+ * { seaLevel, noise, biomes: { id: cambios }, ores }. Las cuevas no: se copian a los
+ * ajustes de carvers del mundo al crearlo.
+ */
+export function compilePreset(preset) {
+    const biomes = {};
+    for (const [id, biome] of Object.entries(preset.biomes || {})) {
+        const compiled = { ...biome };
+        if (biome.surface) compiled.surface = getBlockId(biome.surface);
+        if (biome.filler) compiled.filler = getBlockId(biome.filler);
+        if (biome.ores) compiled.ores = compileOreChanges(biome.ores);
+        biomes[id] = compiled;
+    }
+
+    return {
+        seaLevel: preset.seaLevel,
+        noise: preset.noise || {},
+        biomes,
+        ores: preset.ores
+            ? preset.ores.map(ore => ({
+                ...ore,
+                block: getBlockId(ore.block),
+                replaces: (ore.replaces || ['stone']).map(getBlockId)
+            }))
+            : null
+    };
+}
+
+/**
+ * Parsear y validar el texto de un fichero de preset
+ */
+export function parsePreset(text) {
+    let preset;
+    try {
+        preset = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid preset: not valid JSON (${error.message})`);
+    }
+    return validatePreset(preset);
+}
+
+export async function loadBuiltinPreset(id) {
+    const entry = BUILTIN_PRESETS.find(preset => preset.id === id);
+    if (!entry) {
+        throw new Error(`Unknown preset "${id}"`);
+    }
+
+    const response = await fetch(entry.url);
+    if (!response.ok) {
+        throw new Error(`Failed to load preset "${id}": HTTP ${response.status}`);
+    }
+    return parsePreset(await response.text());
+}
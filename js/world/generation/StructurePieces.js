@@ -0,0 +1,85 @@
+/**
+ * StructurePieces - Piezas de las estructuras, definidas como datos
+ *
+ * Cada pieza tiene:
+ *   layers       capas de abajo arriba; cada capa es una lista de filas (z) y cada
+ *                carácter de la fila es un bloque (x)
+ *   palette      carácter -> bloque, sobre PIECE_PALETTE
+ *   yOffset      altura de la primera capa respecto al punto donde se coloca
+ *   foundation   bloque con el que se rellena bajo la primera capa hasta el suelo
+ *   integrity    probabilidad de que cada bloque sólido exista (ruinas)
+ *
+ * El espacio deja el bloque que hubiera; '.' lo vacía (aire). Sin rotar, la fila
+ * z = 0 es el frente de la pieza.
+ */
+
+import { BlockType } from '../../config.js';
+
+export const PIECE_PALETTE = {
+    '.': BlockType.AIR,
+    '#': BlockType.STONE,
+    'W': BlockType.WOOD,
+    '~': BlockType.WATER,
+    '$': BlockType.GOLD,
+    '*': BlockType.DIAMOND
+};
+
+export const STRUCTURE_PIECES = {
+    // Pozo del centro de la aldea: el agua queda a la altura del suelo
+    well: {
+        yOffset: -2,
+        foundation: BlockType.STONE,
+        layers: [
+            ['###', '###', '###'],
+            ['###', '#~#', '###'],
+            ['###', '#~#', '###'],
+            ['W.W', '...', 'W.W'],
+            ['W.W', '...', 'W.W'],
+            ['WWW', 'WWW', 'WWW']
+        ]
+    },
+
+    house: {
+        foundation: BlockType.STONE,
+        layers: [
+            ['WWWWW', 'WWWWW', 'WWWWW', 'WWWWW', 'WWWWW'],
+            ['W#.#W', '#...#', '#...#', '#...#', 'W###W'],
+            ['W#.#W', '#...#', '.....', '#...#', 'W#.#W'],
+            ['W###W', '#...#', '#...#', '#...#', 'W###W'],
+            ['WWWWW', 'WWWWW', 'WWWWW', 'WWWWW', 'WWWWW'],
+            ['     ', ' WWW ', ' WWW ', ' WWW ', '     ']
+        ]
+    },
+
+    ruin: {
+        foundation: BlockType.STONE,
+        integrity: 0.6,
+        layers: [
+            ['#######', '#######', '#######', '#######', '#######', '#######', '#######'],
+            ['##...##', '#.....#', '#.....#', '#..$..#', '#.....#', '#.....#', '#######'],
+            ['#.....#', '#.....#', '.......', '.......', '.......', '#.....#', '###.###'],
+            ['#.....#', '.......', '.......', '.......', '.......', '.......', '#.....#']
+        ]
+    },
+
+    // Sala de la mazmorra: columnas de madera y tesoro en dos esquinas
+    dungeon: {
+        layers: [
+            ['#########', '#########', '#########', '#########', '#########', '#########', '#########', '#########', '#########'],
+            ['#########', '#$......#', '#.W...W.#', '#.......#', '#.......#', '#.......#', '#.W...W.#', '#......*#', '#########'],
+            ['#########', '#.......#', '#.W...W.#', '#.......#', '#.......#', '#.......#', '#.W...W.#', '#.......#', '#########'],
+            ['#########', '#.......#', '#.W...W.#', '#.......#', '#.......#', '#.......#', '#.W...W.#', '#.......#', '#########'],
+            ['#########', '#########', '#########', '#########', '#########', '#########', '#########', '#########', '#########']
+        ]
+    },
+
+    // Pasillo que sale de la sala; se solapa una fila con su pared
+    corridor: {
+        layers: [
+            ['###', '###', '###', '###', '###', '###', '###'],
+            ['#.#', '#.#', '#.#', '#.#', '#.#', '#.#', '#.#'],
+            ['#.#', '#.#', '#.#', '#.#', '#.#', '#.#', '#.#'],
+            ['###', '###', '###', '###', '###', '###', '###']
+        ]
+    }
+};
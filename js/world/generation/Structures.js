@@ -0,0 +1,273 @@
+/**
+ * Structures - Fase que coloca estructuras de varias piezas (aldeas, ruinas, mazmorras)
+ *
+ * Cada tipo de estructura divide el mundo en regiones de `spacing` x `spacing`
+ * chunks. Un Random con la semilla del mundo y las coordenadas de la región decide
+ * si en ella empieza una estructura (`chance`) y en qué chunk. La disposición de
+ * las piezas (layout) sale de otro Random con el chunk de inicio y solo consulta
+ * al generador, así que es la misma la pida la columna que la pida.
+ *
+ * Una estructura no se aleja más de `reach` chunks de su chunk de inicio: cada
+ * columna busca los inicios a esa distancia y escribe solo los bloques de las
+ * piezas que caen dentro de ella.
+ */
+
+import { config, BlockType } from '../../config.js';
+import { Random, mixSeed } from '../../utils/Noise.js';
+import { isDryLand } from './Water.js';
+import { PIECE_PALETTE, STRUCTURE_PIECES } from './StructurePieces.js';
+
+// Bloques de suelo que se rellenan como mucho bajo una pieza con foundation
+const MAX_FOUNDATION_DEPTH = 8;
+
+const structures = [];
+
+/**
+ * Registrar un tipo de estructura:
+ *   id
+ *   spacing      tamaño de la región en chunks
+ *   separation   chunks del final de la región donde no empieza ninguna (evita
+ *                que se toquen las de regiones vecinas)
+ *   chance       probabilidad de que la región tenga estructura
+ *   reach        distancia máxima en chunks de las piezas al chunk de inicio
+ *   biomes       biomas donde puede empezar (null: cualquiera)
+ *   layout(generator, random, x, z)  piezas [{ piece, x, y, z, rotation }] con
+ *                inicio en la posición de mundo x, z, o null si no cabe
+ */
+export function registerStructure(definition) {
+    structures.push({
+        separation: 0,
+        chance: 1,
+        reach: 1,
+        biomes: null,
+        ...definition,
+        // Cada tipo tiene su propia secuencia aleatoria, derivada del id
+        salt: mixSeed(0, ...Array.from(definition.id, char => char.charCodeAt(0)))
+    });
+}
+
+export function listStructures() {
+    return structures.slice();
+}
+
+/**
+ * Chunk de inicio de la estructura de una región, o null si la región no tiene
+ */
+export function getStructureStart(generator, structure, regionX, regionZ) {
+    const random = new Random(mixSeed(generator.seed, regionX, regionZ, structure.salt));
+    if (!random.chance(structure.chance)) return null;
+
+    const range = structure.spacing - structure.separation;
+    return {
+        chunkX: regionX * structure.spacing + random.nextInt(range),
+        chunkZ: regionZ * structure.spacing + random.nextInt(range)
+    };
+}
+
+/**
+ * Piezas de una estructura que empieza en un chunk, o null si no se genera allí
+ */
+export function getStructurePieces(generator, structure, start) {
+    const size = config.chunkSize;
+    const x = start.chunkX * size + size / 2;
+    const z = start.chunkZ * size + size / 2;
+
+    if (structure.biomes && !structure.biomes.includes(generator.getBiome(x, z))) return null;
+
+    const random = new Random(mixSeed(generator.seed, start.chunkX, start.chunkZ, structure.salt));
+    return structure.layout(generator, random, x, z);
+}
+
+/**
+ * Tamaño de una pieza ya rotada: { width (x), depth (z), height }
+ */
+function getPieceSize(piece, rotation) {
+    const width = piece.layers[0][0].length;
+    const depth = piece.layers[0].length;
+    return rotation % 2 === 0
+        ? { width, depth, height: piece.layers.length }
+        : { width: depth, depth: width, height: piece.layers.length };
+}
+
+// Posición rotada de (lx, lz) dentro de una pieza de width x depth sin rotar
+function rotate(lx, lz, width, depth, rotation) {
+    switch (rotation) {
+        case 1: return [depth - 1 - lz, lx];
+        case 2: return [width - 1 - lx, depth - 1 - lz];
+        case 3: return [lz, width - 1 - lx];
+        default: return [lx, lz];
+    }
+}
+
+function placePiece(generator, column, placement, salt) {
+    const piece = STRUCTURE_PIECES[placement.piece];
+    const rotation = placement.rotation || 0;
+    const size = config.chunkSize;
+    const baseX = column.chunkX * size;
+    const baseZ = column.chunkZ * size;
+
+    // Piezas que no tocan la columna
+    const rotated = getPieceSize(piece, rotation);
+    if (placement.x + rotated.width <= baseX || placement.x >= baseX + size ||
+        placement.z + rotated.depth <= baseZ || placement.z >= baseZ + size) return;
+
+    const palette = piece.palette ? { ...PIECE_PALETTE, ...piece.palette } : PIECE_PALETTE;
+    const width = piece.layers[0][0].length;
+    const depth = piece.layers[0].length;
+    const bottom = placement.y + (piece.yOffset || 0);
+
+    piece.layers.forEach((rows, ly) => {
+        for (let lz = 0; lz < depth; lz++) {
+            for (let lx = 0; lx < width; lx++) {
+                const char = rows[lz][lx];
+                if (char === ' ') continue;
+
+                const [rx, rz] = rotate(lx, lz, width, depth, rotation);
+                const localX = placement.x + rx - baseX;
+                const localZ = placement.z + rz - baseZ;
+                if (localX < 0 || localX >= size || localZ < 0 || localZ >= size) continue;
+
+                const block = palette[char];
+                const y = bottom + ly;
+
+                // Bloques que faltan en las piezas dañadas: un hash de la posición,
+                // igual en todas las columnas
+                if (piece.integrity !== undefined && block !== BlockType.AIR &&
+                    mixSeed(generator.seed, baseX + localX, y, baseZ + localZ, salt) / 4294967296 >= piece.integrity) {
+                    continue;
+                }
+
+                column.set(localX, y, localZ, block);
+
+                if (ly === 0 && piece.foundation !== undefined && block !== BlockType.AIR) {
+                    for (let fy = y - 1; fy > y - 1 - MAX_FOUNDATION_DEPTH && fy > 0; fy--) {
+                        const below = column.get(localX, fy, localZ);
+                        if (below !== BlockType.AIR && below !== BlockType.WATER && below !== BlockType.LEAVES) break;
+                        column.set(localX, fy, localZ, piece.foundation);
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Colocar en la columna las piezas de las estructuras que la alcanzan
+ */
+export function placeStructures(generator, column) {
+    for (const structure of structures) {
+        const minRegionX = Math.floor((column.chunkX - structure.reach) / structure.spacing);
+        const maxRegionX = Math.floor((column.chunkX + structure.reach) / structure.spacing);
+        const minRegionZ = Math.floor((column.chunkZ - structure.reach) / structure.spacing);
+        const maxRegionZ = Math.floor((column.chunkZ + structure.reach) / structure.spacing);
+
+        for (let regionX = minRegionX; regionX <= maxRegionX; regionX++) {
+            for (let regionZ = minRegionZ; regionZ <= maxRegionZ; regionZ++) {
+                const start = getStructureStart(generator, structure, regionX, regionZ);
+                if (!start ||
+                    Math.abs(start.chunkX - column.chunkX) > structure.reach ||
+                    Math.abs(start.chunkZ - column.chunkZ) > structure.reach) continue;
+
+                const pieces = getStructurePieces(generator, structure, start);
+                if (!pieces) continue;
+
+                for (const placement of pieces) {
+                    placePiece(generator, column, placement, structure.salt);
+                }
+            }
+        }
+    }
+}
+
+// Rotación con la que el frente de una pieza (z = 0 sin rotar) mira hacia (dx, dz)
+function facing(dx, dz) {
+    if (Math.abs(dx) > Math.abs(dz)) return dx > 0 ? 1 : 3;
+    return dz > 0 ? 2 : 0;
+}
+
+registerStructure({
+    id: 'village',
+    spacing: 24,
+    separation: 4,
+    chance: 0.7,
+    reach: 2,
+    biomes: ['plains', 'savanna', 'desert'],
+
+    // Pozo en el centro y de 3 a 5 casas alrededor mirando hacia él
+    layout(generator, random, x, z) {
+        const ground = generator.getSurfaceHeight(x, z);
+        if (!isDryLand(generator, x, z, ground)) return null;
+
+        const pieces = [{ piece: 'well', x: x - 1, y: ground, z: z - 1 }];
+        const houses = 3 + random.nextInt(3);
+
+        for (let i = 0; i < houses; i++) {
+            const angle = (i + random.range(-0.25, 0.25)) / houses * Math.PI * 2;
+            const distance = random.range(9, 13);
+            const houseX = Math.round(x + Math.cos(angle) * distance);
+            const houseZ = Math.round(z + Math.sin(angle) * distance);
+            const houseGround = generator.getSurfaceHeight(houseX, houseZ);
+
+            if (Math.abs(houseGround - ground) > 4) continue;
+            if (!isDryLand(generator, houseX, houseZ, houseGround)) continue;
+
+            pieces.push({
+                piece: 'house',
+                x: houseX - 2,
+                y: houseGround,
+                z: houseZ - 2,
+                rotation: facing(x - houseX, z - houseZ)
+            });
+        }
+
+        return pieces;
+    }
+});
+
+registerStructure({
+    id: 'ruin',
+    spacing: 12,
+    separation: 2,
+    chance: 0.4,
+    reach: 1,
+    biomes: ['plains', 'forest', 'taiga', 'hills'],
+
+    layout(generator, random, x, z) {
+        const ground = generator.getSurfaceHeight(x, z);
+        if (!isDryLand(generator, x, z, ground)) return null;
+
+        return [{ piece: 'ruin', x: x - 3, y: ground, z: z - 3, rotation: random.nextInt(4) }];
+    }
+});
+
+registerStructure({
+    id: 'dungeon',
+    spacing: 8,
+    separation: 1,
+    chance: 0.6,
+    reach: 1,
+
+    // Sala subterránea con pasillos hacia algunos de sus lados
+    layout(generator, random, x, z) {
+        const y = 8 + random.nextInt(24);
+        if (generator.getSurfaceHeight(x, z) < y + 12) return null;
+
+        const roomX = x - 4;
+        const roomZ = z - 4;
+        const pieces = [{ piece: 'dungeon', x: roomX, y, z: roomZ }];
+
+        const corridors = [
+            { x: roomX + 3, z: roomZ - 6, rotation: 0 },
+            { x: roomX + 3, z: roomZ + 8, rotation: 0 },
+            { x: roomX - 6, z: roomZ + 3, rotation: 1 },
+            { x: roomX + 8, z: roomZ + 3, rotation: 1 }
+        ];
+        for (const corridor of corridors) {
+            if (random.chance(0.5)) {
+                pieces.push({ piece: 'corridor', y, ...corridor });
+            }
+        }
+
+        return pieces;
+    }
+});
@@ -0,0 +1,164 @@
+/**
+ * TerrainGenerator - Interfaz común de los generadores de terreno
+ *
+ * Todos los generadores exponen generateColumn(chunkX, chunkZ, seed, options), que
+ * devuelve { chunkX, chunkZ, subChunks: [{ subY, storage }], biomes }. El mismo módulo se
+ * carga en el hilo principal y en los workers, así que ambos generan lo mismo.
+ *
+ * this.noise es un SimplexNoise con la semilla del mundo, compartido por todos.
+ * Las subclases solo necesitan implementar getBlockAt(worldX, worldY, worldZ);
+ * las que generen mejor columna a columna pueden sobrescribir fillColumn(), y las
+ * que tengan ajustes por mundo los leen de options en configure().
+ * Después del relleno, decorateColumn() añade las fases comunes (cuevas, agua,
+ * minerales, árboles y estructuras). options.carvers ajusta las cuevas del mundo.
+ * Al final supportGravityBlocks() apoya la arena que ha quedado sobre aire o agua,
+ * para que el terreno recién generado no empiece a caer (FallingBlocks).
+ */
+
+import { config, BlockType, isLiquidBlock } from '../../config.js';
+import { getBlock } from '../BlockRegistry.js';
+import { SimplexNoise } from '../../utils/Noise.js';
+import { ColumnBuffer } from './ColumnBuffer.js';
+import { carveColumn } from './Carvers.js';
+import { placeWater } from './Water.js';
+import { placeOres, DEFAULT_ORES } from './Ores.js';
+import { placeTrees } from './Trees.js';
+import { placeStructures } from './Structures.js';
+import { getBiomeDefinition } from './Biomes.js';
+
+export class TerrainGenerator {
+    constructor(seed = 12345) {
+        this.seed = seed;
+        this.noise = new SimplexNoise(seed);
+
+        // Nivel del mar (null: sin agua)
+        this.seaLevel = null;
+
+        // Tabla de minerales sobre la que cada bioma aplica sus cambios
+        this.oreTable = DEFAULT_ORES;
+    }
+
+    /**
+     * Cambiar la semilla (las subclases con cachés deben vaciarlas aquí)
+     */
+    setSeed(seed) {
+        this.seed = seed;
+        this.noise = new SimplexNoise(seed);
+    }
+
+    getBlockAt(worldX, worldY, worldZ) {
+        return BlockType.AIR;
+    }
+
+    /**
+     * Id del bioma en una posición (Biomes.js): elige minerales, árboles y colores
+     */
+    getBiome(worldX, worldZ) {
+        return 'plains';
+    }
+
+    /**
+     * Definición de un bioma por id (las subclases pueden cambiar la del registro)
+     */
+    getBiomeDefinition(id) {
+        return getBiomeDefinition(id);
+    }
+
+    /**
+     * Altura del bloque sólido más alto en una posición (donde se plantan los árboles)
+     */
+    getSurfaceHeight(worldX, worldZ) {
+        for (let y = config.worldHeight - 1; y > 0; y--) {
+            if (this.getBlockAt(worldX, y, worldZ) !== BlockType.AIR) return y;
+        }
+        return 0;
+    }
+
+    generateColumn(chunkX, chunkZ, seed = this.seed, options = {}) {
+        if (seed !== this.seed) {
+            this.setSeed(seed);
+        }
+
+        this.configure(options);
+
+        const column = new ColumnBuffer(chunkX, chunkZ);
+        this.fillColumn(column, options);
+        this.fillBiomes(column);
+        this.decorateColumn(column, options);
+        this.supportGravityBlocks(column);
+        return column.toResult();
+    }
+
+    /**
+     * Aplicar los ajustes del mundo que llegan con cada petición
+     */
+    configure(options) {
+    }
+
+    /**
+     * Rellenar la columna bloque a bloque con getBlockAt()
+     */
+    fillColumn(column, options) {
+        const size = config.chunkSize;
+        const baseX = column.chunkX * size;
+        const baseZ = column.chunkZ * size;
+
+        for (let x = 0; x < size; x++) {
+            for (let z = 0; z < size; z++) {
+                for (let y = 0; y < config.worldHeight; y++) {
+                    const block = this.getBlockAt(baseX + x, y, baseZ + z);
+                    if (block !== BlockType.AIR) {
+                        column.set(x, y, z, block);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Mapa de biomas de la columna, que el hilo principal usa para teñir hierba y hojas
+     */
+    fillBiomes(column) {
+        const size = config.chunkSize;
+
+        for (let x = 0; x < size; x++) {
+            for (let z = 0; z < size; z++) {
+                column.setBiome(x, z, this.getBiome(column.chunkX * size + x, column.chunkZ * size + z));
+            }
+        }
+    }
+
+    /**
+     * Los bloques con gravedad sobre aire o un líquido (techos de cuevas bajo el
+     * desierto) pasan a ser piedra, así los de encima quedan apoyados
+     */
+    supportGravityBlocks(column) {
+        const size = config.chunkSize;
+
+        for (let x = 0; x < size; x++) {
+            for (let z = 0; z < size; z++) {
+                let below = column.get(x, 0, z);
+                for (let y = 1; y < config.worldHeight; y++) {
+                    const block = column.get(x, y, z);
+                    if ((below === BlockType.AIR || isLiquidBlock(below)) && getBlock(block).gravity) {
+                        column.set(x, y, z, BlockType.STONE);
+                        below = BlockType.STONE;
+                    } else {
+                        below = block;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Fases que se aplican sobre el terreno ya relleno
+     */
+    decorateColumn(column, options) {
+        carveColumn(this, column, options.carvers);
+        placeWater(this, column);
+        placeOres(this, column);
+        placeTrees(this, column, options.carvers);
+        placeStructures(this, column);
+    }
+}
@@ -0,0 +1,154 @@
+/**
+ * Trees - Fase de decoración que planta árboles y arbustos sobre la hierba
+ *
+ * Cada bioma define en Biomes.js (campo `trees`) cuántos árboles tiene por columna
+ * (la parte decimal es la probabilidad de uno más) y qué formas usa, con su peso. Las posiciones salen de
+ * un Random con la semilla del mundo y las coordenadas del chunk.
+ *
+ * Un árbol no se aleja más de MAX_TREE_RADIUS bloques de su tronco, así que cada
+ * columna recorre también los árboles de sus 8 vecinos y escribe solo la parte que
+ * cae dentro: los árboles del borde salen enteros en ambos chunks.
+ *
+ * Las cuevas y barrancos se excavan antes: un árbol no se planta si han quitado la
+ * hierba de su tronco. Dentro de la columna se mira el bloque real; fuera se
+ * repiten los carvers para ese bloque (isCarved), así las dos columnas coinciden.
+ */
+
+import { config, BlockType } from '../../config.js';
+import { Random, mixSeed } from '../../utils/Noise.js';
+import { isDryLand } from './Water.js';
+import { isCarved } from './Carvers.js';
+
+const TREE_SALT = 0x545245;
+
+export const MAX_TREE_RADIUS = 2;
+
+/**
+ * Formas: cada una llama a place(dx, dy, dz, tipo) relativo a la base del tronco
+ * (el bloque encima de la hierba) y no pasa de MAX_TREE_RADIUS en horizontal.
+ */
+export const TREE_SHAPES = {
+    oak(random, place) {
+        const height = 4 + random.nextInt(3);
+
+        for (let dy = height - 3; dy <= height; dy++) {
+            const radius = dy >= height - 1 ? 1 : 2;
+            for (let dx = -radius; dx <= radius; dx++) {
+                for (let dz = -radius; dz <= radius; dz++) {
+                    const corner = Math.abs(dx) === radius && Math.abs(dz) === radius;
+                    // Esquinas recortadas: siempre arriba, a veces abajo
+                    if (corner && (dy === height || random.chance(0.5))) continue;
+                    place(dx, dy, dz, BlockType.LEAVES);
+                }
+            }
+        }
+
+        for (let dy = 0; dy < height; dy++) {
+            place(0, dy, 0, BlockType.WOOD);
+        }
+    },
+
+    pine(random, place) {
+        const height = 7 + random.nextInt(4);
+
+        // Cono de hojas: anillos que alternan radio desde la punta hacia abajo
+        place(0, height, 0, BlockType.LEAVES);
+        for (let dy = height - 1, ring = 0; dy >= 3; dy--, ring++) {
+            const radius = ring % 2 === 0 ? 1 : Math.min(MAX_TREE_RADIUS, 1 + Math.floor(ring / 3));
+            for (let dx = -radius; dx <= radius; dx++) {
+                for (let dz = -radius; dz <= radius; dz++) {
+                    if (Math.abs(dx) + Math.abs(dz) > radius + 1) continue;
+                    place(dx, dy, dz, BlockType.LEAVES);
+                }
+            }
+        }
+
+        for (let dy = 0; dy < height; dy++) {
+            place(0, dy, 0, BlockType.WOOD);
+        }
+    },
+
+    bush(random, place) {
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dz = -1; dz <= 1; dz++) {
+                place(dx, 0, dz, BlockType.LEAVES);
+                if (dx === 0 || dz === 0) {
+                    place(dx, 1, dz, BlockType.LEAVES);
+                }
+            }
+        }
+        place(0, 0, 0, BlockType.WOOD);
+    }
+};
+
+// Forma elegida por peso, o null si no hay ninguna que elegir
+function pickShape(random, shapes) {
+    let total = 0;
+    for (const [, weight] of shapes) total += weight;
+    if (total <= 0) return null;
+
+    let roll = random.next() * total;
+    for (const [shape, weight] of shapes) {
+        roll -= weight;
+        if (roll < 0) return shape;
+    }
+    return shapes[shapes.length - 1][0];
+}
+
+/**
+ * Plantar en la columna los árboles que la alcanzan (los suyos y los de los vecinos).
+ * carvers son los ajustes de cuevas del mundo, los mismos que recibió carveColumn.
+ */
+export function placeTrees(generator, column, carvers) {
+    const size = config.chunkSize;
+    const baseX = column.chunkX * size;
+    const baseZ = column.chunkZ * size;
+
+    for (let dx = -1; dx <= 1; dx++) {
+        for (let dz = -1; dz <= 1; dz++) {
+            const chunkX = column.chunkX + dx;
+            const chunkZ = column.chunkZ + dz;
+            const biome = generator.getBiome(chunkX * size + size / 2, chunkZ * size + size / 2);
+            const settings = generator.getBiomeDefinition(biome).trees;
+            if (!settings) continue;
+
+            const random = new Random(mixSeed(generator.seed, chunkX, chunkZ, TREE_SALT));
+            const count = Math.floor(settings.treesPerChunk) + (random.chance(settings.treesPerChunk % 1) ? 1 : 0);
+
+            for (let i = 0; i < count; i++) {
+                const x = chunkX * size + random.nextInt(size);
+                const z = chunkZ * size + random.nextInt(size);
+                const shape = pickShape(random, settings.shapes || []);
+                if (!shape) continue;
+                // Cada árbol tiene su propio Random para que su forma no dependa de los demás
+                const treeRandom = new Random(mixSeed(generator.seed, x, z, TREE_SALT));
+
+                // Los que caen lejos de la columna no pueden alcanzarla
+                if (x < baseX - MAX_TREE_RADIUS || x >= baseX + size + MAX_TREE_RADIUS ||
+                    z < baseZ - MAX_TREE_RADIUS || z >= baseZ + size + MAX_TREE_RADIUS) continue;
+
+                const ground = generator.getSurfaceHeight(x, z);
+                if (generator.getBlockAt(x, ground, z) !== BlockType.GRASS) continue;
+                if (!isDryLand(generator, x, z, ground)) continue;
+                if (ground + 12 >= config.worldHeight) continue;
+
+                const inside = x >= baseX && x < baseX + size && z >= baseZ && z < baseZ + size;
+                if (inside
+                    ? column.get(x - baseX, ground, z - baseZ) !== BlockType.GRASS
+                    : isCarved(generator, carvers, x, ground, z, ground)) continue;
+
+                TREE_SHAPES[shape](treeRandom, (ox, oy, oz, type) => {
+                    const localX = x + ox - baseX;
+                    const localZ = z + oz - baseZ;
+                    const y = ground + 1 + oy;
+                    const current = column.get(localX, y, localZ);
+
+                    // El tronco atraviesa hojas de otros árboles; las hojas solo ocupan aire
+                    if (current === BlockType.AIR || (type === BlockType.WOOD && current === BlockType.LEAVES)) {
+                        column.set(localX, y, localZ, type);
+                    }
+                });
+            }
+        }
+    }
+}
@@ -0,0 +1,88 @@
+/**
+ * Water - Fase que llena de agua océanos y lagos hasta el nivel del mar
+ *
+ * Todo el aire entre la superficie y generator.seaLevel pasa a ser agua. La hierba
+ * y la tierra de las superficies sumergidas se cubren de arena, y las orillas hasta
+ * BEACH_HEIGHT bloques sobre el agua se convierten en playa si hay agua a
+ * BEACH_RADIUS bloques o menos.
+ *
+ * La orilla depende de la altura de los vecinos, que se pide al generador tanto
+ * dentro del chunk como en el margen (como hacen Trees y Ores): los chunks
+ * contiguos deciden lo mismo a ambos lados del borde sin tener que esperarse.
+ */
+
+import { config, BlockType } from '../../config.js';
+
+export const BEACH_HEIGHT = 2;
+export const BEACH_RADIUS = 2;
+
+// Bloques de superficie que se sustituyen por arena
+const SHORE_DEPTH = 3;
+
+/**
+ * 'underwater', 'beach' o 'land' según la altura de una posición y la de sus vecinos
+ * getHeight(worldX, worldZ) devuelve la altura de la superficie en cualquier posición
+ */
+export function getShoreType(seaLevel, worldX, worldZ, ground, getHeight) {
+    if (ground < seaLevel) return 'underwater';
+    if (ground > seaLevel + BEACH_HEIGHT) return 'land';
+
+    for (let dx = -BEACH_RADIUS; dx <= BEACH_RADIUS; dx++) {
+        for (let dz = -BEACH_RADIUS; dz <= BEACH_RADIUS; dz++) {
+            if ((dx !== 0 || dz !== 0) && getHeight(worldX + dx, worldZ + dz) < seaLevel) {
+                return 'beach';
+            }
+        }
+    }
+    return 'land';
+}
+
+/**
+ * ¿Se puede plantar en esta posición? (ni bajo el agua ni en la playa)
+ */
+export function isDryLand(generator, worldX, worldZ, ground) {
+    if (generator.seaLevel === null) return true;
+    return getShoreType(generator.seaLevel, worldX, worldZ, ground,
+        (x, z) => generator.getSurfaceHeight(x, z)) === 'land';
+}
+
+export function placeWater(generator, column) {
+    const seaLevel = generator.seaLevel;
+    if (seaLevel === null) return;
+
+    const size = config.chunkSize;
+    const baseX = column.chunkX * size;
+    const baseZ = column.chunkZ * size;
+
+    // Alturas del generador de la columna más un margen de BEACH_RADIUS
+    const span = size + BEACH_RADIUS * 2;
+    const heights = new Int16Array(span * span);
+    for (let x = 0; x < span; x++) {
+        for (let z = 0; z < span; z++) {
+            heights[x + z * span] = generator.getSurfaceHeight(baseX + x - BEACH_RADIUS, baseZ + z - BEACH_RADIUS);
+        }
+    }
+    const getHeight = (worldX, worldZ) =>
+        heights[(worldX - baseX + BEACH_RADIUS) + (worldZ - baseZ + BEACH_RADIUS) * span];
+
+    for (let x = 0; x < size; x++) {
+        for (let z = 0; z < size; z++) {
+            const ground = getHeight(baseX + x, baseZ + z);
+            const shore = getShoreType(seaLevel, baseX + x, baseZ + z, ground, getHeight);
+            if (shore === 'land') continue;
+
+            for (let y = ground; y > ground - SHORE_DEPTH && y > 0; y--) {
+                const block = column.get(x, y, z);
+                if (block === BlockType.GRASS || block === BlockType.DIRT) {
+                    column.set(x, y, z, BlockType.SAND);
+                }
+            }
+
+            for (let y = ground + 1; y <= seaLevel; y++) {
+                if (column.get(x, y, z) === BlockType.AIR) {
+                    column.set(x, y, z, BlockType.WATER);
+                }
+            }
+        }
+    }
+}
@@ -3,6 +3,12 @@
  * Renderizado con InstancedMesh, generación en workers, zero garbage collection
  */
 
+import { SimplexNoise } from '../js/utils/Noise.js';
+import { getBlock, getBlockId } from '../js/world/BlockRegistry.js';
+
+// Los workers importan la misma librería de ruido por URL absoluta
+const NOISE_MODULE_URL = new URL('../js/utils/Noise.js', import.meta.url).href;
+
 // ======================== CONFIGURACIÓN ========================
 const CONFIG = {
     CHUNK_SIZE: 32,
@@ -10,29 +16,9 @@ const CONFIG = {
     WORLD_HEIGHT: 128,
     BLOCK_SIZE: 1,
     
-    // Tipos de bloques
-    BLOCKS: {
-        AIR: 0,
-        GRASS: 1,
-        DIRT: 2,
-        STONE: 3,
-        SAND: 4,
-        WATER: 5,
-        WOOD: 6,
-        LEAVES: 7
-    },
-    
-    // Colores optimizados (hex para GPU)
-    COLORS: [
-        0x000000, // AIR (no se renderiza)
-        0x4CAF50, // GRASS
-        0x8D6E63, // DIRT
-        0x9E9E9E, // STONE
-        0xFFD54F, // SAND
-        0x2196F388, // WATER (con alpha)
-        0x6D4C41, // WOOD
-        0x388E3C  // LEAVES
-    ],
+    // Bloques que usa este modo, con los ids del registro de bloques
+    BLOCKS: Object.fromEntries(['air', 'grass', 'dirt', 'stone', 'sand', 'water', 'wood', 'leaves']
+        .map(name => [name.toUpperCase(), getBlockId(name)])),
     
     // Performance
     MAX_INSTANCES_PER_TYPE: 100000,
@@ -41,91 +27,6 @@ const CONFIG = {
     USE_SHARED_MEMORY: typeof SharedArrayBuffer !== 'undefined'
 };
 
-// ======================== FAST NOISE ========================
-class FastNoise {
-    constructor(seed = 12345) {
-        this.perm = new Uint8Array(512);
-        const p = new Uint8Array(256);
-        for (let i = 0; i < 256; i++) p[i] = i;
-        
-        // Shuffle con seed
-        let n = seed;
-        for (let i = 255; i > 0; i--) {
-            n = (n * 1664525 + 1013904223) & 0xffffffff;
-            const j = n % (i + 1);
-            [p[i], p[j]] = [p[j], p[i]];
-        }
-        
-        for (let i = 0; i < 512; i++) {
-            this.perm[i] = p[i & 255];
-        }
-    }
-    
-    noise2D(x, y) {
-        const X = Math.floor(x) & 255;
-        const Y = Math.floor(y) & 255;
-        x -= Math.floor(x);
-        y -= Math.floor(y);
-        
-        const u = x * x * (3 - 2 * x);
-        const v = y * y * (3 - 2 * y);
-        
-        const A = this.perm[X] + Y;
-        const B = this.perm[X + 1] + Y;
-        
-        return this.lerp(v,
-            this.lerp(u, this.grad2D(this.perm[A], x, y), this.grad2D(this.perm[B], x - 1, y)),
-            this.lerp(u, this.grad2D(this.perm[A + 1], x, y - 1), this.grad2D(this.perm[B + 1], x - 1, y - 1))
-        );
-    }
-    
-    noise3D(x, y, z) {
-        const X = Math.floor(x) & 255;
-        const Y = Math.floor(y) & 255;
-        const Z = Math.floor(z) & 255;
-        
-        x -= Math.floor(x);
-        y -= Math.floor(y);
-        z -= Math.floor(z);
-        
-        const u = x * x * (3 - 2 * x);
-        const v = y * y * (3 - 2 * y);
-        const w = z * z * (3 - 2 * z);
-        
-        const A = this.perm[X] + Y;
-        const B = this.perm[X + 1] + Y;
-        const AA = this.perm[A] + Z;
-        const BA = this.perm[B] + Z;
-        const AB = this.perm[A + 1] + Z;
-        const BB = this.perm[B + 1] + Z;
-        
-        return this.lerp(w,
-            this.lerp(v,
-                this.lerp(u, this.grad3D(this.perm[AA], x, y, z), this.grad3D(this.perm[BA], x - 1, y, z)),
-                this.lerp(u, this.grad3D(this.perm[AB], x, y - 1, z), this.grad3D(this.perm[BB], x - 1, y - 1, z))
-            ),
-            this.lerp(v,
-                this.lerp(u, this.grad3D(this.perm[AA + 1], x, y, z - 1), this.grad3D(this.perm[BA + 1], x - 1, y, z - 1)),
-                this.lerp(u, this.grad3D(this.perm[AB + 1], x, y - 1, z - 1), this.grad3D(this.perm[BB + 1], x - 1, y - 1, z - 1))
-            )
-        );
-    }
-    
-    lerp(t, a, b) { return a + t * (b - a); }
-    grad2D(hash, x, y) {
-        const h = hash & 3;
-        const u = h < 2 ? x : y;
-        const v = h < 2 ? y : x;
-        return ((h & 1) ? -u : u) + ((h & 2) ? -v : v);
-    }
-    grad3D(hash, x, y, z) {
-        const h = hash & 15;
-        const u = h < 8 ? x : y;
-        const v = h < 4 ? y : h === 12 || h === 14 ? x : z;
-        return ((h & 1) ? -u : u) + ((h & 2) ? -v : v);
-    }
-}
-
 // ======================== CHUNK OPTIMIZADO ========================
 class UltraChunk {
     constructor(x, z) {
@@ -145,7 +46,7 @@ class UltraChunk {
     }
     
     getBlock(x, y, z) {
-        if (!this.blocks) return 0;
+        if (!this.blocks) return CONFIG.BLOCKS.AIR;
         const idx = x + y * CONFIG.CHUNK_SIZE + z * CONFIG.CHUNK_SIZE * CONFIG.WORLD_HEIGHT;
         return this.blocks[idx];
     }
@@ -163,7 +64,8 @@ class UltraWorld {
     constructor(scene) {
         this.scene = scene;
         this.chunks = new Map();
-        this.noise = new FastNoise(Date.now());
+        this.seed = Date.now() | 0;
+        this.noise = new SimplexNoise(this.seed);
         
         // Instanced meshes para cada tipo de bloque
         this.initInstancedMeshes();
@@ -190,13 +92,14 @@ class UltraWorld {
         this.instanceData = {};
         
         // Crear un InstancedMesh para cada tipo de bloque (excepto aire)
-        for (const [name, id] of Object.entries(CONFIG.BLOCKS)) {
-            if (id === 0) continue; // Skip air
+        for (const id of Object.values(CONFIG.BLOCKS)) {
+            if (id === CONFIG.BLOCKS.AIR) continue;
             
+            const block = getBlock(id);
             const material = new THREE.MeshLambertMaterial({
-                color: CONFIG.COLORS[id],
-                transparent: id === CONFIG.BLOCKS.WATER,
-                opacity: id === CONFIG.BLOCKS.WATER ? 0.8 : 1
+                color: block.color,
+                transparent: block.liquid,
+                opacity: block.liquid ? 0.8 : 1
             });
             
             const mesh = new THREE.InstancedMesh(geometry, material, CONFIG.MAX_INSTANCES_PER_TYPE);
@@ -219,10 +122,10 @@ class UltraWorld {
         
         // Crear worker code inline para evitar archivos externos
         const workerCode = `
-            ${FastNoise.toString()}
+            import { SimplexNoise } from '${NOISE_MODULE_URL}';
             
             const CONFIG = ${JSON.stringify(CONFIG)};
-            const noise = new FastNoise(${Date.now()});
+            const noise = new SimplexNoise(${this.seed});
             
             function generateChunk(chunkX, chunkZ) {
                 const size = CONFIG.CHUNK_SIZE;
@@ -290,7 +193,7 @@ class UltraWorld {
         const workerUrl = URL.createObjectURL(blob);
         
         for (let i = 0; i < CONFIG.WORKER_COUNT; i++) {
-            const worker = new Worker(workerUrl);
+            const worker = new Worker(workerUrl, { type: 'module' });
             worker.onmessage = (e) => this.handleWorkerMessage(e.data, i);
             this.workers.push(worker);
             this.workerBusy[i] = false;